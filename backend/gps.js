@@ -1,74 +1,203 @@
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
 const axios = require("axios");
+require("dotenv").config();
+const { ScenarioError, loadScenario, randomLoop } = require("./simulator/scenario");
+const { createFollower, advance, currentFix } = require("./simulator/routeFollower");
+const { TrackFileError, loadTrack } = require("./simulator/trackFile");
+const { startReplay } = require("./simulator/replay");
 
+const USAGE = `Usage: node gps.js [options]
 
-let vehicles = [];
+  --server <url>      Backend to send updates to (default http://localhost:3000)
+  --scenario <file>   JSON or GeoJSON routes to drive (see simulator/scenario.js);
+                      without one, each vehicle drives a random loop around its position
+  --vehicles <n>      Only simulate the first n vehicles
+  --tick <ms>         Simulation step (default 1000)
+  --interval <s>      Seconds between updates, unless the route sets its own (default 5)
+  --noise <m>         GPS noise in meters (default 5)
+  --provision         Issue device keys for every vehicle and save them, then exit
 
-// Function to validate coordinates
-function validateCoordinates(lat, lng) {
-  if (isNaN(lat) || isNaN(lng)) return { valid: false };
-  if (lat < -90 || lat > 90) return { valid: false };
-  if (lng < -180 || lng > 180) return { valid: false };
-  return { valid: true };
+Replaying a recorded drive (GPX or CSV, see simulator/trackFile.js):
+  --replay <file>     Send the track's points as updates from --vehicle
+  --vehicle <name>    Vehicle to replay as (needs a saved device key)
+  --speedup <n>       Time compression, e.g. 10 replays an hour in 6 minutes (default 1)
+  --loop              Start over at the end of the track
+  --timestamps <t>    "now" stamps fixes as they're sent (default); "original" keeps the
+                      recorded times, which land in the vehicle's history (fixes older than
+                      its last update don't move it on the map)
+`;
+
+function parseOptions() {
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        server: { type: "string", default: process.env.SIM_SERVER_URL || "http://localhost:3000" },
+        scenario: { type: "string" },
+        vehicles: { type: "string" },
+        tick: { type: "string", default: "1000" },
+        interval: { type: "string", default: "5" },
+        noise: { type: "string", default: "5" },
+        provision: { type: "boolean", default: false },
+        replay: { type: "string" },
+        vehicle: { type: "string" },
+        speedup: { type: "string", default: "1" },
+        loop: { type: "boolean", default: false },
+        timestamps: { type: "string", default: "now" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    }));
+  } catch (err) {
+    console.error(`❌ ${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const numbers = {
+    vehicles: values.vehicles,
+    tick: values.tick,
+    interval: values.interval,
+    noise: values.noise,
+    speedup: values.speedup,
+  };
+  for (const [name, value] of Object.entries(numbers)) {
+    if (value === undefined) continue;
+    const number = Number(value);
+    if (isNaN(number) || number < 0 || (name !== "noise" && number === 0)) {
+      console.error(`❌ --${name} must be a positive number`);
+      process.exit(1);
+    }
+    values[name] = number;
+  }
+
+  if (!["now", "original"].includes(values.timestamps)) {
+    console.error('❌ --timestamps must be "now" or "original"');
+    process.exit(1);
+  }
+  if (values.replay && !values.vehicle) {
+    console.error("❌ --replay needs --vehicle <name>");
+    process.exit(1);
+  }
+  return values;
 }
 
-// Function to generate random movement
-function generateRandomMovement(baseLat, baseLng) {
-  const latOffset = (Math.random() - 0.5) * 0.02;
-  const lngOffset = (Math.random() - 0.5) * 0.02;
+const options = parseOptions();
+const API_URL = `${options.server.replace(/\/+$/, "")}/api`;
+
+// Listing vehicles and issuing keys requires a logged-in user
+const SIM_USERNAME = process.env.SIM_USERNAME;
+const SIM_PASSWORD = process.env.SIM_PASSWORD;
+// Position updates use each vehicle's device key; `node gps.js --provision` writes them here
+const KEYS_FILE = process.env.SIM_KEYS_FILE || path.join(__dirname, ".device-keys.json");
 
-  const newLat = parseFloat((baseLat + latOffset).toFixed(6));
-  const newLng = parseFloat((baseLng + lngOffset).toFixed(6));
+const api = axios.create({ baseURL: API_URL });
 
-  const validation = validateCoordinates(newLat, newLng);
-  if (!validation.valid) return { lat: baseLat, lng: baseLng };
+// One entry per simulated vehicle: { vehicle, key, follower, interval, sinceUpdate }
+let simulated = [];
 
-  return { lat: newLat, lng: newLng };
+// Log in and attach the access token to every simulator request
+async function login() {
+  const response = await axios.post(`${API_URL}/users/login`, {
+    username: SIM_USERNAME,
+    password: SIM_PASSWORD,
+  });
+  api.defaults.headers.common.Authorization = `Bearer ${response.data.accessToken}`;
 }
 
-// Function to update vehicle positions
-function updateVehiclePositions() {
-  if (vehicles.length === 0) {
-    console.log("⚠️  No vehicles found in backend. Add vehicles first.");
-    return;
+// Access tokens are short-lived, so log in again once and retry when one expires
+api.interceptors.response.use(null, async (err) => {
+  const { config, response } = err;
+  if (response?.status === 401 && response.data?.code === "TOKEN_EXPIRED" && !config._retried) {
+    config._retried = true;
+    await login();
+    config.headers.Authorization = api.defaults.headers.common.Authorization;
+    return api(config);
   }
+  throw err;
+});
 
-  vehicles.forEach(async (vehicle, index) => {
-    const { lat, lng } = generateRandomMovement(vehicle.lat, vehicle.lng);
-    const lastUpdated = new Date().toISOString();
+// The vehicle list is paginated; follow nextCursor until every vehicle is loaded
+async function fetchAllVehicles() {
+  const vehicles = [];
+  let cursor;
+  do {
+    const response = await api.get("/vehicles", { params: { sort: "name", limit: 1000, cursor } });
+    vehicles.push(...response.data.vehicles);
+    cursor = response.data.nextCursor;
+  } while (cursor);
+  return vehicles;
+}
 
-    try {
-      await axios.post("http://localhost:3000/api/vehicle/update", {
-        name: vehicle.name,
-        lat,
-        lng,
-        lastUpdated,
-      });
+// Post one fix with the vehicle's device key, as its tracker would.
+// Returns the response body, or null when the update failed.
+async function postUpdate(name, key, fix) {
+  const lastUpdated = fix.lastUpdated || new Date();
+  try {
+    const response = await axios.post(
+      `${API_URL}/vehicle/update`,
+      { name, ...fix, lastUpdated: lastUpdated.toISOString() },
+      { headers: { "X-Device-Key": key } }
+    );
+    const speed = fix.speed === undefined ? "" : ` ${fix.speed.toFixed(0)} km/h`;
+    const heading = fix.heading === undefined ? "" : ` ${fix.heading.toFixed(0)}°`;
+    const status = response.data.status === "current" ? "" : ` (${response.data.status})`;
+    console.log(
+      `🚗 ${name}: ${fix.lat.toFixed(4)}, ${fix.lng.toFixed(4)}${speed}${heading} ` +
+        `at ${lastUpdated.toLocaleTimeString()}${status}`
+    );
+    return response.data;
+  } catch (err) {
+    console.error(`❌ Error updating ${name}:`, err.response?.data || err.message);
+    return null;
+  }
+}
 
-      vehicles[index].lat = lat;
-      vehicles[index].lng = lng;
+// Send a vehicle's current (noisy) position
+function sendUpdate(entry) {
+  return postUpdate(entry.vehicle.name, entry.key, currentFix(entry.follower));
+}
 
-      console.log(
-        `🚗 ${vehicle.name} updated: ${lat.toFixed(
-          4
-        )}, ${lng.toFixed(4)} at ${new Date().toLocaleTimeString()}`
-      );
-    } catch (err) {
-      console.error(
-        `❌ Error updating ${vehicle.name}:`,
-        err.response?.data || err.message
-      );
+// Advance every vehicle one tick and report the ones whose interval is up
+function tick(dt) {
+  simulated.forEach((entry) => {
+    advance(entry.follower, dt);
+    entry.sinceUpdate += dt;
+    if (entry.sinceUpdate >= entry.interval) {
+      entry.sinceUpdate = 0;
+      sendUpdate(entry);
     }
   });
 }
 
+// Pair vehicles with routes: named assignments first, then round-robin.
+// Without a scenario every vehicle gets its own random loop.
+function assignRoutes(vehicles, routes) {
+  if (!routes) return vehicles.map((vehicle) => randomLoop(vehicle.lat, vehicle.lng, `${vehicle.name} loop`));
+
+  const byVehicle = new Map();
+  routes.forEach((route) => route.vehicles.forEach((name) => byVehicle.set(name, route)));
+
+  let next = 0;
+  return vehicles.map((vehicle) => {
+    if (byVehicle.has(vehicle.name)) return byVehicle.get(vehicle.name);
+    return routes[next++ % routes.length];
+  });
+}
+
 // Start simulation
 async function startSimulation() {
   console.log("\n🎯 Starting GPS simulation...");
-  console.log("🔄 Updates every 5 seconds");
+  console.log(`🔄 Simulating every ${options.tick} ms against ${options.server}`);
   console.log("Press Ctrl+C to stop\n");
 
-  setTimeout(updateVehiclePositions, 1000);
-  const interval = setInterval(updateVehiclePositions, 5000);
+  const dt = options.tick / 1000;
+  const interval = setInterval(() => tick(dt), options.tick);
 
   process.on("SIGINT", () => {
     clearInterval(interval);
@@ -77,29 +206,163 @@ async function startSimulation() {
   });
 }
 
+// Issue a fresh device key for every vehicle and save them for later runs.
+// This rotates the keys, so any real tracker using the old ones stops working.
+async function provisionKeys() {
+  const vehicles = await fetchAllVehicles();
+  const keys = {};
+
+  for (const vehicle of vehicles) {
+    const issued = await api.post(`/vehicles/${vehicle._id}/device-key`);
+    keys[vehicle.name] = issued.data.deviceKey;
+    console.log(`🔑 ${vehicle.name}: ${issued.data.vehicle.deviceKeyHint}...`);
+  }
+
+  fs.writeFileSync(KEYS_FILE, JSON.stringify(keys, null, 2), { mode: 0o600 });
+  console.log(`\n✅ Saved ${Object.keys(keys).length} device keys to ${KEYS_FILE}`);
+}
+
+function loadKeys() {
+  try {
+    return JSON.parse(fs.readFileSync(KEYS_FILE, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw err;
+  }
+}
+
+// Recorded times older than the vehicle's last update are only added to its history,
+// so a replay of an old drive with --timestamps original never shows on the live map.
+// Say so after the first fix, when the server has told us where the vehicle stands.
+function warnIfBackfilling(result, points) {
+  if (options.timestamps !== "original" || !result || result.status !== "backfilled") return;
+  const lastUpdated = new Date(result.vehicle.lastUpdated);
+  const allOlder = !options.loop && points[points.length - 1].timestamp <= lastUpdated;
+  console.warn(
+    `⚠️  ${options.vehicle} last reported at ${lastUpdated.toLocaleString()}, after the track starts. ` +
+      (allOlder ? "Every fix will only be added to its history" : "Fixes before then are only added to its history") +
+      "; use --timestamps now to watch the replay live."
+  );
+}
+
+// Replay a recorded track as one vehicle. Only its device key is needed, no login.
+function runReplay() {
+  let points;
+  try {
+    points = loadTrack(options.replay);
+  } catch (err) {
+    if (!(err instanceof TrackFileError)) throw err;
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  const key = loadKeys()[options.vehicle];
+  if (!key) {
+    console.error(`❌ No device key for "${options.vehicle}". Run "node gps.js --provision".`);
+    process.exit(1);
+  }
+
+  const timed = Boolean(points[0].timestamp);
+  console.log(`\n⏯️  Replaying ${points.length} points from ${options.replay} as ${options.vehicle}`);
+  console.log(
+    timed
+      ? `🕒 Recorded ${points[0].timestamp.toLocaleString()} - ${points[points.length - 1].timestamp.toLocaleString()}, ` +
+          `${options.speedup}x speed, ${options.timestamps} timestamps`
+      : `🕒 No times in the track; one point every ${options.interval / options.speedup}s`
+  );
+  console.log("Press Ctrl+C to stop\n");
+
+  const stop = startReplay(
+    points,
+    { speedup: options.speedup, loop: options.loop, timestamps: options.timestamps, interval: options.interval },
+    async (fix, { lap, index }) => {
+      if (index === 0 && lap > 0) console.log(`🔁 Lap ${lap + 1}`);
+      const result = await postUpdate(options.vehicle, key, fix);
+      if (index === 0 && lap === 0) warnIfBackfilling(result, points);
+    },
+    () => {
+      console.log("\n✅ Replay finished.");
+      process.exit(0);
+    }
+  );
+
+  process.on("SIGINT", () => {
+    stop();
+    console.log("\n\n🛑 Replay stopped.");
+    process.exit(0);
+  });
+}
+
 // Main
 async function main() {
+  if (options.replay) return runReplay();
+
+  if (!SIM_USERNAME || !SIM_PASSWORD) {
+    console.error("❌ Set SIM_USERNAME and SIM_PASSWORD to log in to the backend.");
+    process.exit(1);
+  }
+
+  if (options.provision) {
+    try {
+      await login();
+      await provisionKeys();
+      process.exit(0);
+    } catch (err) {
+      console.error("❌ Failed to issue device keys:", err.response?.data || err.message);
+      process.exit(1);
+    }
+  }
+
+  let routes = null;
+  if (options.scenario) {
+    try {
+      routes = loadScenario(options.scenario);
+      console.log(`🗺️  Loaded ${routes.length} routes from ${options.scenario}`);
+    } catch (err) {
+      if (!(err instanceof ScenarioError)) throw err;
+      console.error(`❌ ${err.message}`);
+      process.exit(1);
+    }
+  }
+
   try {
-    const response = await axios.get("http://localhost:3000/api/vehicles");
-    vehicles = response.data;
+    await login();
+    const fleet = await fetchAllVehicles();
+    const deviceKeys = loadKeys();
+
+    // Vehicles without a saved key can't post updates
+    const missing = fleet.filter((v) => !deviceKeys[v.name]);
+    if (missing.length > 0) {
+      console.log(`⚠️  No device key for: ${missing.map((v) => v.name).join(", ")}. Run "node gps.js --provision".`);
+    }
+    let vehicles = fleet.filter((v) => deviceKeys[v.name]);
+    if (options.vehicles) vehicles = vehicles.slice(0, options.vehicles);
 
     if (vehicles.length === 0) {
-      console.log("⚠️  No vehicles in database. Add some first.");
+      console.log("⚠️  No vehicles to simulate. Add some first.");
       process.exit(0);
     }
 
-    console.log(`📊 Loaded ${vehicles.length} vehicles from backend.`);
-    vehicles.forEach((v, i) => {
-      const lat = parseFloat(v.lat);
-      const lng = parseFloat(v.lng);
-
-      if (isNaN(lat) || isNaN(lng)) {
-        console.log(`${i + 1}. ${v.name} (⚠️ invalid coordinates)`);
-      } else {
-        console.log(`${i + 1}. ${v.name} (${lat.toFixed(4)}, ${lng.toFixed(4)})`);
-        vehicles[i].lat = lat;
-        vehicles[i].lng = lng;
-      }
+    const assigned = assignRoutes(vehicles, routes);
+    simulated = vehicles.map((vehicle, i) => {
+      const route = assigned[i];
+      return {
+        vehicle,
+        key: deviceKeys[vehicle.name],
+        follower: createFollower(route, { lat: vehicle.lat, lng: vehicle.lng, noiseM: options.noise }),
+        interval: route.interval || options.interval,
+        // Spread the first updates out instead of sending them all at once
+        sinceUpdate: Math.random() * (route.interval || options.interval),
+      };
+    });
+
+    console.log(`📊 Simulating ${simulated.length} vehicles:`);
+    simulated.forEach(({ vehicle, follower, interval }, i) => {
+      const { route } = follower;
+      console.log(
+        `${i + 1}. ${vehicle.name} on "${route.name}" (${route.waypoints.length} waypoints, ` +
+          `${Math.round(route.speedKmh)} km/h, every ${interval}s)`
+      );
     });
 
     await startSimulation();
@@ -109,4 +372,4 @@ async function main() {
   }
 }
 
-main();
\ No newline at end of file
+main();
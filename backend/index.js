@@ -10,7 +10,20 @@ const app = express();
 
 // Import routes
 const vehicleRoute = require('./routes/vehicle');
+const deviceUpdateRoute = require('./routes/deviceUpdate');
 const userRoute = require('./routes/user');
+const streamRoute = require('./routes/stream');
+const geofenceRoute = require('./routes/geofence');
+const alertRoute = require('./routes/alert');
+const alertRuleRoute = require('./routes/alertRule');
+const driverRoute = require('./routes/driver');
+const maintenanceRoute = require('./routes/maintenance');
+const osmandRoute = require('./routes/osmand');
+const { authenticate } = require('./middleware/auth');
+const { startAlertScheduler } = require('./services/alerts');
+const { startTripScheduler } = require('./services/trips');
+const { startMaintenanceScheduler } = require('./services/maintenance');
+const { startNmeaListeners, getNmeaStats } = require('./ingest/nmeaServer');
 
 app.use(cors({
     origin: [
@@ -21,18 +34,32 @@ app.use(cors({
     ].filter(Boolean),
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Key']
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Credentials never reach the logs: passwords, refresh tokens and device keys, which
+// OsmAnd trackers send as id/deviceid and anything else may carry as a vk_ value
+const UNLOGGED_FIELDS = new Set(['password', 'refreshToken', 'deviceKey', 'id', 'deviceid']);
+
+function loggableValue(value) {
+    if (Array.isArray(value)) return value.map(loggableValue);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([key]) => !UNLOGGED_FIELDS.has(key))
+            .map(([key, field]) => [key, loggableValue(field)]));
+    }
+    return typeof value === 'string' && value.startsWith('vk_') ? '[redacted]' : value;
+}
+
 // Request logging middleware (helpful for debugging)
 app.use((req, res, next) => {
     console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
     if (req.body && Object.keys(req.body).length > 0) {
-        console.log('Request body:', JSON.stringify(req.body, null, 2));
+        console.log('Request body:', JSON.stringify(loggableValue(req.body), null, 2));
     }
     next();
 });
@@ -46,9 +73,14 @@ app.get('/health', (req, res) => {
         endpoints: {
             health: 'GET /health',
             vehicles: 'GET /api/vehicles',
+            stream: 'GET /api/stream',
+            alerts: 'GET /api/alerts',
             register: 'POST /api/users/register',
-            login: 'POST /api/users/login'
-        }
+            login: 'POST /api/users/login',
+            refresh: 'POST /api/users/refresh',
+            logout: 'POST /api/users/logout'
+        },
+        nmea: getNmeaStats()
     });
 });
 
@@ -61,8 +93,21 @@ app.get('/test', (req, res) => {
 });
 
 
-app.use("/api/vehicles", vehicleRoute);  
-app.use("/api/vehicle", vehicleRoute);  
+// Trackers post positions with their device key; registered first so these paths
+// don't fall through to the user-authenticated vehicle routes
+app.use("/api/vehicles/update", deviceUpdateRoute);
+app.use("/api/vehicle/update", deviceUpdateRoute);
+
+// Vehicle routes require a logged-in user
+app.use("/api/vehicles", authenticate, vehicleRoute);  
+app.use("/api/vehicle", authenticate, vehicleRoute);  
+app.use("/api/stream", authenticate, streamRoute);
+app.use("/api/geofences", authenticate, geofenceRoute);
+app.use("/api/alerts", authenticate, alertRoute);
+app.use("/api/alert-rules", authenticate, alertRuleRoute);
+app.use("/api/drivers", authenticate, driverRoute);
+app.use("/api/maintenance", authenticate, maintenanceRoute);
+app.use("/api/osmand", osmandRoute);
 app.use("/api/users", userRoute);       
 app.use("/api/user", userRoute);         
 
@@ -78,11 +123,60 @@ app.use('*', (req, res) => {
             'GET /test',
             'GET /api/vehicles',
             'POST /api/vehicles',
+            'POST /api/vehicles/import',
             'POST /api/vehicles/update',
+            'POST /api/vehicles/update/batch',
+            'GET /api/vehicles/trails',
+            'GET /api/vehicles/nearby',
+            'GET /api/vehicles/within',
+            'GET /api/vehicles/export',
+            'GET /api/vehicles/:id/history',
+            'GET /api/vehicles/:id/trips',
+            'GET /api/vehicles/:id/drivers',
+            'GET /api/vehicles/:id/export',
+            'PATCH /api/vehicles/:id',
+            'POST /api/vehicles/:id/device-key',
+            'DELETE /api/vehicles/:id/device-key',
             'DELETE /api/vehicles/:id',
             'DELETE /api/vehicles/name/:name',
+            'GET /api/stream',
+            'GET|POST /api/osmand',
+            'GET /api/geofences',
+            'POST /api/geofences',
+            'GET /api/geofences/events',
+            'GET /api/geofences/:id',
+            'PUT /api/geofences/:id',
+            'DELETE /api/geofences/:id',
+            'GET /api/alerts',
+            'POST /api/alerts/:id/acknowledge',
+            'POST /api/alerts/:id/resolve',
+            'GET /api/alert-rules',
+            'POST /api/alert-rules',
+            'PUT /api/alert-rules/:id',
+            'DELETE /api/alert-rules/:id',
+            'GET /api/drivers',
+            'POST /api/drivers',
+            'GET /api/drivers/:id',
+            'PUT /api/drivers/:id',
+            'DELETE /api/drivers/:id',
+            'POST /api/drivers/:id/assignment',
+            'DELETE /api/drivers/:id/assignment',
+            'GET /api/drivers/:id/assignments',
+            'GET /api/drivers/:id/trips',
+            'GET /api/maintenance/plans',
+            'POST /api/maintenance/plans',
+            'PUT /api/maintenance/plans/:id',
+            'DELETE /api/maintenance/plans/:id',
+            'POST /api/maintenance/plans/:id/services',
+            'GET /api/maintenance/services',
             'POST /api/users/register',
             'POST /api/users/login',
+            'POST /api/users/refresh',
+            'POST /api/users/logout',
+            'GET /api/users/me',
+            'GET /api/users',
+            'POST /api/users/members',
+            'PATCH /api/users/:id/role',
             'GET /api/users/profile/:username'
         ]
     });
@@ -129,9 +223,15 @@ process.on('SIGINT', async () => {
 
 // Start server
 const PORT = process.env.PORT || 3000;
+// Raw NMEA trackers (TCP and UDP on the same port); NMEA_PORT=off disables them
+const NMEA_PORT = process.env.NMEA_PORT || 5055;
 
 const startServer = async () => {
     await connectDB();
+    startAlertScheduler();
+    startTripScheduler();
+    startMaintenanceScheduler();
+    if (NMEA_PORT !== 'off') startNmeaListeners(Number(NMEA_PORT));
 
     app.listen(PORT, () => {
         console.log(`Vehicle Tracking Server running on port ${PORT}`);
@@ -0,0 +1,37 @@
+// The JSON fixes trackers POST to /api/vehicles/update (one at a time or in
+// batches). Device-reported values are checked here; motion the device left out
+// is derived later by the tracking pipeline.
+const { validateCoordinates, validateMotion, validateFixTime, parseDateParam } = require('../utils/validation');
+
+// Validate one fix from a device: { lat, lng, lastUpdated (or timestamp), speed, heading }.
+// The time is the device's; it defaults to now. Returns { error } or { value }.
+function parseFix(body) {
+    if (!body || typeof body !== 'object' || body.lat === undefined || body.lng === undefined) {
+        return { error: 'lat and lng are required' };
+    }
+
+    const lat = parseFloat(body.lat);
+    const lng = parseFloat(body.lng);
+    const validation = validateCoordinates(lat, lng);
+    if (!validation.valid) return { error: validation.error };
+
+    // Optional device-reported motion; derived from the previous fix when absent
+    const speed = body.speed === undefined ? undefined : parseFloat(body.speed);
+    const heading = body.heading === undefined ? undefined : parseFloat(body.heading);
+    const motionValidation = validateMotion(speed, heading);
+    if (!motionValidation.valid) return { error: motionValidation.error };
+
+    // null and booleans would otherwise parse as epoch 0 and 1
+    const time = body.lastUpdated !== undefined ? body.lastUpdated : body.timestamp;
+    if (time !== undefined && typeof time !== 'string' && typeof time !== 'number') {
+        return { error: 'lastUpdated must be a date string or epoch milliseconds' };
+    }
+    const timestamp = time === undefined ? new Date() : parseDateParam(time);
+    if (!timestamp) return { error: 'lastUpdated must be a valid date' };
+    const timeValidation = validateFixTime(timestamp);
+    if (!timeValidation.valid) return { error: timeValidation.error };
+
+    return { value: { lat, lng, speed, heading, timestamp } };
+}
+
+module.exports = { parseFix };
@@ -0,0 +1,160 @@
+// NMEA 0183 sentence parsing for the sentences cheap trackers send: RMC
+// (position, speed, course, date) and GGA (position, fix quality, satellites).
+// Any talker id is accepted (GP, GN, GL, ...).
+
+const KNOTS_TO_KMH = 1.852;
+
+class NmeaError extends Error {
+    constructor(reason, message) {
+        super(message);
+        this.name = 'NmeaError';
+        // 'checksum' | 'malformed' | 'unsupported'
+        this.reason = reason;
+    }
+}
+
+// XOR of every character between '$' and '*', as two uppercase hex digits
+function computeChecksum(body) {
+    let checksum = 0;
+    for (let i = 0; i < body.length; i++) {
+        checksum ^= body.charCodeAt(i);
+    }
+    return checksum.toString(16).toUpperCase().padStart(2, '0');
+}
+
+// Split "$BODY*HH" into fields after verifying the checksum
+function splitSentence(sentence) {
+    const match = /^\$([^*$]+)\*([0-9A-Fa-f]{2})$/.exec(sentence);
+    if (!match) {
+        throw new NmeaError('malformed', 'Not a checksummed NMEA sentence');
+    }
+    const [, body, checksum] = match;
+    if (computeChecksum(body) !== checksum.toUpperCase()) {
+        throw new NmeaError('checksum', `Checksum mismatch (expected ${computeChecksum(body)}, got ${checksum})`);
+    }
+    return body.split(',');
+}
+
+// "4807.038","N" -> 48.1173 (NMEA packs degrees and decimal minutes together)
+function parseCoordinate(value, hemisphere, degreeDigits) {
+    if (!/^\d+(\.\d+)?$/.test(value) || value.indexOf('.') !== -1 && value.indexOf('.') < degreeDigits + 2) {
+        throw new NmeaError('malformed', `Invalid coordinate: ${value}`);
+    }
+    const degrees = parseInt(value.slice(0, degreeDigits), 10);
+    const minutes = parseFloat(value.slice(degreeDigits));
+    if (minutes >= 60) {
+        throw new NmeaError('malformed', `Invalid coordinate minutes: ${value}`);
+    }
+    const decimal = degrees + minutes / 60;
+
+    if (hemisphere === 'S' || hemisphere === 'W') return -decimal;
+    if (hemisphere === 'N' || hemisphere === 'E') return decimal;
+    throw new NmeaError('malformed', `Invalid hemisphere: ${hemisphere}`);
+}
+
+// "123519.00" -> { hours, minutes, seconds, milliseconds }
+function parseTime(value) {
+    const match = /^(\d{2})(\d{2})(\d{2})(\.\d+)?$/.exec(value);
+    if (!match) {
+        throw new NmeaError('malformed', `Invalid time: ${value}`);
+    }
+    const [, hours, minutes, seconds, fraction] = match;
+    return {
+        hours: Number(hours),
+        minutes: Number(minutes),
+        seconds: Number(seconds),
+        milliseconds: fraction ? Math.round(parseFloat(fraction) * 1000) : 0
+    };
+}
+
+// "230394" (ddmmyy) + time -> Date in UTC
+function parseDateTime(dateValue, time) {
+    const match = /^(\d{2})(\d{2})(\d{2})$/.exec(dateValue);
+    if (!match) {
+        throw new NmeaError('malformed', `Invalid date: ${dateValue}`);
+    }
+    const [, day, month, year] = match.map(Number);
+    // Two-digit years pivot at 1980, the start of GPS time
+    const fullYear = year < 80 ? 2000 + year : 1900 + year;
+    const date = new Date(Date.UTC(fullYear, month - 1, day, time.hours, time.minutes, time.seconds, time.milliseconds));
+    if (isNaN(date.getTime())) {
+        throw new NmeaError('malformed', `Invalid date: ${dateValue}`);
+    }
+    return date;
+}
+
+const parseOptionalNumber = (value) => (value === '' || value === undefined ? undefined : parseFloat(value));
+
+// $GPRMC,hhmmss.ss,A,llll.ll,a,yyyyy.yy,a,speedKnots,course,ddmmyy,magVar,magDir[,mode]*hh
+function parseRmc(fields) {
+    if (fields.length < 10) {
+        throw new NmeaError('malformed', `RMC has ${fields.length} fields`);
+    }
+    const [, time, status, lat, latHemisphere, lng, lngHemisphere, speed, course, date] = fields;
+    // 'A' = valid fix, 'V' = receiver warning (no usable position). Receivers without
+    // a fix often leave the time and date empty too, so nothing else is read.
+    if (status !== 'A') return { type: 'RMC', valid: false };
+
+    const parsed = {
+        type: 'RMC',
+        valid: true,
+        timestamp: parseDateTime(date, parseTime(time))
+    };
+    parsed.lat = parseCoordinate(lat, latHemisphere, 2);
+    parsed.lng = parseCoordinate(lng, lngHemisphere, 3);
+
+    const knots = parseOptionalNumber(speed);
+    if (knots !== undefined) {
+        if (isNaN(knots) || knots < 0) throw new NmeaError('malformed', `Invalid speed: ${speed}`);
+        parsed.speed = knots * KNOTS_TO_KMH;
+    }
+    const heading = parseOptionalNumber(course);
+    if (heading !== undefined) {
+        if (isNaN(heading) || heading < 0 || heading > 360) throw new NmeaError('malformed', `Invalid course: ${course}`);
+        parsed.heading = heading % 360;
+    }
+    return parsed;
+}
+
+// $GPGGA,hhmmss.ss,llll.ll,a,yyyyy.yy,a,quality,satellites,hdop,altitude,M,...*hh
+// GGA has no date, so callers get the time of day and pick the date themselves.
+function parseGga(fields) {
+    if (fields.length < 10) {
+        throw new NmeaError('malformed', `GGA has ${fields.length} fields`);
+    }
+    const [, time, lat, latHemisphere, lng, lngHemisphere, quality, satellites, hdop, altitude] = fields;
+    const fixQuality = parseInt(quality, 10);
+    if (isNaN(fixQuality)) {
+        throw new NmeaError('malformed', `Invalid fix quality: ${quality}`);
+    }
+
+    // 0 = no fix, 1 = GPS, 2 = DGPS, 4/5 = RTK, 6 = dead reckoning, ...
+    // As with RMC, the remaining fields may be empty without a fix.
+    if (fixQuality === 0) return { type: 'GGA', fixQuality, valid: false };
+
+    const parsed = {
+        type: 'GGA',
+        time: parseTime(time),
+        fixQuality,
+        valid: true,
+        satellites: parseOptionalNumber(satellites),
+        hdop: parseOptionalNumber(hdop),
+        altitude: parseOptionalNumber(altitude)
+    };
+    parsed.lat = parseCoordinate(lat, latHemisphere, 2);
+    parsed.lng = parseCoordinate(lng, lngHemisphere, 3);
+    return parsed;
+}
+
+// Parse one sentence; throws NmeaError for bad checksums, malformed fields and
+// sentence types we don't handle
+function parseSentence(sentence) {
+    const fields = splitSentence(sentence.trim());
+    const type = fields[0].slice(2);
+
+    if (fields[0].length === 5 && type === 'RMC') return parseRmc(fields);
+    if (fields[0].length === 5 && type === 'GGA') return parseGga(fields);
+    throw new NmeaError('unsupported', `Unsupported sentence: ${fields[0]}`);
+}
+
+module.exports = { NmeaError, computeChecksum, parseSentence };
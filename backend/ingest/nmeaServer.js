@@ -0,0 +1,242 @@
+// TCP and UDP listeners for trackers that stream raw NMEA 0183. Fixes go through
+// the same pipeline as POST /api/vehicles/update.
+//
+// NMEA itself carries no identity, so a device first sends a line that isn't a
+// sentence: the vehicle's device key (see utils/deviceKeys). Over TCP that
+// holds for the connection; over UDP it's remembered per sender address for a while.
+const net = require('net');
+const dgram = require('dgram');
+const Vehicle = require('../models/vehicle');
+const tracking = require('../services/tracking');
+const { validateCoordinates, validateFixTime } = require('../utils/validation');
+const { deviceKeyHint } = require('../utils/deviceKeys');
+const { NmeaError, parseSentence } = require('./nmea');
+
+// Real sentences are at most 82 characters; anything far longer is garbage
+const MAX_LINE_LENGTH = 512;
+const TCP_IDLE_TIMEOUT_MS = 10 * 60 * 1000;
+const UDP_SESSION_TTL_MS = 10 * 60 * 1000;
+
+const stats = {
+    connections: 0,
+    sentences: 0,
+    positions: 0,
+    checksumErrors: 0,
+    malformed: 0,
+    unsupported: 0,
+    noFix: 0,
+    clockSkew: 0,
+    unidentified: 0,
+    unknownDevices: 0
+};
+
+const truncate = (line) => (line.length > 100 ? `${line.slice(0, 100)}...` : line);
+
+function createSession(label) {
+    return {
+        label,
+        deviceKey: null,
+        // Devices sending RMC get positions from it; GGA then only adds fix quality
+        seenRmc: false,
+        lastGga: null,
+        warned: new Set(),
+        queue: Promise.resolve(),
+        lastSeen: Date.now()
+    };
+}
+
+// Log a session-level problem once rather than for every sentence
+function warnOnce(session, key, message) {
+    if (session.warned.has(key)) return;
+    session.warned.add(key);
+    console.warn(`⚠️  NMEA ${session.label}: ${message}`);
+}
+
+// GGA only has a time of day; take the UTC day that puts it closest to now
+function timestampForTimeOfDay({ hours, minutes, seconds, milliseconds }) {
+    const now = new Date();
+    const timestamp = new Date(Date.UTC(
+        now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hours, minutes, seconds, milliseconds
+    ));
+    const twelveHours = 12 * 60 * 60 * 1000;
+    if (timestamp - now > twelveHours) timestamp.setUTCDate(timestamp.getUTCDate() - 1);
+    if (now - timestamp > twelveHours) timestamp.setUTCDate(timestamp.getUTCDate() + 1);
+    return timestamp;
+}
+
+const sameTimeOfDay = (a, b) => a.getUTCHours() === b.getUTCHours() &&
+    a.getUTCMinutes() === b.getUTCMinutes() && a.getUTCSeconds() === b.getUTCSeconds();
+
+async function recordFix(session, sentence) {
+    const timestamp = sentence.type === 'RMC' ? sentence.timestamp : timestampForTimeOfDay(sentence.time);
+
+    const validation = validateCoordinates(sentence.lat, sentence.lng);
+    if (!validation.valid) {
+        stats.malformed++;
+        console.warn(`⚠️  NMEA ${session.label}: ${validation.error}`);
+        return;
+    }
+
+    // A receiver with a wrong date would do it on every sentence, so it's logged once
+    const timeValidation = validateFixTime(timestamp);
+    if (!timeValidation.valid) {
+        stats.clockSkew++;
+        warnOnce(session, 'clock', `${timeValidation.error} (${timestamp.toISOString()})`);
+        return;
+    }
+
+    const vehicle = await Vehicle.findByDeviceKey(session.deviceKey);
+    if (!vehicle) {
+        stats.unknownDevices++;
+        warnOnce(session, 'unknown', `device key "${deviceKeyHint(session.deviceKey)}..." is invalid or revoked`);
+        return;
+    }
+
+    // Fix quality comes from the GGA for the same epoch, if the device sent one
+    const gga = sentence.type === 'GGA' ? sentence
+        : session.lastGga && sameTimeOfDay(timestampForTimeOfDay(session.lastGga.time), timestamp) ? session.lastGga : null;
+
+    await tracking.recordPosition(vehicle, {
+        lat: sentence.lat,
+        lng: sentence.lng,
+        speed: sentence.speed,
+        heading: sentence.heading,
+        altitude: gga ? gga.altitude : undefined,
+        fix: gga ? { quality: gga.fixQuality, satellites: gga.satellites, hdop: gga.hdop } : undefined,
+        timestamp
+    });
+    stats.positions++;
+}
+
+async function handleLine(session, rawLine) {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.length > MAX_LINE_LENGTH) {
+        stats.malformed++;
+        console.warn(`⚠️  NMEA ${session.label}: dropped a ${line.length}-character line`);
+        return;
+    }
+
+    // Anything that isn't a sentence identifies the device
+    if (!line.startsWith('$')) {
+        session.deviceKey = line;
+        session.seenRmc = false;
+        session.lastGga = null;
+        return;
+    }
+
+    stats.sentences++;
+    if (!session.deviceKey) {
+        stats.unidentified++;
+        warnOnce(session, 'unidentified', 'sentences received before the device identified itself');
+        return;
+    }
+
+    let sentence;
+    try {
+        sentence = parseSentence(line);
+    } catch (err) {
+        if (!(err instanceof NmeaError)) throw err;
+        // GSV, GSA, VTG and friends are normal chatter, so they're only counted
+        if (err.reason === 'unsupported') {
+            stats.unsupported++;
+            return;
+        }
+        if (err.reason === 'checksum') stats.checksumErrors++;
+        else stats.malformed++;
+        console.warn(`⚠️  NMEA ${session.label}: ${err.message}: ${truncate(line)}`);
+        return;
+    }
+
+    if (sentence.type === 'GGA') {
+        // Only a fix has the time and quality a later RMC can be matched with
+        session.lastGga = sentence.valid ? sentence : null;
+        if (session.seenRmc) return;
+    } else {
+        session.seenRmc = true;
+    }
+
+    if (!sentence.valid) {
+        stats.noFix++;
+        return;
+    }
+    await recordFix(session, sentence);
+}
+
+// Lines from one device are handled strictly in order; a failure never stops the queue
+function enqueueLine(session, line) {
+    session.lastSeen = Date.now();
+    session.queue = session.queue
+        .then(() => handleLine(session, line))
+        .catch(err => console.error(`NMEA ${session.label} error:`, err));
+}
+
+function startTcpListener(port) {
+    const server = net.createServer(socket => {
+        stats.connections++;
+        const session = createSession(`tcp ${socket.remoteAddress}:${socket.remotePort}`);
+        let buffer = '';
+
+        socket.setEncoding('latin1');
+        socket.setTimeout(TCP_IDLE_TIMEOUT_MS, () => socket.destroy());
+
+        socket.on('data', chunk => {
+            buffer += chunk;
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+            if (buffer.length > MAX_LINE_LENGTH) {
+                stats.malformed++;
+                console.warn(`⚠️  NMEA ${session.label}: dropped ${buffer.length} bytes without a line break`);
+                buffer = '';
+            }
+            lines.forEach(line => enqueueLine(session, line));
+        });
+        socket.on('end', () => {
+            if (buffer) enqueueLine(session, buffer);
+        });
+        socket.on('error', err => console.warn(`⚠️  NMEA ${session.label}: ${err.message}`));
+    });
+
+    server.on('error', err => console.error('NMEA TCP listener error:', err.message));
+    server.listen(port, () => console.log(`📡 NMEA TCP listener on port ${port}`));
+    return server;
+}
+
+function startUdpListener(port) {
+    const socket = dgram.createSocket('udp4');
+    const sessions = new Map();
+
+    socket.on('message', (message, remote) => {
+        const key = `${remote.address}:${remote.port}`;
+        let session = sessions.get(key);
+        if (!session) {
+            session = createSession(`udp ${key}`);
+            sessions.set(key, session);
+        }
+        message.toString('latin1').split(/\r?\n/).forEach(line => enqueueLine(session, line));
+    });
+
+    // Forget senders that went quiet
+    setInterval(() => {
+        const cutoff = Date.now() - UDP_SESSION_TTL_MS;
+        for (const [key, session] of sessions) {
+            if (session.lastSeen < cutoff) sessions.delete(key);
+        }
+    }, UDP_SESSION_TTL_MS).unref();
+
+    socket.on('error', err => console.error('NMEA UDP listener error:', err.message));
+    socket.bind(port, () => console.log(`📡 NMEA UDP listener on port ${port}`));
+    return socket;
+}
+
+// Start both listeners on the same port number
+function startNmeaListeners(port) {
+    return { tcp: startTcpListener(port), udp: startUdpListener(port) };
+}
+
+function getNmeaStats() {
+    return { ...stats };
+}
+
+module.exports = { startNmeaListeners, getNmeaStats };
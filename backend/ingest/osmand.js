@@ -0,0 +1,77 @@
+// The OsmAnd protocol spoken by Traccar Client and OsmAnd's online tracking:
+// one position per request as query-string (or form) parameters, e.g.
+//   ?id=<device key>&lat=48.85&lon=2.35&timestamp=1700000000&speed=12.5&bearing=90&altitude=35&accuracy=8&batt=76
+// Speed is in knots. The timestamp may be epoch seconds, epoch ms or a date string.
+// Clients only let the user set the id, so that's where the device key goes.
+const { validateCoordinates, validateMotion, validateFixTime } = require('../utils/validation');
+
+const KNOTS_TO_KMH = 1.852;
+
+const firstDefined = (...values) => values.find(value => value !== undefined && value !== '');
+
+function parseTimestamp(value) {
+    if (value === undefined) return new Date();
+    const numeric = Number(value);
+    if (!isNaN(numeric)) {
+        // Epoch seconds until roughly the year 33658, so anything larger is ms
+        return new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+    }
+    return new Date(value);
+}
+
+function parseOptionalNumber(value, name) {
+    if (value === undefined) return { value: undefined };
+    const number = parseFloat(value);
+    return isNaN(number) ? { error: `${name} must be a number` } : { value: number };
+}
+
+// Normalize request parameters into position fields.
+// Returns { error } or { value: { deviceKey, lat, lng, timestamp, speed, heading, altitude, accuracy, battery } }.
+// deviceKey is undefined when no id was sent; the route may take it from a header instead.
+function parseOsmandParams(params) {
+    const id = firstDefined(params.id, params.deviceid);
+
+    // Some clients send "location=lat,lon" instead of separate fields
+    let lat = params.lat;
+    let lng = firstDefined(params.lon, params.lng);
+    if ((lat === undefined || lng === undefined) && typeof params.location === 'string') {
+        [lat, lng] = params.location.split(',');
+    }
+    const parsedLat = parseFloat(lat);
+    const parsedLng = parseFloat(lng);
+    const validation = validateCoordinates(parsedLat, parsedLng);
+    if (!validation.valid) return { error: validation.error };
+
+    const timestamp = parseTimestamp(firstDefined(params.timestamp, params.time));
+    if (isNaN(timestamp.getTime())) return { error: 'timestamp must be epoch seconds, epoch ms or a date' };
+    const timeValidation = validateFixTime(timestamp);
+    if (!timeValidation.valid) return { error: timeValidation.error };
+
+    const value = { deviceKey: id === undefined ? undefined : String(id), lat: parsedLat, lng: parsedLng, timestamp };
+
+    // [field, parameter name used in errors, raw value]
+    const fields = [
+        ['speed', 'speed', firstDefined(params.speed)],
+        ['heading', 'bearing', firstDefined(params.bearing, params.heading, params.course)],
+        ['altitude', 'altitude', firstDefined(params.altitude)],
+        ['accuracy', 'accuracy', firstDefined(params.accuracy, params.hdop)],
+        ['battery', 'batt', firstDefined(params.batt, params.battery)]
+    ];
+    for (const [field, name, raw] of fields) {
+        const parsed = parseOptionalNumber(raw, name);
+        if (parsed.error) return { error: parsed.error };
+        value[field] = parsed.value;
+    }
+
+    if (value.speed !== undefined) value.speed *= KNOTS_TO_KMH;
+    const motionValidation = validateMotion(value.speed, value.heading);
+    if (!motionValidation.valid) return { error: motionValidation.error };
+
+    if (value.accuracy !== undefined && value.accuracy < 0) return { error: 'accuracy must not be negative' };
+    if (value.battery !== undefined && (value.battery < 0 || value.battery > 100)) {
+        return { error: 'batt must be a percentage between 0 and 100' };
+    }
+    return { value };
+}
+
+module.exports = { parseOsmandParams };
@@ -0,0 +1,98 @@
+const User = require('../models/user');
+const Vehicle = require('../models/vehicle');
+const { verifyAccessToken } = require('../utils/tokens');
+const { hasPermission } = require('../utils/permissions');
+
+// Every auth failure goes through here so clients always see the same 401 shape
+function sendUnauthorized(res, code, message) {
+    return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        code,
+        message
+    });
+}
+
+// Pull the bearer token out of the Authorization header
+function extractToken(req) {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme === 'Bearer' && token) return token;
+
+    // EventSource can't set headers, so event streams may pass the token in the query string
+    if (req.get('Accept') === 'text/event-stream' && typeof req.query.access_token === 'string') {
+        return req.query.access_token;
+    }
+    return null;
+}
+
+// Require a valid access token and attach the user (and their fleet) to the request
+async function authenticate(req, res, next) {
+    const token = extractToken(req);
+    if (!token) {
+        return sendUnauthorized(res, 'TOKEN_MISSING', 'Access token is required');
+    }
+
+    let payload;
+    try {
+        payload = verifyAccessToken(token);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return sendUnauthorized(res, 'TOKEN_EXPIRED', 'Access token has expired');
+        }
+        return sendUnauthorized(res, 'TOKEN_INVALID', 'Access token is invalid');
+    }
+
+    try {
+        const user = await User.findById(payload.sub).select('-password -refreshTokens');
+        if (!user) {
+            return sendUnauthorized(res, 'USER_NOT_FOUND', 'User no longer exists');
+        }
+
+        req.user = user;
+        req.fleetId = user.fleetId();
+        // Long-lived responses (the event stream) end when the token does
+        req.tokenExpiresAt = new Date(payload.exp * 1000);
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Require a tracker's device key (X-Device-Key header) and attach its vehicle and fleet.
+// Used instead of authenticate on the position update endpoints.
+async function authenticateDevice(req, res, next) {
+    const key = req.get('X-Device-Key');
+    if (!key) {
+        return sendUnauthorized(res, 'DEVICE_KEY_MISSING', 'Device key is required');
+    }
+
+    try {
+        const vehicle = await Vehicle.findByDeviceKey(key);
+        if (!vehicle) {
+            return sendUnauthorized(res, 'DEVICE_KEY_INVALID', 'Device key is invalid or has been revoked');
+        }
+
+        req.vehicle = vehicle;
+        req.fleetId = vehicle.fleet;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+// Require the authenticated user's role to grant a permission (use after authenticate)
+function authorize(permission) {
+    return (req, res, next) => {
+        if (!req.user || !hasPermission(req.user.role, permission)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Forbidden',
+                message: `Your role does not allow ${permission}`
+            });
+        }
+        next();
+    };
+}
+
+module.exports = { authenticate, authenticateDevice, authorize, sendUnauthorized };
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const ALERT_STATUSES = ['open', 'acknowledged', 'resolved'];
+
+// One firing of an alert rule, plus the state of its webhook delivery
+const alertSchema = new mongoose.Schema({
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    rule: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertRule',
+        required: true
+    },
+    ruleName: String,
+    type: {
+        type: String,
+        required: true
+    },
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    vehicleName: String,
+    message: {
+        type: String,
+        required: true
+    },
+    data: mongoose.Schema.Types.Mixed,
+    status: {
+        type: String,
+        enum: ALERT_STATUSES,
+        default: 'open'
+    },
+    triggeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    acknowledgedAt: Date,
+    acknowledgedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    resolvedAt: Date,
+    resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    delivery: {
+        status: {
+            type: String,
+            enum: ['none', 'pending', 'delivered', 'failed'],
+            default: 'none'
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        lastAttemptAt: Date,
+        // Set while an attempt is in flight, so only one process sends it
+        claimedAt: Date,
+        nextAttemptAt: Date,
+        lastError: String,
+        deliveredAt: Date
+    }
+}, {
+    timestamps: true
+});
+
+alertSchema.index({ fleet: 1, status: 1, triggeredAt: -1 });
+alertSchema.index({ rule: 1, vehicle: 1, triggeredAt: -1 });
+alertSchema.index({ 'delivery.status': 1, 'delivery.nextAttemptAt': 1 });
+
+alertSchema.statics.ALERT_STATUSES = ALERT_STATUSES;
+
+module.exports = mongoose.model('Alert', alertSchema);
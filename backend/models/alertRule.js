@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const RULE_TYPES = ['speed', 'stale', 'geofence_exit', 'after_hours_entry'];
+
+// A condition checked against incoming updates (speed, geofence rules) or on the
+// periodic sweep (stale). Firing creates an Alert and, if configured, a webhook call.
+const alertRuleSchema = new mongoose.Schema({
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 80
+    },
+    type: {
+        type: String,
+        enum: RULE_TYPES,
+        required: true
+    },
+    params: {
+        // speed: fire above this speed
+        speedKmh: Number,
+        // stale: fire when a vehicle hasn't reported for this long
+        staleMinutes: Number,
+        // geofence_exit / after_hours_entry: a specific fence, or any fence when unset
+        geofence: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Geofence'
+        },
+        // after_hours_entry: business hours [startHour, endHour) in the given IANA timezone
+        startHour: Number,
+        endHour: Number,
+        timezone: {
+            type: String,
+            default: 'UTC'
+        }
+    },
+    // Limit the rule to these vehicles; empty means every vehicle in the fleet
+    vehicles: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle'
+    }],
+    webhook: {
+        url: String,
+        // HMAC key for the X-Webhook-Signature header; only returned when generated
+        secret: {
+            type: String,
+            select: false
+        }
+    },
+    // Don't fire again for the same vehicle within this window
+    cooldownMinutes: {
+        type: Number,
+        default: 15,
+        min: 0
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+alertRuleSchema.methods.appliesTo = function (vehicle) {
+    return this.vehicles.length === 0 || this.vehicles.some(id => id.equals(vehicle._id));
+};
+
+alertRuleSchema.statics.RULE_TYPES = RULE_TYPES;
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A person who drives the fleet's vehicles. Who drove what and when is kept in
+// DriverAssignment; the vehicle they're driving now is the one whose `driver` they are.
+const driverSchema = new mongoose.Schema({
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 80
+    },
+    licenseNumber: {
+        type: String,
+        trim: true,
+        maxlength: 40
+    },
+    phone: {
+        type: String,
+        trim: true,
+        maxlength: 30
+    },
+    // Photo URL
+    photo: String
+}, {
+    timestamps: true
+});
+
+// A license number identifies one driver within a fleet
+driverSchema.index({ fleet: 1, licenseNumber: 1 }, { unique: true, partialFilterExpression: { licenseNumber: { $type: 'string' } } });
+
+module.exports = mongoose.model('Driver', driverSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// A driver at the wheel of a vehicle from startedAt until endedAt (null while it
+// lasts). Positions and trips are attributed to drivers through these records.
+// Names are copied in so the history still reads correctly after a deletion.
+const driverAssignmentSchema = new mongoose.Schema({
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        required: true
+    },
+    driverName: String,
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    vehicleName: String,
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    endedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    versionKey: false
+});
+
+driverAssignmentSchema.index({ vehicle: 1, startedAt: -1 });
+driverAssignmentSchema.index({ driver: 1, startedAt: -1 });
+
+// At most one open assignment per vehicle and per driver
+const OPEN = { partialFilterExpression: { endedAt: { $type: 'null' } } };
+driverAssignmentSchema.index({ vehicle: 1 }, { unique: true, name: 'open_per_vehicle', ...OPEN });
+driverAssignmentSchema.index({ driver: 1 }, { unique: true, name: 'open_per_driver', ...OPEN });
+
+module.exports = mongoose.model('DriverAssignment', driverAssignmentSchema);
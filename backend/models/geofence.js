@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { haversineDistance, pointInPolygon } = require('../utils/geo');
+
+const SHAPES = ['circle', 'polygon'];
+
+// A zone on the map; crossing its boundary records an enter/exit event
+const geofenceSchema = new mongoose.Schema({
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 60
+    },
+    shape: {
+        type: String,
+        enum: SHAPES,
+        required: true
+    },
+    // Circles: center + radius in meters
+    center: {
+        lat: Number,
+        lng: Number
+    },
+    radius: {
+        type: Number,
+        min: 1
+    },
+    // Polygons: a ring of [lng, lat] pairs (GeoJSON order, not closed)
+    coordinates: {
+        type: [[Number]],
+        default: undefined
+    },
+    color: {
+        type: String,
+        default: '#9b59b6'
+    },
+    active: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+geofenceSchema.methods.contains = function (lat, lng) {
+    if (this.shape === 'circle') {
+        return haversineDistance(lat, lng, this.center.lat, this.center.lng) <= this.radius;
+    }
+    return pointInPolygon(lat, lng, this.coordinates);
+};
+
+geofenceSchema.statics.SHAPES = SHAPES;
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A vehicle crossing a geofence boundary. Names are copied in so the feed still
+// reads correctly after a fence or vehicle is renamed or deleted.
+const geofenceEventSchema = new mongoose.Schema({
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    geofence: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Geofence',
+        required: true
+    },
+    geofenceName: String,
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    vehicleName: String,
+    type: {
+        type: String,
+        enum: ['enter', 'exit'],
+        required: true
+    },
+    lat: Number,
+    lng: Number,
+    timestamp: {
+        type: Date,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+geofenceEventSchema.index({ fleet: 1, timestamp: -1 });
+geofenceEventSchema.index({ vehicle: 1, timestamp: -1 });
+
+module.exports = mongoose.model('GeofenceEvent', geofenceEventSchema);
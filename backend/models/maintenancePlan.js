@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const MAINTENANCE_STATES = ['ok', 'due', 'overdue'];
+
+// Add calendar months, clamping to the end of shorter months (Jan 31 + 1 month = Feb 28/29)
+function addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+    result.setUTCDate(Math.min(day, lastDay));
+    return result;
+}
+
+// Recurring service for one vehicle, e.g. "oil change every 5,000 km or 6 months",
+// whichever comes first. Intervals count from the last service; the due thresholds
+// are derived from them on save so updates and sweeps can query them directly.
+// Distances are meters except the user-facing intervals, which are km.
+const maintenancePlanSchema = new mongoose.Schema({
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 80
+    },
+    // At least one of the two intervals is set
+    intervalKm: {
+        type: Number,
+        min: 1
+    },
+    intervalMonths: {
+        type: Number,
+        min: 1
+    },
+    // How early the plan turns 'due' before it is overdue
+    dueSoonKm: {
+        type: Number,
+        default: 500,
+        min: 0
+    },
+    dueSoonDays: {
+        type: Number,
+        default: 14,
+        min: 0
+    },
+    lastServiceAt: {
+        type: Date,
+        required: true
+    },
+    lastServiceOdometer: {
+        type: Number,
+        required: true
+    },
+    state: {
+        type: String,
+        enum: MAINTENANCE_STATES,
+        default: 'ok'
+    },
+    // Derived: null when the plan has no interval of that kind
+    dueOdometer: Number,
+    dueSoonOdometer: Number,
+    dueAt: Date,
+    dueSoonAt: Date
+}, {
+    timestamps: true
+});
+
+maintenancePlanSchema.index({ fleet: 1, state: 1 });
+maintenancePlanSchema.index({ state: 1, dueSoonAt: 1 });
+maintenancePlanSchema.index({ state: 1, dueAt: 1 });
+
+// Derive the due thresholds from the intervals and the last service
+maintenancePlanSchema.methods.setDueThresholds = function () {
+    if (this.intervalKm) {
+        this.dueOdometer = this.lastServiceOdometer + this.intervalKm * 1000;
+        this.dueSoonOdometer = this.dueOdometer - this.dueSoonKm * 1000;
+    } else {
+        this.dueOdometer = null;
+        this.dueSoonOdometer = null;
+    }
+    if (this.intervalMonths) {
+        this.dueAt = addMonths(this.lastServiceAt, this.intervalMonths);
+        this.dueSoonAt = new Date(this.dueAt.getTime() - this.dueSoonDays * 24 * 60 * 60 * 1000);
+    } else {
+        this.dueAt = null;
+        this.dueSoonAt = null;
+    }
+};
+
+maintenancePlanSchema.pre('validate', function (next) {
+    this.setDueThresholds();
+    next();
+});
+
+// State at a given odometer reading (meters) and time; thresholds must be current
+maintenancePlanSchema.methods.stateAt = function (odometer, now = new Date()) {
+    const reached = (threshold, value) => threshold !== null && threshold !== undefined && value >= threshold;
+    if (reached(this.dueOdometer, odometer) || reached(this.dueAt, now)) return 'overdue';
+    if (reached(this.dueSoonOdometer, odometer) || reached(this.dueSoonAt, now)) return 'due';
+    return 'ok';
+};
+
+maintenancePlanSchema.statics.MAINTENANCE_STATES = MAINTENANCE_STATES;
+
+module.exports = mongoose.model('MaintenancePlan', maintenancePlanSchema);
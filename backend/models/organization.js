@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// A shared fleet: every member of an organization sees the same vehicles
+const organizationSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        minlength: 2,
+        maxlength: 60
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One document per recorded fix. Kept out of the vehicle document so history
+// is unbounded and can be queried by time range.
+const positionSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    lat: {
+        type: Number,
+        required: true
+    },
+    lng: {
+        type: Number,
+        required: true
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    // Derived from the previous fix unless the device reported them (see services/tracking)
+    speed: Number,
+    heading: Number,
+    // Meters from the previous fix, and the vehicle's odometer after this one
+    distance: Number,
+    odometer: Number,
+    // Optional device extras: altitude and accuracy in meters, battery in percent
+    altitude: Number,
+    accuracy: Number,
+    battery: Number,
+    // Receiver fix details, when the source reports them (e.g. NMEA GGA)
+    fix: {
+        quality: Number,
+        satellites: Number,
+        hdop: Number
+    }
+}, {
+    versionKey: false
+});
+
+positionSchema.index({ vehicle: 1, timestamp: 1 });
+positionSchema.index({ fleet: 1, timestamp: 1 });
+
+module.exports = mongoose.model('Position', positionSchema);
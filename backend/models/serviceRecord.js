@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// A completed service logged against a maintenance plan. The plan name is copied
+// in so the record still reads correctly after the plan is deleted.
+const serviceRecordSchema = new mongoose.Schema({
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MaintenancePlan',
+        required: true
+    },
+    planName: String,
+    performedAt: {
+        type: Date,
+        required: true
+    },
+    // Vehicle odometer at the service, meters
+    odometer: {
+        type: Number,
+        required: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    loggedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+serviceRecordSchema.index({ vehicle: 1, performedAt: -1 });
+serviceRecordSchema.index({ plan: 1, performedAt: -1 });
+
+module.exports = mongoose.model('ServiceRecord', serviceRecordSchema);
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const locationSchema = new mongoose.Schema({
+    lat: Number,
+    lng: Number
+}, { _id: false });
+
+// A stretch of driving between two stops, built incrementally from position
+// updates (see services/trips). Distances are meters, durations seconds, speeds km/h.
+const tripSchema = new mongoose.Schema({
+    vehicle: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Vehicle',
+        required: true
+    },
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // 'open' while the vehicle is still on the trip
+    status: {
+        type: String,
+        enum: ['open', 'closed'],
+        default: 'open'
+    },
+    startTime: {
+        type: Date,
+        required: true
+    },
+    endTime: {
+        type: Date,
+        required: true
+    },
+    startLocation: locationSchema,
+    endLocation: locationSchema,
+    distance: {
+        type: Number,
+        default: 0
+    },
+    duration: {
+        type: Number,
+        default: 0
+    },
+    maxSpeed: {
+        type: Number,
+        default: 0
+    },
+    // Over the whole duration, idle time included
+    avgSpeed: {
+        type: Number,
+        default: 0
+    },
+    // Time spent stationary during the trip (traffic lights, short stops)
+    idleTime: {
+        type: Number,
+        default: 0
+    },
+    pointCount: {
+        type: Number,
+        default: 0
+    },
+    // Bookkeeping for the open trip: where it last moved, and the idle time and
+    // distance since then, which are dropped if the trip ends there
+    segmentation: {
+        lastMovingAt: Date,
+        lastMovingLocation: locationSchema,
+        trailingIdleTime: { type: Number, default: 0 },
+        trailingDistance: { type: Number, default: 0 }
+    }
+}, {
+    versionKey: false
+});
+
+tripSchema.index({ vehicle: 1, startTime: -1 });
+tripSchema.index({ vehicle: 1, status: 1 });
+tripSchema.index({ status: 1, endTime: 1 });
+
+tripSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.segmentation;
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Trip', tripSchema);
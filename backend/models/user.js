@@ -1,5 +1,17 @@
 const mongoose = require('mongoose');
+const { ROLES } = require('../utils/permissions');
 
+// Outstanding refresh tokens; removing an entry revokes that session
+const refreshTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -21,9 +33,26 @@ const userSchema = new mongoose.Schema({
         type: String,
         required: true,
         minlength: 4
-    }
+    },
+    role: {
+        type: String,
+        enum: ROLES,
+        default: 'viewer'
+    },
+    // Users without an organization have a personal fleet of their own
+    organization: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Organization',
+        default: null
+    },
+    refreshTokens: [refreshTokenSchema]
 }, {
     timestamps: true
 });
 
+// Vehicles are scoped to the organization's fleet, or to the user's own fleet
+userSchema.methods.fleetId = function () {
+    return this.organization || this._id;
+};
+
 module.exports = mongoose.model('User', userSchema);
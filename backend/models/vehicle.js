@@ -1,26 +1,69 @@
 const mongoose = require('mongoose');
+const { hashDeviceKey, generateDeviceKey, isDeviceKeyFormat } = require('../utils/deviceKeys');
+const { MAINTENANCE_STATES } = require('./maintenancePlan');
 
-const locationHistorySchema = new mongoose.Schema({
-    lat: {
-        type: Number,
+const VEHICLE_TYPES = ['car', 'truck', 'bike', 'bus'];
+
+const vehicleSchema = new mongoose.Schema({
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
         required: true
     },
-    lng: {
-        type: Number,
+    // Organization id, or the owner's id for personal fleets (see User#fleetId)
+    fleet: {
+        type: mongoose.Schema.Types.ObjectId,
         required: true
     },
-    timestamp: {
-        type: Date,
-        default: Date.now
-    }
-});
-
-const vehicleSchema = new mongoose.Schema({
     name: {
         type: String,
         required: true,
         trim: true
     },
+    // Free-form labels (lowercase) and an optional group, for filtering vehicle lists
+    tags: {
+        type: [String],
+        default: []
+    },
+    group: {
+        type: String,
+        trim: true
+    },
+    // Profile; type also picks the dashboard marker unless a custom icon URL is set
+    type: {
+        type: String,
+        enum: VEHICLE_TYPES,
+        default: 'car'
+    },
+    plateNumber: {
+        type: String,
+        trim: true
+    },
+    make: {
+        type: String,
+        trim: true
+    },
+    model: {
+        type: String,
+        trim: true
+    },
+    // Marker color, #rrggbb
+    color: String,
+    // Passengers or payload, in whatever unit the fleet uses
+    capacity: Number,
+    icon: String,
+    notes: String,
+    // Credential the vehicle's tracker uses for position updates (see utils/deviceKeys).
+    // Unset once revoked.
+    deviceKey: {
+        hash: {
+            type: String,
+            select: false
+        },
+        // Start of the key, so users can tell which key a device has
+        hint: String,
+        issuedAt: Date
+    },
     lat: {
         type: Number,
         required: true
@@ -29,13 +72,91 @@ const vehicleSchema = new mongoose.Schema({
         type: Number,
         required: true
     },
+    // lat/lng as a GeoJSON point for geospatial queries; kept in sync on validate
+    location: {
+        type: {
+            type: String,
+            enum: ['Point'],
+            default: 'Point'
+        },
+        coordinates: [Number]
+    },
     lastUpdated: {
         type: Date,
         default: Date.now
     },
-    locationHistory: [locationHistorySchema]
+    // Motion at the last update: speed in km/h, heading in degrees from north
+    speed: {
+        type: Number,
+        default: 0
+    },
+    heading: {
+        type: Number,
+        default: null
+    },
+    // Total distance travelled in meters
+    odometer: {
+        type: Number,
+        default: 0
+    },
+    // Worst state of its maintenance plans (see services/maintenance)
+    maintenance: {
+        type: String,
+        enum: MAINTENANCE_STATES,
+        default: 'ok'
+    },
+    // Who is driving it now; the history is in DriverAssignment
+    driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Driver',
+        default: null
+    },
+    // Earliest backfilled fix its trips don't include yet; cleared by scripts/rebuild-trips.js
+    tripsStaleFrom: Date,
+    // Geofences the vehicle was inside at its last update, for enter/exit detection
+    geofences: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Geofence'
+    }]
 }, {
     timestamps: true
 });
 
+// Names only have to be unique within a fleet
+vehicleSchema.index({ fleet: 1, name: 1 }, { unique: true });
+vehicleSchema.index({ fleet: 1, lastUpdated: -1 });
+vehicleSchema.index({ fleet: 1, tags: 1 });
+vehicleSchema.index({ fleet: 1, group: 1 });
+vehicleSchema.index({ fleet: 1, maintenance: 1 });
+vehicleSchema.index({ location: '2dsphere' });
+vehicleSchema.index({ 'deviceKey.hash': 1 }, { unique: true, partialFilterExpression: { 'deviceKey.hash': { $type: 'string' } } });
+
+// Runs for save() and insertMany(), which covers every position write. Vehicles
+// saved before locations existed get one the next time they're saved.
+vehicleSchema.pre('validate', function (next) {
+    const hasLocation = this.location && this.location.coordinates && this.location.coordinates.length === 2;
+    if (!hasLocation || this.isModified('lat') || this.isModified('lng')) {
+        this.location = { type: 'Point', coordinates: [this.lng, this.lat] };
+    }
+    next();
+});
+
+// Replace any existing key; returns the new plain key, which is never stored
+vehicleSchema.methods.issueDeviceKey = function () {
+    const { key, hash, hint } = generateDeviceKey();
+    this.deviceKey = { hash, hint, issuedAt: new Date() };
+    return key;
+};
+
+vehicleSchema.methods.revokeDeviceKey = function () {
+    this.deviceKey = undefined;
+};
+
+vehicleSchema.statics.findByDeviceKey = function (key) {
+    if (!isDeviceKeyFormat(key)) return Promise.resolve(null);
+    return this.findOne({ 'deviceKey.hash': hashDeviceKey(key) });
+};
+
+vehicleSchema.statics.VEHICLE_TYPES = VEHICLE_TYPES;
+
 module.exports = mongoose.model('Vehicle', vehicleSchema);
\ No newline at end of file
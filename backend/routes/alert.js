@@ -0,0 +1,88 @@
+const router = require('express').Router();
+const Alert = require('../models/alert');
+const liveUpdates = require('../services/liveUpdates');
+const { authorize } = require('../middleware/auth');
+const { isObjectId } = require('../utils/validation');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// ================== GET alerts ==================
+// Query: status (open | acknowledged | resolved), vehicle, limit (newest first)
+router.get('/', authorize('alerts:read'), async (req, res) => {
+    try {
+        const filter = { fleet: req.fleetId };
+        if (req.query.status) {
+            if (!Alert.ALERT_STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ success: false, error: `status must be one of: ${Alert.ALERT_STATUSES.join(', ')}` });
+            }
+            filter.status = req.query.status;
+        }
+        if (req.query.vehicle) {
+            if (!isObjectId(req.query.vehicle)) {
+                return res.status(400).json({ success: false, error: 'vehicle must be a vehicle id' });
+            }
+            filter.vehicle = req.query.vehicle;
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_LIMIT}` });
+        }
+
+        const [alerts, openCount] = await Promise.all([
+            Alert.find(filter).sort({ triggeredAt: -1 }).limit(limit),
+            Alert.countDocuments({ fleet: req.fleetId, status: 'open' })
+        ]);
+        res.status(200).json({ success: true, alerts, openCount });
+    } catch (err) {
+        console.error('Error fetching alerts:', err);
+        res.status(500).json({ success: false, error: 'Error fetching alerts' });
+    }
+});
+
+// Move an alert forward (open -> acknowledged -> resolved) and tell every dashboard
+async function changeStatus(req, res, status) {
+    const alert = await Alert.findOne({ _id: req.params.id, fleet: req.fleetId });
+    if (!alert) {
+        return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    if (alert.status === 'resolved' || alert.status === status) {
+        return res.status(400).json({ success: false, error: `Alert is already ${alert.status}` });
+    }
+
+    alert.status = status;
+    if (status === 'acknowledged') {
+        alert.acknowledgedAt = new Date();
+        alert.acknowledgedBy = req.user._id;
+    } else {
+        alert.resolvedAt = new Date();
+        alert.resolvedBy = req.user._id;
+    }
+    await alert.save();
+
+    liveUpdates.publish(req.fleetId, 'alert:updated', alert.toJSON());
+    res.status(200).json({ success: true, message: `Alert ${status}`, alert });
+}
+
+// ================== ACKNOWLEDGE alert ==================
+router.post('/:id/acknowledge', authorize('alerts:manage'), async (req, res) => {
+    try {
+        await changeStatus(req, res, 'acknowledged');
+    } catch (err) {
+        console.error('Error acknowledging alert:', err);
+        res.status(500).json({ success: false, error: 'Error acknowledging alert' });
+    }
+});
+
+// ================== RESOLVE alert ==================
+router.post('/:id/resolve', authorize('alerts:manage'), async (req, res) => {
+    try {
+        await changeStatus(req, res, 'resolved');
+    } catch (err) {
+        console.error('Error resolving alert:', err);
+        res.status(500).json({ success: false, error: 'Error resolving alert' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,213 @@
+const router = require('express').Router();
+const AlertRule = require('../models/alertRule');
+const Geofence = require('../models/geofence');
+const Vehicle = require('../models/vehicle');
+const { authorize } = require('../middleware/auth');
+const { generateSecret, checkWebhookUrl } = require('../services/webhooks');
+const { isObjectId } = require('../utils/validation');
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+const isHour = (value) => Number.isInteger(value) && value >= 0 && value <= 23;
+
+// Validate a rule body. When updating an existing rule, missing fields keep their value.
+// Returns { error } or { value } with only the fields to set.
+function validateRuleInput(body, existing = null) {
+    const value = {};
+
+    if (body.name !== undefined || !existing) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Rule name is required' };
+        }
+        value.name = body.name.trim();
+    }
+
+    const type = body.type !== undefined ? body.type : existing && existing.type;
+    if (!AlertRule.RULE_TYPES.includes(type)) {
+        return { error: `Type must be one of: ${AlertRule.RULE_TYPES.join(', ')}` };
+    }
+    value.type = type;
+
+    // Params are validated as a whole against the (possibly new) type
+    if (body.params !== undefined || !existing || type !== existing.type) {
+        const input = body.params || {};
+        const params = {};
+
+        if (type === 'speed') {
+            params.speedKmh = Number(input.speedKmh);
+            if (!(params.speedKmh > 0)) return { error: 'params.speedKmh must be a positive number' };
+        } else if (type === 'stale') {
+            params.staleMinutes = Number(input.staleMinutes);
+            if (!(params.staleMinutes > 0)) return { error: 'params.staleMinutes must be a positive number' };
+        } else {
+            if (input.geofence) {
+                if (!isObjectId(input.geofence)) return { error: 'params.geofence must be a geofence id' };
+                params.geofence = input.geofence;
+            }
+            if (type === 'after_hours_entry') {
+                params.startHour = Number(input.startHour);
+                params.endHour = Number(input.endHour);
+                if (!isHour(params.startHour) || !isHour(params.endHour) || params.startHour === params.endHour) {
+                    return { error: 'params.startHour and params.endHour must be different hours between 0 and 23' };
+                }
+                params.timezone = input.timezone || 'UTC';
+                if (!isValidTimezone(params.timezone)) return { error: `Unknown timezone: ${params.timezone}` };
+            }
+        }
+        value.params = params;
+    }
+
+    if (body.vehicles !== undefined) {
+        if (!Array.isArray(body.vehicles) || !body.vehicles.every(isObjectId)) {
+            return { error: 'vehicles must be a list of vehicle ids' };
+        }
+        value.vehicles = [...new Set(body.vehicles)];
+    }
+
+    if (body.webhookUrl !== undefined) {
+        if (body.webhookUrl && typeof body.webhookUrl !== 'string') {
+            return { error: 'webhookUrl must be an https URL' };
+        }
+        value['webhook.url'] = body.webhookUrl || undefined;
+    }
+
+    if (body.cooldownMinutes !== undefined) {
+        const cooldown = Number(body.cooldownMinutes);
+        if (isNaN(cooldown) || cooldown < 0) return { error: 'cooldownMinutes must be zero or more' };
+        value.cooldownMinutes = cooldown;
+    }
+    if (body.enabled !== undefined) value.enabled = Boolean(body.enabled);
+
+    return { value };
+}
+
+// The referenced fence has to belong to the same fleet
+async function checkGeofence(value, fleetId) {
+    if (!value.params || !value.params.geofence) return true;
+    return Boolean(await Geofence.exists({ _id: value.params.geofence, fleet: fleetId }));
+}
+
+// So do the vehicles the rule is limited to
+async function checkVehicles(value, fleetId) {
+    if (!value.vehicles || value.vehicles.length === 0) return true;
+    const found = await Vehicle.countDocuments({ _id: { $in: value.vehicles }, fleet: fleetId });
+    return found === value.vehicles.length;
+}
+
+// ================== GET all alert rules ==================
+router.get('/', authorize('alerts:read'), async (req, res) => {
+    try {
+        const rules = await AlertRule.find({ fleet: req.fleetId }).sort({ name: 1 });
+        res.status(200).json({ success: true, rules });
+    } catch (err) {
+        console.error('Error fetching alert rules:', err);
+        res.status(500).json({ success: false, error: 'Error fetching alert rules' });
+    }
+});
+
+// ================== CREATE alert rule ==================
+// A webhook secret is generated when a webhook URL is given; it is only ever returned here
+router.post('/', authorize('alertRules:manage'), async (req, res) => {
+    try {
+        const { error, value } = validateRuleInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (!await checkGeofence(value, req.fleetId)) {
+            return res.status(400).json({ success: false, error: 'Geofence not found' });
+        }
+        if (!await checkVehicles(value, req.fleetId)) {
+            return res.status(400).json({ success: false, error: 'Vehicle not found' });
+        }
+        const urlError = value['webhook.url'] && await checkWebhookUrl(value['webhook.url']);
+        if (urlError) {
+            return res.status(400).json({ success: false, error: urlError });
+        }
+
+        const rule = new AlertRule({ fleet: req.fleetId, createdBy: req.user._id });
+        rule.set(value);
+
+        let webhookSecret;
+        if (rule.webhook && rule.webhook.url) {
+            webhookSecret = generateSecret();
+            rule.webhook.secret = webhookSecret;
+        }
+        await rule.save();
+
+        const saved = rule.toJSON();
+        if (saved.webhook) delete saved.webhook.secret;
+
+        res.status(201).json({ success: true, message: 'Alert rule created successfully', rule: saved, webhookSecret });
+    } catch (err) {
+        console.error('Error creating alert rule:', err);
+        res.status(500).json({ success: false, error: 'Error creating alert rule' });
+    }
+});
+
+// ================== UPDATE alert rule ==================
+// Pass rotateSecret: true to issue a new webhook secret
+router.put('/:id', authorize('alertRules:manage'), async (req, res) => {
+    try {
+        const rule = await AlertRule.findOne({ _id: req.params.id, fleet: req.fleetId }).select('+webhook.secret');
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
+        }
+
+        const { error, value } = validateRuleInput(req.body, rule);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        if (!await checkGeofence(value, req.fleetId)) {
+            return res.status(400).json({ success: false, error: 'Geofence not found' });
+        }
+        if (!await checkVehicles(value, req.fleetId)) {
+            return res.status(400).json({ success: false, error: 'Vehicle not found' });
+        }
+        const urlError = value['webhook.url'] && await checkWebhookUrl(value['webhook.url']);
+        if (urlError) {
+            return res.status(400).json({ success: false, error: urlError });
+        }
+
+        rule.set(value);
+
+        let webhookSecret;
+        if (rule.webhook && rule.webhook.url && (!rule.webhook.secret || req.body.rotateSecret)) {
+            webhookSecret = generateSecret();
+            rule.webhook.secret = webhookSecret;
+        }
+        await rule.save();
+
+        const saved = rule.toJSON();
+        if (saved.webhook) delete saved.webhook.secret;
+
+        res.status(200).json({ success: true, message: 'Alert rule updated successfully', rule: saved, webhookSecret });
+    } catch (err) {
+        console.error('Error updating alert rule:', err);
+        res.status(500).json({ success: false, error: 'Error updating alert rule' });
+    }
+});
+
+// ================== DELETE alert rule ==================
+router.delete('/:id', authorize('alertRules:manage'), async (req, res) => {
+    try {
+        const rule = await AlertRule.findOneAndDelete({ _id: req.params.id, fleet: req.fleetId });
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
+        }
+
+        // Alerts it already raised stay in the inbox
+        res.json({ success: true, message: `Alert rule "${rule.name}" deleted`, rule });
+    } catch (err) {
+        console.error('Error deleting alert rule:', err);
+        res.status(500).json({ success: false, error: 'Error deleting alert rule' });
+    }
+});
+
+module.exports = router;
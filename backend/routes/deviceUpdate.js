@@ -0,0 +1,94 @@
+const router = require('express').Router();
+const tracking = require('../services/tracking');
+const { authenticateDevice } = require('../middleware/auth');
+const { parseFix } = require('../ingest/deviceFix');
+
+// Position updates from trackers. These authenticate with the vehicle's device key
+// (X-Device-Key) rather than a user session, so they're mounted ahead of the
+// user-authenticated vehicle routes.
+
+const MAX_BATCH_SIZE = 1000;
+
+// A name in the body is optional, but it has to match the key's vehicle
+function rejectOtherVehicle(req, res) {
+    const { name } = req.body;
+    if (name === undefined || name === req.vehicle.name) return false;
+    res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: `This device key belongs to "${req.vehicle.name}", not "${name}"`
+    });
+    return true;
+}
+
+// ================== UPDATE vehicle location ==================
+// A fix older than the vehicle's current position is only added to its history
+router.post('/', authenticateDevice, async (req, res) => {
+    try {
+        if (rejectOtherVehicle(req, res)) return;
+
+        const { error, value } = parseFix(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const vehicle = req.vehicle;
+        const status = await tracking.recordPosition(vehicle, value);
+
+        res.status(200).json({ success: true, message: 'Vehicle updated successfully', status, vehicle });
+    } catch (err) {
+        console.error('Error updating vehicle:', err);
+        res.status(500).json({ success: false, error: 'Error updating vehicle' });
+    }
+});
+
+// ================== UPDATE vehicle location in bulk ==================
+// Body: { fixes: [{ lat, lng, lastUpdated, speed, heading }, ...] } in any order.
+// Fixes are recorded oldest first; results[i] describes fixes[i]:
+// current (moved the vehicle), backfilled (history only), duplicate, rejected or failed.
+router.post('/batch', authenticateDevice, async (req, res) => {
+    try {
+        if (rejectOtherVehicle(req, res)) return;
+
+        const { fixes } = req.body;
+        if (!Array.isArray(fixes)) {
+            return res.status(400).json({ success: false, error: 'A fixes array is required' });
+        }
+        if (fixes.length === 0 || fixes.length > MAX_BATCH_SIZE) {
+            return res.status(400).json({ success: false, error: `Send between 1 and ${MAX_BATCH_SIZE} fixes` });
+        }
+
+        const vehicle = req.vehicle;
+        const results = new Array(fixes.length);
+        const valid = [];
+        fixes.forEach((fix, index) => {
+            const { error, value } = parseFix(fix);
+            if (error) {
+                results[index] = { index, status: 'rejected', error };
+            } else {
+                valid.push({ index, value });
+            }
+        });
+
+        const recorded = await tracking.recordPositions(vehicle, valid.map(fix => fix.value));
+        recorded.forEach((result, i) => {
+            results[valid[i].index] = { index: valid[i].index, ...result };
+        });
+
+        const summary = { current: 0, backfilled: 0, duplicate: 0, rejected: 0, failed: 0 };
+        results.forEach(result => summary[result.status]++);
+
+        res.status(200).json({
+            success: true,
+            message: `Processed ${fixes.length} fixes for "${vehicle.name}"`,
+            summary,
+            results,
+            vehicle
+        });
+    } catch (err) {
+        console.error('Error recording batch update:', err);
+        res.status(500).json({ success: false, error: 'Error recording batch update' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,265 @@
+const router = require('express').Router();
+const Driver = require('../models/driver');
+const DriverAssignment = require('../models/driverAssignment');
+const Vehicle = require('../models/vehicle');
+const { authorize } = require('../middleware/auth');
+const liveUpdates = require('../services/liveUpdates');
+const drivers = require('../services/drivers');
+const { parseDateParam, isObjectId, isHttpUrl } = require('../utils/validation');
+
+const DEFAULT_ASSIGNMENT_LIMIT = 50;
+const MAX_ASSIGNMENT_LIMIT = 500;
+const DEFAULT_TRIP_LIMIT = 50;
+const MAX_TRIP_LIMIT = 500;
+const MAX_PHOTO_URL_LENGTH = 500;
+
+// Validate a driver body. When updating an existing driver, missing fields keep their value.
+// Returns { error } or { value } with only the fields to set (undefined clears a field).
+function validateDriverInput(body, existing = null) {
+    const value = {};
+
+    if (body.name !== undefined || !existing) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Driver name is required' };
+        }
+        if (body.name.trim().length > 80) return { error: 'Driver name must be at most 80 characters' };
+        value.name = body.name.trim();
+    }
+
+    for (const [field, label, maxLength] of [['licenseNumber', 'License number', 40], ['phone', 'Phone', 30]]) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && typeof body[field] !== 'string') return { error: `${label} must be a string` };
+        const text = (body[field] || '').trim();
+        if (text.length > maxLength) return { error: `${label} must be at most ${maxLength} characters` };
+        value[field] = text || undefined;
+    }
+
+    if (body.photo !== undefined) {
+        if (body.photo && (typeof body.photo !== 'string' || body.photo.length > MAX_PHOTO_URL_LENGTH || !isHttpUrl(body.photo))) {
+            return { error: `photo must be an http(s) image URL of at most ${MAX_PHOTO_URL_LENGTH} characters` };
+        }
+        value.photo = body.photo || undefined;
+    }
+
+    return { value };
+}
+
+// Drivers as JSON with the vehicle each is driving now ({ _id, name } or null)
+async function withCurrentVehicles(driverList, fleetId) {
+    const vehicles = await Vehicle.find({ fleet: fleetId, driver: { $in: driverList.map(d => d._id) } }).select('name driver');
+    const byDriver = new Map(vehicles.map(v => [String(v.driver), { _id: v._id, name: v.name }]));
+    return driverList.map(driver => ({ ...driver.toJSON(), vehicle: byDriver.get(String(driver._id)) || null }));
+}
+
+// Every query below is scoped to the caller's fleet (set by the auth middleware)
+
+// ================== GET all drivers ==================
+router.get('/', authorize('drivers:read'), async (req, res) => {
+    try {
+        const driverList = await Driver.find({ fleet: req.fleetId }).sort({ name: 1 });
+        res.status(200).json({ success: true, drivers: await withCurrentVehicles(driverList, req.fleetId) });
+    } catch (err) {
+        console.error('Error fetching drivers:', err);
+        res.status(500).json({ success: false, error: 'Error fetching drivers' });
+    }
+});
+
+// ================== CREATE driver ==================
+router.post('/', authorize('drivers:manage'), async (req, res) => {
+    try {
+        const { error, value } = validateDriverInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const driver = await Driver.create({ ...value, fleet: req.fleetId });
+        res.status(201).json({ success: true, message: 'Driver added successfully', driver: { ...driver.toJSON(), vehicle: null } });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, error: `A driver with license number "${req.body.licenseNumber}" already exists` });
+        }
+        console.error('Error creating driver:', err);
+        res.status(500).json({ success: false, error: 'Error creating driver' });
+    }
+});
+
+// ================== GET driver by ID ==================
+router.get('/:id', authorize('drivers:read'), async (req, res) => {
+    try {
+        const driver = await Driver.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Driver not found' });
+        }
+
+        const [withVehicle] = await withCurrentVehicles([driver], req.fleetId);
+        res.status(200).json({ success: true, driver: withVehicle });
+    } catch (err) {
+        console.error('Error fetching driver:', err);
+        res.status(500).json({ success: false, error: 'Error fetching driver' });
+    }
+});
+
+// ================== UPDATE driver ==================
+router.put('/:id', authorize('drivers:manage'), async (req, res) => {
+    try {
+        const driver = await Driver.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Driver not found' });
+        }
+
+        const { error, value } = validateDriverInput(req.body, driver);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        driver.set(value);
+        await driver.save();
+        // Assignment history shows drivers by their current name
+        if (value.name) await DriverAssignment.updateMany({ driver: driver._id }, { $set: { driverName: driver.name } });
+
+        const [withVehicle] = await withCurrentVehicles([driver], req.fleetId);
+        res.status(200).json({ success: true, message: 'Driver updated successfully', driver: withVehicle });
+    } catch (err) {
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, error: `A driver with license number "${req.body.licenseNumber}" already exists` });
+        }
+        console.error('Error updating driver:', err);
+        res.status(500).json({ success: false, error: 'Error updating driver' });
+    }
+});
+
+// ================== DELETE driver ==================
+// Their assignment history is kept, so past trips stay attributed by name
+router.delete('/:id', authorize('drivers:manage'), async (req, res) => {
+    try {
+        const driver = await Driver.findOneAndDelete({ _id: req.params.id, fleet: req.fleetId });
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Driver not found' });
+        }
+
+        const vehicle = await Vehicle.findOne({ fleet: req.fleetId, driver: driver._id });
+        await drivers.unassignDriver(driver._id);
+        if (vehicle) liveUpdates.publish(req.fleetId, 'vehicle:updated', { _id: vehicle._id, name: vehicle.name, driver: null });
+
+        res.status(200).json({ success: true, message: `Driver "${driver.name}" deleted` });
+    } catch (err) {
+        console.error('Error deleting driver:', err);
+        res.status(500).json({ success: false, error: 'Error deleting driver' });
+    }
+});
+
+// ================== ASSIGN driver to a vehicle ==================
+// Body: { vehicle }. Replaces the vehicle's current driver and ends the driver's
+// assignment to any other vehicle.
+router.post('/:id/assignment', authorize('drivers:manage'), async (req, res) => {
+    try {
+        if (!isObjectId(req.body.vehicle)) {
+            return res.status(400).json({ success: false, error: 'vehicle must be a vehicle id' });
+        }
+
+        const [driver, vehicle] = await Promise.all([
+            Driver.findOne({ _id: req.params.id, fleet: req.fleetId }),
+            Vehicle.findOne({ _id: req.body.vehicle, fleet: req.fleetId })
+        ]);
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Driver not found' });
+        }
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+        if (vehicle.driver && vehicle.driver.equals(driver._id)) {
+            return res.status(400).json({ success: false, error: `${driver.name} is already driving ${vehicle.name}` });
+        }
+
+        const previousVehicle = await Vehicle.findOne({ fleet: req.fleetId, driver: driver._id });
+        const assignment = await drivers.assignDriver(vehicle, driver);
+
+        if (previousVehicle) liveUpdates.publish(req.fleetId, 'vehicle:updated', { _id: previousVehicle._id, name: previousVehicle.name, driver: null });
+        liveUpdates.publish(req.fleetId, 'vehicle:updated', { _id: vehicle._id, name: vehicle.name, driver: driver._id });
+
+        res.status(201).json({ success: true, message: `${driver.name} assigned to ${vehicle.name}`, assignment });
+    } catch (err) {
+        // Lost a race with another assignment for the same vehicle or driver
+        if (err.code === 11000) {
+            return res.status(409).json({ success: false, error: 'The vehicle or driver was assigned at the same time; try again' });
+        }
+        console.error('Error assigning driver:', err);
+        res.status(500).json({ success: false, error: 'Error assigning driver' });
+    }
+});
+
+// ================== UNASSIGN driver ==================
+router.delete('/:id/assignment', authorize('drivers:manage'), async (req, res) => {
+    try {
+        const driver = await Driver.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Driver not found' });
+        }
+
+        const vehicle = await Vehicle.findOne({ fleet: req.fleetId, driver: driver._id });
+        if (!vehicle) {
+            return res.status(400).json({ success: false, error: `${driver.name} isn't assigned to a vehicle` });
+        }
+
+        await drivers.unassignVehicle(vehicle);
+        liveUpdates.publish(req.fleetId, 'vehicle:updated', { _id: vehicle._id, name: vehicle.name, driver: null });
+
+        res.status(200).json({ success: true, message: `${driver.name} unassigned from ${vehicle.name}` });
+    } catch (err) {
+        console.error('Error unassigning driver:', err);
+        res.status(500).json({ success: false, error: 'Error unassigning driver' });
+    }
+});
+
+// ================== GET driver assignment history ==================
+// Query: limit (newest first)
+router.get('/:id/assignments', authorize('drivers:read'), async (req, res) => {
+    try {
+        const driver = await Driver.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Driver not found' });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_ASSIGNMENT_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_ASSIGNMENT_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_ASSIGNMENT_LIMIT}` });
+        }
+
+        const assignments = await DriverAssignment.find({ driver: driver._id }).sort({ startedAt: -1 }).limit(limit);
+        res.status(200).json({ success: true, driver: { _id: driver._id, name: driver.name }, assignments });
+    } catch (err) {
+        console.error('Error fetching driver assignments:', err);
+        res.status(500).json({ success: false, error: 'Error fetching driver assignments' });
+    }
+});
+
+// ================== GET driver trips ==================
+// Query: from, to (trip start times), limit (newest first). summary totals every
+// matching trip, not just the ones returned.
+router.get('/:id/trips', authorize('drivers:read'), async (req, res) => {
+    try {
+        const driver = await Driver.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!driver) {
+            return res.status(404).json({ success: false, error: 'Driver not found' });
+        }
+
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_TRIP_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_TRIP_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_TRIP_LIMIT}` });
+        }
+
+        const { trips, summary } = await drivers.driverTrips(driver._id, { from, to, limit });
+        res.status(200).json({ success: true, driver: { _id: driver._id, name: driver.name }, trips, summary });
+    } catch (err) {
+        console.error('Error fetching driver trips:', err);
+        res.status(500).json({ success: false, error: 'Error fetching driver trips' });
+    }
+});
+
+module.exports = router;
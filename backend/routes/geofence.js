@@ -0,0 +1,198 @@
+const router = require('express').Router();
+const Geofence = require('../models/geofence');
+const GeofenceEvent = require('../models/geofenceEvent');
+const Vehicle = require('../models/vehicle');
+const { authorize } = require('../middleware/auth');
+const { validateCoordinates, parseDateParam, isObjectId } = require('../utils/validation');
+
+const DEFAULT_EVENT_LIMIT = 50;
+const MAX_EVENT_LIMIT = 500;
+const MAX_POLYGON_POINTS = 500;
+
+// Validate a geofence body. When updating an existing fence, missing fields keep their value.
+// Returns { error } or { value } with only the fields to set.
+function validateGeofenceInput(body, existing = null) {
+    const value = {};
+
+    if (body.name !== undefined || !existing) {
+        if (typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'Geofence name is required' };
+        }
+        value.name = body.name.trim();
+    }
+
+    const shape = body.shape !== undefined ? body.shape : existing && existing.shape;
+    if (!Geofence.SHAPES.includes(shape)) {
+        return { error: `Shape must be one of: ${Geofence.SHAPES.join(', ')}` };
+    }
+    value.shape = shape;
+
+    const shapeChanged = existing && shape !== existing.shape;
+
+    if (shape === 'circle') {
+        if (body.center !== undefined || !existing || shapeChanged) {
+            const lat = parseFloat(body.center && body.center.lat);
+            const lng = parseFloat(body.center && body.center.lng);
+            const validation = validateCoordinates(lat, lng);
+            if (!validation.valid) return { error: `Invalid center: ${validation.error}` };
+            value.center = { lat, lng };
+        }
+        if (body.radius !== undefined || !existing || shapeChanged) {
+            const radius = parseFloat(body.radius);
+            if (isNaN(radius) || radius <= 0) return { error: 'Radius must be a positive number of meters' };
+            value.radius = radius;
+        }
+        if (shapeChanged) value.coordinates = undefined;
+    } else {
+        if (body.coordinates !== undefined || !existing || shapeChanged) {
+            const ring = body.coordinates;
+            if (!Array.isArray(ring) || ring.length < 3 || ring.length > MAX_POLYGON_POINTS) {
+                return { error: `Polygon needs between 3 and ${MAX_POLYGON_POINTS} points` };
+            }
+            const coordinates = [];
+            for (const point of ring) {
+                const lng = parseFloat(Array.isArray(point) ? point[0] : NaN);
+                const lat = parseFloat(Array.isArray(point) ? point[1] : NaN);
+                const validation = validateCoordinates(lat, lng);
+                if (!validation.valid) return { error: `Invalid polygon point: ${validation.error}` };
+                coordinates.push([lng, lat]);
+            }
+            value.coordinates = coordinates;
+        }
+        if (shapeChanged) {
+            value.center = undefined;
+            value.radius = undefined;
+        }
+    }
+
+    if (body.color !== undefined) {
+        if (typeof body.color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(body.color)) {
+            return { error: 'Color must be a hex value like #9b59b6' };
+        }
+        value.color = body.color;
+    }
+    if (body.active !== undefined) value.active = Boolean(body.active);
+
+    return { value };
+}
+
+// ================== GET all geofences ==================
+router.get('/', authorize('geofences:read'), async (req, res) => {
+    try {
+        const geofences = await Geofence.find({ fleet: req.fleetId }).sort({ name: 1 });
+        res.status(200).json({ success: true, geofences });
+    } catch (err) {
+        console.error('Error fetching geofences:', err);
+        res.status(500).json({ success: false, error: 'Error fetching geofences' });
+    }
+});
+
+// ================== GET enter/exit events ==================
+// Query: vehicle, geofence, since, limit (newest first)
+router.get('/events', authorize('geofences:read'), async (req, res) => {
+    try {
+        const since = parseDateParam(req.query.since);
+        if (since === null) {
+            return res.status(400).json({ success: false, error: 'since must be a valid date' });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_EVENT_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_EVENT_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_EVENT_LIMIT}` });
+        }
+
+        const filter = { fleet: req.fleetId };
+        for (const field of ['vehicle', 'geofence']) {
+            if (!req.query[field]) continue;
+            if (!isObjectId(req.query[field])) {
+                return res.status(400).json({ success: false, error: `${field} must be a ${field} id` });
+            }
+            filter[field] = req.query[field];
+        }
+        if (since) filter.timestamp = { $gte: since };
+
+        const events = await GeofenceEvent.find(filter).sort({ timestamp: -1 }).limit(limit);
+        res.status(200).json({ success: true, events });
+    } catch (err) {
+        console.error('Error fetching geofence events:', err);
+        res.status(500).json({ success: false, error: 'Error fetching geofence events' });
+    }
+});
+
+// ================== CREATE geofence ==================
+router.post('/', authorize('geofences:manage'), async (req, res) => {
+    try {
+        const { error, value } = validateGeofenceInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const geofence = await Geofence.create({
+            ...value,
+            fleet: req.fleetId,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({ success: true, message: 'Geofence created successfully', geofence });
+    } catch (err) {
+        console.error('Error creating geofence:', err);
+        res.status(500).json({ success: false, error: 'Error creating geofence' });
+    }
+});
+
+// ================== GET geofence by ID ==================
+router.get('/:id', authorize('geofences:read'), async (req, res) => {
+    try {
+        const geofence = await Geofence.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!geofence) {
+            return res.status(404).json({ success: false, error: 'Geofence not found' });
+        }
+        res.status(200).json({ success: true, geofence });
+    } catch (err) {
+        console.error('Error fetching geofence:', err);
+        res.status(500).json({ success: false, error: 'Error fetching geofence' });
+    }
+});
+
+// ================== UPDATE geofence ==================
+router.put('/:id', authorize('geofences:manage'), async (req, res) => {
+    try {
+        const geofence = await Geofence.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!geofence) {
+            return res.status(404).json({ success: false, error: 'Geofence not found' });
+        }
+
+        const { error, value } = validateGeofenceInput(req.body, geofence);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        geofence.set(value);
+        await geofence.save();
+
+        res.status(200).json({ success: true, message: 'Geofence updated successfully', geofence });
+    } catch (err) {
+        console.error('Error updating geofence:', err);
+        res.status(500).json({ success: false, error: 'Error updating geofence' });
+    }
+});
+
+// ================== DELETE geofence ==================
+router.delete('/:id', authorize('geofences:manage'), async (req, res) => {
+    try {
+        const geofence = await Geofence.findOneAndDelete({ _id: req.params.id, fleet: req.fleetId });
+        if (!geofence) {
+            return res.status(404).json({ success: false, error: 'Geofence not found' });
+        }
+
+        // Past events are kept for the record; vehicles just stop tracking the fence
+        await Vehicle.updateMany({ fleet: req.fleetId }, { $pull: { geofences: geofence._id } });
+
+        res.json({ success: true, message: `Geofence "${geofence.name}" deleted`, geofence });
+    } catch (err) {
+        console.error('Error deleting geofence:', err);
+        res.status(500).json({ success: false, error: 'Error deleting geofence' });
+    }
+});
+
+module.exports = router;
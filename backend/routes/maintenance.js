@@ -0,0 +1,311 @@
+const router = require('express').Router();
+const MaintenancePlan = require('../models/maintenancePlan');
+const ServiceRecord = require('../models/serviceRecord');
+const Vehicle = require('../models/vehicle');
+const Position = require('../models/position');
+const { authorize } = require('../middleware/auth');
+const maintenance = require('../services/maintenance');
+const { parseDateParam, isObjectId } = require('../utils/validation');
+
+const MAX_INTERVAL_KM = 1000000;
+const MAX_INTERVAL_MONTHS = 120;
+const MAX_DUE_SOON_DAYS = 365;
+const DEFAULT_SERVICE_LIMIT = 50;
+const MAX_SERVICE_LIMIT = 500;
+
+// An optional number in [min, max]; null clears it. Returns { error } or { value }.
+function parseNumberField(body, field, { min, max, integer = false, nullable = true }) {
+    const raw = body[field];
+    if (raw === null && nullable) return { value: undefined };
+    const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+    if (typeof number !== 'number' || !Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+        return { error: `${field} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` };
+    }
+    return { value: number };
+}
+
+// Validate a plan body. When updating an existing plan, missing fields keep their value.
+// Returns { error } or { value } with only the fields to set (undefined clears an interval).
+function validatePlanInput(body, existing = null) {
+    const value = {};
+
+    if (!existing) {
+        if (!isObjectId(body.vehicle)) return { error: 'vehicle must be a vehicle id' };
+        value.vehicle = body.vehicle;
+    } else if (body.vehicle !== undefined && String(body.vehicle) !== String(existing.vehicle)) {
+        return { error: 'A plan cannot be moved to another vehicle' };
+    }
+
+    if (body.name !== undefined || !existing) {
+        if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Plan name is required' };
+        if (body.name.trim().length > 80) return { error: 'Plan name must be at most 80 characters' };
+        value.name = body.name.trim();
+    }
+
+    const numberFields = [
+        ['intervalKm', { min: 1, max: MAX_INTERVAL_KM }],
+        ['intervalMonths', { min: 1, max: MAX_INTERVAL_MONTHS, integer: true }],
+        ['dueSoonKm', { min: 0, max: MAX_INTERVAL_KM, nullable: false }],
+        ['dueSoonDays', { min: 0, max: MAX_DUE_SOON_DAYS, integer: true, nullable: false }],
+        ['lastServiceOdometer', { min: 0, max: Number.MAX_SAFE_INTEGER, nullable: false }]
+    ];
+    for (const [field, options] of numberFields) {
+        if (body[field] === undefined) continue;
+        const { error, value: number } = parseNumberField(body, field, options);
+        if (error) return { error };
+        value[field] = number;
+    }
+
+    const has = (field) => (field in value ? value[field] !== undefined : Boolean(existing && existing[field]));
+    if (!has('intervalKm') && !has('intervalMonths')) {
+        return { error: 'Set intervalKm, intervalMonths or both' };
+    }
+
+    if (body.lastServiceAt !== undefined) {
+        const lastServiceAt = parseDateParam(body.lastServiceAt);
+        if (!lastServiceAt || lastServiceAt > new Date()) return { error: 'lastServiceAt must be a valid date, not in the future' };
+        value.lastServiceAt = lastServiceAt;
+    }
+
+    return { value };
+}
+
+// Validate a completed-service body. Returns { error } or { value: { performedAt, odometer, notes } }
+// where performedAt/odometer are undefined when not given.
+function validateServiceInput(body) {
+    const value = {};
+
+    if (body.performedAt !== undefined) {
+        const performedAt = parseDateParam(body.performedAt);
+        if (!performedAt || performedAt > new Date()) return { error: 'performedAt must be a valid date, not in the future' };
+        value.performedAt = performedAt;
+    }
+
+    if (body.odometer !== undefined) {
+        const { error, value: odometer } = parseNumberField(body, 'odometer', { min: 0, max: Number.MAX_SAFE_INTEGER, nullable: false });
+        if (error) return { error };
+        value.odometer = odometer;
+    }
+
+    if (body.notes !== undefined && body.notes !== null) {
+        if (typeof body.notes !== 'string') return { error: 'notes must be a string' };
+        if (body.notes.trim().length > 1000) return { error: 'notes must be at most 1000 characters' };
+        value.notes = body.notes.trim() || undefined;
+    }
+
+    return { value };
+}
+
+// The vehicle's odometer at a past time, from its recorded track. Points stored
+// without a reading (older history) are skipped rather than read as the current one.
+async function odometerAt(vehicle, time) {
+    const position = await Position.findOne({ vehicle: vehicle._id, timestamp: { $lte: time }, odometer: { $type: 'number' } })
+        .sort({ timestamp: -1 })
+        .select('odometer')
+        .lean();
+    return position ? position.odometer : vehicle.odometer || 0;
+}
+
+// Plans as JSON with their remaining distance/time, each with its vehicle's name
+async function describePlans(plans, fleetId) {
+    const vehicles = await Vehicle.find({ fleet: fleetId, _id: { $in: plans.map(p => p.vehicle) } }).select('name odometer');
+    const byId = new Map(vehicles.map(v => [String(v._id), v]));
+    const now = new Date();
+    return plans.map(plan => {
+        const vehicle = byId.get(String(plan.vehicle));
+        return { ...maintenance.describePlan(plan, vehicle ? vehicle.odometer : 0, now), vehicleName: vehicle ? vehicle.name : null };
+    });
+}
+
+// Every query below is scoped to the caller's fleet (set by the auth middleware)
+
+// ================== GET maintenance plans ==================
+// Query: vehicle, state (comma-separated ok, due, overdue)
+router.get('/plans', authorize('maintenance:read'), async (req, res) => {
+    try {
+        const filter = { fleet: req.fleetId };
+        if (req.query.vehicle !== undefined) {
+            if (!isObjectId(req.query.vehicle)) {
+                return res.status(400).json({ success: false, error: 'vehicle must be a vehicle id' });
+            }
+            filter.vehicle = req.query.vehicle;
+        }
+        if (req.query.state !== undefined) {
+            const states = String(req.query.state).split(',').map(s => s.trim()).filter(Boolean);
+            if (states.length === 0 || states.some(state => !MaintenancePlan.MAINTENANCE_STATES.includes(state))) {
+                return res.status(400).json({ success: false, error: `state must be one or more of: ${MaintenancePlan.MAINTENANCE_STATES.join(', ')}` });
+            }
+            filter.state = { $in: states };
+        }
+
+        const plans = await MaintenancePlan.find(filter).sort({ vehicle: 1, name: 1 });
+        res.status(200).json({ success: true, plans: await describePlans(plans, req.fleetId) });
+    } catch (err) {
+        console.error('Error fetching maintenance plans:', err);
+        res.status(500).json({ success: false, error: 'Error fetching maintenance plans' });
+    }
+});
+
+// ================== CREATE maintenance plan ==================
+// Intervals count from the last service: lastServiceAt (default now) and
+// lastServiceOdometer (meters; defaults to the odometer recorded at lastServiceAt)
+router.post('/plans', authorize('maintenance:manage'), async (req, res) => {
+    try {
+        const { error, value } = validatePlanInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const vehicle = await Vehicle.findOne({ _id: value.vehicle, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        const plan = new MaintenancePlan({
+            lastServiceAt: new Date(),
+            lastServiceOdometer: value.lastServiceAt ? await odometerAt(vehicle, value.lastServiceAt) : vehicle.odometer || 0,
+            ...value,
+            fleet: req.fleetId
+        });
+        await maintenance.refreshPlan(plan, vehicle);
+
+        res.status(201).json({
+            success: true,
+            message: 'Maintenance plan created successfully',
+            plan: { ...maintenance.describePlan(plan, vehicle.odometer), vehicleName: vehicle.name }
+        });
+    } catch (err) {
+        console.error('Error creating maintenance plan:', err);
+        res.status(500).json({ success: false, error: 'Error creating maintenance plan' });
+    }
+});
+
+// ================== UPDATE maintenance plan ==================
+// A new lastServiceAt without lastServiceOdometer takes the odometer recorded then
+router.put('/plans/:id', authorize('maintenance:manage'), async (req, res) => {
+    try {
+        const plan = await MaintenancePlan.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!plan) {
+            return res.status(404).json({ success: false, error: 'Maintenance plan not found' });
+        }
+
+        const { error, value } = validatePlanInput(req.body, plan);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const vehicle = await Vehicle.findOne({ _id: plan.vehicle, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        if (value.lastServiceAt && value.lastServiceOdometer === undefined) {
+            value.lastServiceOdometer = await odometerAt(vehicle, value.lastServiceAt);
+        }
+
+        plan.set(value);
+        await maintenance.refreshPlan(plan, vehicle);
+        // Service history shows plans by their current name
+        if (value.name) await ServiceRecord.updateMany({ plan: plan._id }, { $set: { planName: plan.name } });
+
+        res.status(200).json({
+            success: true,
+            message: 'Maintenance plan updated successfully',
+            plan: { ...maintenance.describePlan(plan, vehicle.odometer), vehicleName: vehicle.name }
+        });
+    } catch (err) {
+        console.error('Error updating maintenance plan:', err);
+        res.status(500).json({ success: false, error: 'Error updating maintenance plan' });
+    }
+});
+
+// ================== DELETE maintenance plan ==================
+// Its service records are kept in the vehicle's history
+router.delete('/plans/:id', authorize('maintenance:manage'), async (req, res) => {
+    try {
+        const plan = await MaintenancePlan.findOneAndDelete({ _id: req.params.id, fleet: req.fleetId });
+        if (!plan) {
+            return res.status(404).json({ success: false, error: 'Maintenance plan not found' });
+        }
+
+        const vehicle = await Vehicle.findOne({ _id: plan.vehicle, fleet: req.fleetId });
+        if (vehicle) await maintenance.syncVehicleState(vehicle);
+
+        res.status(200).json({ success: true, message: `Maintenance plan "${plan.name}" deleted` });
+    } catch (err) {
+        console.error('Error deleting maintenance plan:', err);
+        res.status(500).json({ success: false, error: 'Error deleting maintenance plan' });
+    }
+});
+
+// ================== LOG completed service ==================
+// Body: performedAt (default now), odometer (meters; defaults to the odometer recorded
+// at performedAt), notes
+router.post('/plans/:id/services', authorize('maintenance:manage'), async (req, res) => {
+    try {
+        const plan = await MaintenancePlan.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!plan) {
+            return res.status(404).json({ success: false, error: 'Maintenance plan not found' });
+        }
+
+        const { error, value } = validateServiceInput(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const vehicle = await Vehicle.findOne({ _id: plan.vehicle, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        const performedAt = value.performedAt || new Date();
+        const odometer = value.odometer !== undefined
+            ? value.odometer
+            : value.performedAt ? await odometerAt(vehicle, performedAt) : vehicle.odometer || 0;
+
+        const record = await maintenance.logService(plan, vehicle, {
+            performedAt,
+            odometer,
+            notes: value.notes,
+            loggedBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: `${plan.name} logged for ${vehicle.name}`,
+            service: record,
+            plan: { ...maintenance.describePlan(plan, vehicle.odometer), vehicleName: vehicle.name }
+        });
+    } catch (err) {
+        console.error('Error logging service:', err);
+        res.status(500).json({ success: false, error: 'Error logging service' });
+    }
+});
+
+// ================== GET service history ==================
+// Query: vehicle, plan, limit (newest first)
+router.get('/services', authorize('maintenance:read'), async (req, res) => {
+    try {
+        const filter = { fleet: req.fleetId };
+        for (const field of ['vehicle', 'plan']) {
+            if (req.query[field] === undefined) continue;
+            if (!isObjectId(req.query[field])) {
+                return res.status(400).json({ success: false, error: `${field} must be an id` });
+            }
+            filter[field] = req.query[field];
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_SERVICE_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_SERVICE_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_SERVICE_LIMIT}` });
+        }
+
+        const services = await ServiceRecord.find(filter).sort({ performedAt: -1 }).limit(limit);
+        res.status(200).json({ success: true, services });
+    } catch (err) {
+        console.error('Error fetching service history:', err);
+        res.status(500).json({ success: false, error: 'Error fetching service history' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,42 @@
+const router = require('express').Router();
+const Vehicle = require('../models/vehicle');
+const tracking = require('../services/tracking');
+const { sendUnauthorized } = require('../middleware/auth');
+const { parseOsmandParams } = require('../ingest/osmand');
+
+// ================== OsmAnd / Traccar Client position ==================
+// Devices have no user session: they authenticate with the vehicle's device key,
+// sent as the id parameter (all Traccar Client lets you set) or an X-Device-Key header.
+// Clients retry anything but a 200, so bad input gets a 4xx they can give up on.
+router.all('/', async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ success: false, error: 'Use GET or POST' });
+    }
+
+    try {
+        const { error, value } = parseOsmandParams({ ...req.query, ...req.body });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const { deviceKey, ...position } = value;
+        const key = req.get('X-Device-Key') || deviceKey;
+        if (!key) {
+            return sendUnauthorized(res, 'DEVICE_KEY_MISSING', 'Device key is required');
+        }
+
+        const vehicle = await Vehicle.findByDeviceKey(key);
+        if (!vehicle) {
+            return sendUnauthorized(res, 'DEVICE_KEY_INVALID', 'Device key is invalid or has been revoked');
+        }
+
+        await tracking.recordPosition(vehicle, position);
+
+        res.status(200).json({ success: true });
+    } catch (err) {
+        console.error('Error recording OsmAnd position:', err);
+        res.status(500).json({ success: false, error: 'Error recording position' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const router = require('express').Router();
+const { authorize } = require('../middleware/auth');
+const liveUpdates = require('../services/liveUpdates');
+
+// ================== Live vehicle events (Server-Sent Events) ==================
+// Emits vehicle:position, vehicle:created, vehicle:updated and vehicle:deleted for the caller's fleet.
+// EventSource can't send headers, so the access token may be passed as ?access_token=.
+// The stream closes when that token expires; EventSource clients reconnect with a new one.
+router.get('/', authorize('vehicles:read'), (req, res) => {
+    liveUpdates.subscribe(req.fleetId, req, res, req.tokenExpiresAt);
+});
+
+module.exports = router;
@@ -1,73 +1,144 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
 const User = require('../models/user');
+const Organization = require('../models/organization');
+const { authenticate, authorize, sendUnauthorized } = require('../middleware/auth');
+const { signAccessToken, signRefreshToken, verifyRefreshToken } = require('../utils/tokens');
+const { ROLES, permissionsFor } = require('../utils/permissions');
 
 const router = express.Router();
 
+// Issue a fresh access/refresh pair and remember the refresh token's jti
+async function startSession(user) {
+    const refresh = signRefreshToken(user);
+
+    // Drop expired sessions while we're here so the list doesn't grow forever
+    const now = new Date();
+    user.refreshTokens = user.refreshTokens.filter(t => t.expiresAt > now);
+    user.refreshTokens.push({ jti: refresh.jti, expiresAt: refresh.expiresAt });
+    await user.save();
+
+    return {
+        accessToken: signAccessToken(user),
+        refreshToken: refresh.token
+    };
+}
+
+function serializeUser(user) {
+    return {
+        _id: user._id,
+        username: user.username,
+        email: user.email,
+        organization: user.organization,
+        role: user.role,
+        permissions: permissionsFor(user.role)
+    };
+}
+
+// Shared by self-registration and admin-created members; returns an error message or null
+function validateNewUser({ username, email, password }) {
+    if (!username || !email || !password) {
+        return 'Please provide username, email, and password';
+    }
+    if (password.length < 6) {
+        return 'Password must be at least 6 characters long';
+    }
+    if (username.length < 3) {
+        return 'Username must be at least 3 characters long';
+    }
+    return null;
+}
+
+async function findDuplicateUserMessage(username, email) {
+    const existingUser = await User.findOne({ 
+        $or: [{ username }, { email }] 
+    });
+    if (!existingUser) return null;
+    return existingUser.username === username ? 'Username already exists' : 'Email already exists';
+}
+
+function duplicateKeyMessage(error) {
+    const field = Object.keys(error.keyPattern)[0];
+    return `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`;
+}
+
 // Register a new user
 router.post('/register', async (req, res) => {
     try {
-        const { username, email, password } = req.body;
+        const { username, email, password, organization } = req.body;
 
         // Validation
-        if (!username || !email || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide username, email, and password'
-            });
-        }
-
-        if (password.length < 6) {
+        const validationError = validateNewUser({ username, email, password });
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: 'Password must be at least 6 characters long'
+                message: validationError
             });
         }
 
-        if (username.length < 3) {
+        // Check if user exists
+        const duplicateMessage = await findDuplicateUserMessage(username, email);
+        if (duplicateMessage) {
             return res.status(400).json({
                 success: false,
-                message: 'Username must be at least 3 characters long'
+                message: duplicateMessage
             });
         }
 
-        // Check if user exists
-        const existingUser = await User.findOne({ 
-            $or: [{ username }, { email }] 
-        });
+        // Optionally start a new organization; otherwise the user gets a personal fleet
+        const organizationName = typeof organization === 'string' ? organization.trim() : '';
+        if (organizationName) {
+            if (organizationName.length < 2) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Organization name must be at least 2 characters long'
+                });
+            }
 
-        if (existingUser) {
-            return res.status(400).json({
-                success: false,
-                message: existingUser.username === username ? 
-                    'Username already exists' : 'Email already exists'
-            });
+            const existingOrganization = await Organization.findOne({ name: organizationName });
+            if (existingOrganization) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Organization already exists'
+                });
+            }
         }
 
         // Hash password before saving
         const saltRounds = 12;
         const hashedPassword = await bcrypt.hash(password, saltRounds);
 
-        // Create and save user
+        // Self-registered users run their own fleet (or the organization they just founded)
         const user = new User({ 
             username, 
             email, 
-            password: hashedPassword 
+            password: hashedPassword,
+            role: 'admin'
         });
 
-        await user.save();
+        let newOrganization = null;
+        if (organizationName) {
+            newOrganization = await Organization.create({ name: organizationName, createdBy: user._id });
+            user.organization = newOrganization._id;
+        }
+
+        try {
+            await user.save();
+        } catch (error) {
+            // Don't leave the new organization behind without its founder
+            if (newOrganization) await Organization.deleteOne({ _id: newOrganization._id });
+            throw error;
+        }
 
         console.log('User registered successfully:', username);
 
-        // Return simple response - no JWT token needed
+        const tokens = await startSession(user);
+
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
-            user: {
-                _id: user._id,
-                username: user.username,
-                email: user.email
-            }
+            user: serializeUser(user),
+            ...tokens
         });
 
     } catch (error) {
@@ -75,10 +146,9 @@ router.post('/register', async (req, res) => {
 
         // Handle MongoDB duplicate key errors
         if (error.code === 11000) {
-            const field = Object.keys(error.keyPattern)[0];
             return res.status(400).json({
                 success: false,
-                message: `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`
+                message: duplicateKeyMessage(error)
             });
         }
 
@@ -125,15 +195,13 @@ router.post('/login', async (req, res) => {
 
         console.log('User logged in successfully:', username);
 
-        // Return simple response - no JWT token needed
+        const tokens = await startSession(user);
+
         res.json({
             success: true,
             message: 'Login successful',
-            user: {
-                _id: user._id,
-                username: user.username,
-                email: user.email
-            }
+            user: serializeUser(user),
+            ...tokens
         });
 
     } catch (error) {
@@ -145,12 +213,256 @@ router.post('/login', async (req, res) => {
     }
 });
 
+// Exchange a refresh token for a new token pair (the old refresh token is rotated out)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return sendUnauthorized(res, 'TOKEN_MISSING', 'Refresh token is required');
+        }
+
+        let payload;
+        try {
+            payload = verifyRefreshToken(refreshToken);
+        } catch (err) {
+            if (err.name === 'TokenExpiredError') {
+                return sendUnauthorized(res, 'TOKEN_EXPIRED', 'Refresh token has expired');
+            }
+            return sendUnauthorized(res, 'TOKEN_INVALID', 'Refresh token is invalid');
+        }
+
+        const user = await User.findById(payload.sub);
+        const session = user && user.refreshTokens.find(t => t.jti === payload.jti);
+
+        if (!session) {
+            return sendUnauthorized(res, 'TOKEN_REVOKED', 'Refresh token has been revoked');
+        }
+
+        user.refreshTokens = user.refreshTokens.filter(t => t.jti !== payload.jti);
+        const tokens = await startSession(user);
+
+        res.json({
+            success: true,
+            message: 'Token refreshed',
+            user: serializeUser(user),
+            ...tokens
+        });
+
+    } catch (error) {
+        console.error('Token refresh error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing token'
+        });
+    }
+});
+
+// Revoke a refresh token; the client discards its access token
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the refresh token to revoke'
+            });
+        }
+
+        let payload;
+        try {
+            // Expired tokens can still be logged out, so only the signature is checked
+            payload = verifyRefreshToken(refreshToken, { ignoreExpiration: true });
+        } catch (err) {
+            return sendUnauthorized(res, 'TOKEN_INVALID', 'Refresh token is invalid');
+        }
+
+        await User.updateOne(
+            { _id: payload.sub },
+            { $pull: { refreshTokens: { jti: payload.jti } } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out user'
+        });
+    }
+});
+
+// Get the currently authenticated user
+router.get('/me', authenticate, (req, res) => {
+    res.json({
+        success: true,
+        user: serializeUser(req.user)
+    });
+});
+
+// ================== Organization member management (admins) ==================
+
+// List the users who share the caller's fleet
+router.get('/', authenticate, authorize('users:manage'), async (req, res) => {
+    try {
+        const filter = req.user.organization
+            ? { organization: req.user.organization }
+            : { _id: req.user._id };
+        const users = await User.find(filter).sort({ username: 1 });
+
+        res.json({
+            success: true,
+            users: users.map(serializeUser)
+        });
+
+    } catch (error) {
+        console.error('User list error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching users'
+        });
+    }
+});
+
+// Create an account inside the admin's organization
+router.post('/members', authenticate, authorize('users:manage'), async (req, res) => {
+    try {
+        const { username, email, password, role = 'viewer' } = req.body;
+
+        if (!req.user.organization) {
+            return res.status(400).json({
+                success: false,
+                message: 'Create an organization before adding members'
+            });
+        }
+
+        const validationError = validateNewUser({ username, email, password });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        const duplicateMessage = await findDuplicateUserMessage(username, email);
+        if (duplicateMessage) {
+            return res.status(400).json({
+                success: false,
+                message: duplicateMessage
+            });
+        }
+
+        const saltRounds = 12;
+        const hashedPassword = await bcrypt.hash(password, saltRounds);
+        const user = await User.create({
+            username,
+            email,
+            password: hashedPassword,
+            role,
+            organization: req.user.organization
+        });
+
+        console.log(`User ${username} added to organization by ${req.user.username}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Member added successfully',
+            user: serializeUser(user)
+        });
+
+    } catch (error) {
+        console.error('Add member error:', error);
+
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: duplicateKeyMessage(error)
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error adding member'
+        });
+    }
+});
+
+// Change another member's role
+router.patch('/:id/role', authenticate, authorize('users:manage'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Role must be one of: ${ROLES.join(', ')}`
+            });
+        }
+
+        if (!req.user.organization) {
+            return res.status(400).json({
+                success: false,
+                message: 'Personal fleets have no other members to manage'
+            });
+        }
+
+        const user = await User.findOne({ _id: req.params.id, organization: req.user.organization });
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Never leave an organization without an admin
+        if (user.role === 'admin' && role !== 'admin') {
+            const adminCount = await User.countDocuments({ organization: req.user.organization, role: 'admin' });
+            if (adminCount <= 1) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'An organization needs at least one admin'
+                });
+            }
+        }
+
+        user.role = role;
+        await user.save();
+
+        console.log(`Role of ${user.username} changed to ${role} by ${req.user.username}`);
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            user: serializeUser(user)
+        });
+
+    } catch (error) {
+        console.error('Role update error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error updating role'
+        });
+    }
+});
+
 // Get user profile (optional - for checking if user exists)
 router.get('/profile/:username', async (req, res) => {
     try {
         const { username } = req.params;
 
-        const user = await User.findOne({ username }).select('-password');
+        const user = await User.findOne({ username }).select('-password -refreshTokens');
 
         if (!user) {
             return res.status(404).json({
@@ -161,11 +473,7 @@ router.get('/profile/:username', async (req, res) => {
 
         res.json({
             success: true,
-            user: {
-                _id: user._id,
-                username: user.username,
-                email: user.email
-            }
+            user: serializeUser(user)
         });
 
     } catch (error) {
@@ -1,51 +1,266 @@
 const router = require('express').Router();
 const Vehicle = require('../models/vehicle');
+const Position = require('../models/position');
+const Trip = require('../models/trip');
+const DriverAssignment = require('../models/driverAssignment');
+const { authorize } = require('../middleware/auth');
+const liveUpdates = require('../services/liveUpdates');
+const tracking = require('../services/tracking');
+const drivers = require('../services/drivers');
+const maintenance = require('../services/maintenance');
+const { stopsBetween } = require('../services/trips');
+const { EXPORT_FORMATS, exportContentType, writeTrackExport } = require('../services/trackExport');
+const { ImportFileError, parseImportFile, insertAllOrNothing } = require('../services/vehicleImport');
+const { vehicleStatus, parseBbox, bboxCondition, parseVehicleSearch, encodeVehicleCursor, pickFields } = require('../services/vehicleSearch');
+const { validateCoordinates, parseDateParam, isHttpUrl, isObjectId } = require('../utils/validation');
 
-// Helper function to validate coordinates
-function validateCoordinates(lat, lng) {
-    if (typeof lat !== 'number' || typeof lng !== 'number') {
-        return { valid: false, error: 'Coordinates must be numbers' };
+const DEFAULT_HISTORY_LIMIT = 500;
+const MAX_HISTORY_LIMIT = 5000;
+const DEFAULT_TRAIL_WINDOW_MS = 60 * 60 * 1000;
+// Every point in the window is grouped per vehicle before thinning, so keep it short;
+// longer stretches are what the history and export endpoints are for
+const MAX_TRAIL_WINDOW_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_TRAIL_POINTS = 300;
+const MAX_TRAIL_POINTS = 2000;
+const DEFAULT_TRIP_LIMIT = 50;
+const DEFAULT_ASSIGNMENT_LIMIT = 50;
+const MAX_ASSIGNMENT_LIMIT = 500;
+const MAX_TRIP_LIMIT = 500;
+const DEFAULT_EXPORT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_IMPORT_ROWS = 1000;
+const DEFAULT_NEARBY_RADIUS_KM = 10;
+const MAX_NEARBY_RADIUS_KM = 1000;
+const DEFAULT_NEARBY_LIMIT = 10;
+const MAX_NEARBY_LIMIT = 100;
+const DEFAULT_WITHIN_LIMIT = 1000;
+const MAX_WITHIN_LIMIT = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_GROUP_LENGTH = 60;
+// Free-text profile fields and their maximum lengths
+const PROFILE_TEXT_FIELDS = { plateNumber: 20, make: 40, model: 40, notes: 1000 };
+const MAX_ICON_URL_LENGTH = 500;
+
+// Shape a vehicle document for API responses; null when its coordinates are unusable
+function transformVehicle(vehicle) {
+    const lat = parseFloat(vehicle.lat);
+    const lng = parseFloat(vehicle.lng);
+
+    const validation = validateCoordinates(lat, lng);
+    if (!validation.valid) return null;
+
+    return {
+        _id: vehicle._id,
+        name: vehicle.name,
+        owner: vehicle.owner,
+        deviceKeyHint: (vehicle.deviceKey && vehicle.deviceKey.hint) || null,
+        lat,
+        lng,
+        latitude: lat,
+        longitude: lng,
+        speed: vehicle.speed,
+        heading: vehicle.heading,
+        odometer: vehicle.odometer,
+        status: vehicleStatus(vehicle),
+        tags: vehicle.tags || [],
+        group: vehicle.group || null,
+        type: vehicle.type || 'car',
+        plateNumber: vehicle.plateNumber || null,
+        make: vehicle.make || null,
+        model: vehicle.model || null,
+        color: vehicle.color || null,
+        capacity: typeof vehicle.capacity === 'number' ? vehicle.capacity : null,
+        icon: vehicle.icon || null,
+        notes: vehicle.notes || null,
+        driver: vehicle.driver || null,
+        maintenance: vehicle.maintenance || 'ok',
+        lastActive: vehicle.lastUpdated,
+        lastUpdated: vehicle.lastUpdated,
+        createdAt: vehicle.createdAt,
+        updatedAt: vehicle.updatedAt
+    };
+}
+
+// Tags come as an array or a comma-separated string and are stored lowercase.
+// Returns { error } or { value: [tag] }
+function parseTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : tags;
+    if (!Array.isArray(list) || list.some(tag => typeof tag !== 'string')) {
+        return { error: 'tags must be a list of strings' };
     }
-    if (lat < -90 || lat > 90) {
-        return { valid: false, error: `Invalid latitude: ${lat}. Must be between -90 and 90` };
+
+    const value = [...new Set(list.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+    if (value.length > MAX_TAGS) return { error: `A vehicle can have at most ${MAX_TAGS} tags` };
+    if (value.some(tag => tag.length > MAX_TAG_LENGTH)) return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    return { value };
+}
+
+// Returns { error } or { value } (null to leave the vehicle ungrouped)
+function parseGroup(group) {
+    if (group === null || group === '') return { value: null };
+    if (typeof group !== 'string') return { error: 'group must be a string' };
+    if (group.trim().length > MAX_GROUP_LENGTH) return { error: `group must be at most ${MAX_GROUP_LENGTH} characters` };
+    return { value: group.trim() || null };
+}
+
+// Validate the optional profile fields, tags and group of a body. Only fields present
+// in the body are returned; null or '' clears a field (value undefined).
+// Returns { error } or { value }
+function parseVehicleProfile(body) {
+    const value = {};
+
+    if (body.type !== undefined) {
+        if (!Vehicle.VEHICLE_TYPES.includes(body.type)) {
+            return { error: `type must be one of: ${Vehicle.VEHICLE_TYPES.join(', ')}` };
+        }
+        value.type = body.type;
     }
-    if (lng < -180 || lng > 180) {
-        return { valid: false, error: `Invalid longitude: ${lng}. Must be between -180 and 180` };
+
+    for (const [field, maxLength] of Object.entries(PROFILE_TEXT_FIELDS)) {
+        const text = body[field];
+        if (text === undefined) continue;
+        if (text !== null && typeof text !== 'string') return { error: `${field} must be a string` };
+        if (text && text.trim().length > maxLength) return { error: `${field} must be at most ${maxLength} characters` };
+        value[field] = (text && text.trim()) || undefined;
     }
-    if (isNaN(lat) || isNaN(lng)) {
-        return { valid: false, error: 'Coordinates cannot be NaN' };
+
+    if (body.color !== undefined) {
+        if (body.color && !/^#[0-9a-f]{6}$/i.test(body.color)) return { error: 'color must be a #rrggbb hex color' };
+        value.color = body.color ? body.color.toLowerCase() : undefined;
     }
-    return { valid: true };
+
+    if (body.capacity !== undefined) {
+        const capacity = body.capacity === null || body.capacity === '' ? undefined : Number(body.capacity);
+        if (capacity !== undefined && (!Number.isInteger(capacity) || capacity < 0)) {
+            return { error: 'capacity must be a whole number of zero or more' };
+        }
+        value.capacity = capacity;
+    }
+
+    if (body.icon !== undefined) {
+        if (body.icon && (typeof body.icon !== 'string' || body.icon.length > MAX_ICON_URL_LENGTH || !isHttpUrl(body.icon))) {
+            return { error: `icon must be an http(s) image URL of at most ${MAX_ICON_URL_LENGTH} characters` };
+        }
+        value.icon = body.icon || undefined;
+    }
+
+    if (body.tags !== undefined) {
+        const parsed = parseTags(body.tags === null ? [] : body.tags);
+        if (parsed.error) return { error: parsed.error };
+        value.tags = parsed.value;
+    }
+
+    if (body.group !== undefined) {
+        const parsed = parseGroup(body.group);
+        if (parsed.error) return { error: parsed.error };
+        value.group = parsed.value || undefined;
+    }
+
+    return { value };
 }
 
-// ================== GET all vehicles ==================
-router.get('/', async (req, res) => {
-    try {
-        const vehicles = await Vehicle.find().sort({ lastUpdated: -1 });
+// Validate a new vehicle's name, coordinates and optional profile (a POST body
+// or an import row). Returns { error } or { value: { name, lat, lng, ...profile } }
+function parseNewVehicle(body) {
+    const { name, lat, lng } = body;
+    if (!name || typeof name !== 'string' || !name.trim() || lat === undefined || lng === undefined || lat === '' || lng === '') {
+        return { error: 'Vehicle name, latitude, and longitude are required' };
+    }
+
+    const parsedLat = parseFloat(lat);
+    const parsedLng = parseFloat(lng);
+    const validation = validateCoordinates(parsedLat, parsedLng);
+    if (!validation.valid) return { error: validation.error };
+
+    const profile = parseVehicleProfile(body);
+    if (profile.error) return { error: profile.error };
 
-        const transformedVehicles = vehicles.map(vehicle => {
-            const lat = parseFloat(vehicle.lat);
-            const lng = parseFloat(vehicle.lng);
+    return { value: { name: name.trim(), lat: parsedLat, lng: parsedLng, ...profile.value } };
+}
+
+// Validate a PATCH body: a new name and/or profile fields. Positions only change
+// through position updates. Returns { error } or { value } with the fields to set.
+function parseVehicleChanges(body) {
+    if (body.lat !== undefined || body.lng !== undefined) {
+        return { error: 'Coordinates can only be changed by position updates' };
+    }
+
+    const profile = parseVehicleProfile(body);
+    if (profile.error) return { error: profile.error };
+    const value = profile.value;
+
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim()) return { error: 'Vehicle name cannot be empty' };
+        value.name = body.name.trim();
+    }
+
+    if (Object.keys(value).length === 0) return { error: 'Nothing to update' };
+    return { value };
+}
 
-            const validation = validateCoordinates(lat, lng);
-            if (!validation.valid) return null;
+// Validate export query params: format, from, to (default: the 24 hours before to).
+// Returns { error } or { value: { format, from, to } }
+function parseExportQuery(query) {
+    const format = String(query.format || '').toLowerCase();
+    if (!EXPORT_FORMATS.includes(format)) {
+        return { error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+    }
+
+    const from = parseDateParam(query.from);
+    const to = parseDateParam(query.to);
+    if (from === null || to === null) return { error: 'from and to must be valid dates' };
+
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - DEFAULT_EXPORT_WINDOW_MS);
+    if (start > end) return { error: 'from must be before to' };
+
+    return { value: { format, from: start, to: end } };
+}
+
+// Send the export as a download; once streaming has started errors can only abort it
+async function sendTrackExport(res, name, vehicles, { format, from, to }) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'vehicle';
+    const day = (date) => date.toISOString().slice(0, 10);
+    res.status(200);
+    res.set({
+        'Content-Type': `${exportContentType(format)}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${slug}-${day(from)}-${day(to)}.${format}"`
+    });
+    await writeTrackExport(res, format, vehicles, { from, to });
+}
 
-            return {
-                _id: vehicle._id,
-                name: vehicle.name,
-                lat,
-                lng,
-                latitude: lat,
-                longitude: lng,
-                lastActive: vehicle.lastUpdated,
-                lastUpdated: vehicle.lastUpdated,
-                locationHistory: vehicle.locationHistory,
-                createdAt: vehicle.createdAt,
-                updatedAt: vehicle.updatedAt
-            };
-        }).filter(v => v !== null);
+// Every query below is scoped to the caller's fleet (set by the auth middleware)
 
-        res.status(200).json(transformedVehicles);
+// ================== GET vehicles ==================
+// Query: q (name contains), status (moving, idle, offline), tag, group (comma-separated,
+// any may match), updatedSince, bbox, sort (name, lastUpdated, createdAt, speed, odometer),
+// order (asc, desc), limit, cursor (nextCursor of the previous page) and fields.
+// total counts every vehicle matching the filters, not just this page.
+router.get('/', authorize('vehicles:read'), async (req, res) => {
+    try {
+        const { error, value } = parseVehicleSearch(req.query, { fleet: req.fleetId });
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+        const { filter, pageFilter, sort, sortField, limit, select, fields } = value;
+
+        let query = Vehicle.find(pageFilter).sort(sort).limit(limit + 1);
+        if (select) query = query.select(select);
+        const [vehicles, total] = await Promise.all([query, Vehicle.countDocuments(filter)]);
+
+        const page = vehicles.slice(0, limit);
+        const hasMore = vehicles.length > limit;
+
+        res.status(200).json({
+            success: true,
+            total,
+            count: page.length,
+            nextCursor: hasMore ? encodeVehicleCursor(page[page.length - 1], sortField) : null,
+            vehicles: page
+                .map(transformVehicle)
+                .filter(v => v !== null)
+                .map(vehicle => pickFields(vehicle, fields))
+        });
     } catch (err) {
         console.error('Error fetching vehicles:', err);
         res.status(500).json({ success: false, error: 'Error fetching vehicles' });
@@ -53,85 +268,523 @@ router.get('/', async (req, res) => {
 });
 
 // ================== CREATE new vehicle ==================
-router.post('/', async (req, res) => {
+router.post('/', authorize('vehicles:create'), async (req, res) => {
     try {
-        const { name, lat, lng } = req.body;
-
-        if (!name || lat === undefined || lng === undefined) {
-            return res.status(400).json({ success: false, error: 'Vehicle name, latitude, and longitude are required' });
+        const { error, value } = parseNewVehicle(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
         }
 
-        const parsedLat = parseFloat(lat);
-        const parsedLng = parseFloat(lng);
-        const validation = validateCoordinates(parsedLat, parsedLng);
-        if (!validation.valid) {
-            return res.status(400).json({ success: false, error: validation.error });
-        }
-
-        const existingVehicle = await Vehicle.findOne({ name: name.trim() });
+        const existingVehicle = await Vehicle.findOne({ fleet: req.fleetId, name: value.name });
         if (existingVehicle) {
-            return res.status(400).json({ success: false, error: `Vehicle with name "${name}" already exists` });
+            return res.status(400).json({ success: false, error: `Vehicle with name "${value.name}" already exists` });
         }
 
         const newVehicle = new Vehicle({
-            name: name.trim(),
-            lat: parsedLat,
-            lng: parsedLng,
-            lastUpdated: new Date(),
-            locationHistory: [{ lat: parsedLat, lng: parsedLng, timestamp: new Date() }]
+            owner: req.user._id,
+            fleet: req.fleetId,
+            ...value,
+            lastUpdated: new Date()
         });
+        // The tracker's credential; this response is the only time it's shown
+        const deviceKey = newVehicle.issueDeviceKey();
 
         const savedVehicle = await newVehicle.save();
-        res.status(201).json({ success: true, message: 'Vehicle added successfully', vehicle: savedVehicle });
+        await tracking.startTrack(savedVehicle);
+        liveUpdates.publish(req.fleetId, 'vehicle:created', transformVehicle(savedVehicle));
+
+        const vehicle = savedVehicle.toJSON();
+        delete vehicle.deviceKey.hash;
+        res.status(201).json({ success: true, message: 'Vehicle added successfully', vehicle, deviceKey });
     } catch (err) {
+        // Lost a race with another create for the same name
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, error: `Vehicle with name "${req.body.name}" already exists` });
+        }
         console.error('Error creating vehicle:', err);
         res.status(500).json({ success: false, error: 'Error creating vehicle' });
     }
 });
 
-// ================== UPDATE vehicle location ==================
-router.post('/update', async (req, res) => {
+// ================== IMPORT vehicles ==================
+// Body: { format: 'csv' | 'geojson', data: file contents, dryRun }.
+// Rows are validated like POST / and checked for duplicate names, in the file and in
+// the fleet. A dry run only reports; otherwise every valid row is created together or,
+// if any insert fails, none are. Device keys for created vehicles are returned once.
+router.post('/import', authorize('vehicles:create'), async (req, res) => {
     try {
-        const { name, lat, lng, lastUpdated } = req.body;
+        const { format, data } = req.body;
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
 
-        if (!name || lat === undefined || lng === undefined) {
-            return res.status(400).json({ success: false, error: 'Name, lat, and lng are required' });
+        let rows;
+        try {
+            rows = parseImportFile(format, data);
+        } catch (err) {
+            if (!(err instanceof ImportFileError)) throw err;
+            return res.status(400).json({ success: false, error: err.message });
+        }
+        if (rows.length === 0) {
+            return res.status(400).json({ success: false, error: 'The file has no vehicle rows' });
         }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ success: false, error: `Import at most ${MAX_IMPORT_ROWS} vehicles at a time` });
+        }
+
+        const existing = await Vehicle.find({ fleet: req.fleetId }).select('name').lean();
+        const existingNames = new Set(existing.map(vehicle => vehicle.name));
+        const firstRowByName = new Map();
+
+        const results = rows.map(raw => {
+            const result = { row: raw.row, name: raw.name };
+            if (raw.error) return { ...result, status: 'invalid', error: raw.error };
+
+            const { error, value } = parseNewVehicle(raw);
+            if (error) return { ...result, status: 'invalid', error };
+            if (existingNames.has(value.name)) {
+                return { ...result, status: 'invalid', error: `Vehicle with name "${value.name}" already exists` };
+            }
+            if (firstRowByName.has(value.name)) {
+                return { ...result, status: 'invalid', error: `Duplicate of row ${firstRowByName.get(value.name)}` };
+            }
+            firstRowByName.set(value.name, raw.row);
+            return { ...result, ...value, status: 'valid' };
+        });
+
+        const valid = results.filter(result => result.status === 'valid');
+        const summary = { total: results.length, valid: valid.length, invalid: results.length - valid.length };
+        if (dryRun) {
+            return res.status(200).json({ success: true, dryRun, summary, rows: results });
+        }
+        if (valid.length === 0) {
+            return res.status(400).json({ success: false, error: 'No valid rows to import', summary, rows: results });
+        }
+
+        const lastUpdated = new Date();
+        const deviceKeys = [];
+        const docs = valid.map(result => {
+            const vehicle = new Vehicle({
+                owner: req.user._id,
+                fleet: req.fleetId,
+                name: result.name,
+                lat: result.lat,
+                lng: result.lng,
+                lastUpdated
+            });
+            deviceKeys.push(vehicle.issueDeviceKey());
+            return vehicle;
+        });
+
+        try {
+            await insertAllOrNothing(Vehicle, docs);
+        } catch (err) {
+            if (!err.writeErrors) throw err;
+            // Nothing was created; mark the rows the database rejected
+            err.writeErrors.forEach(writeError => {
+                const result = valid[writeError.index];
+                result.status = 'failed';
+                result.error = writeError.code === 11000
+                    ? `Vehicle with name "${result.name}" already exists`
+                    : writeError.errmsg || 'Could not be saved';
+            });
+            return res.status(400).json({
+                success: false,
+                error: 'Import failed; no vehicles were created',
+                summary,
+                rows: results
+            });
+        }
+
+        for (const [i, vehicle] of docs.entries()) {
+            await tracking.startTrack(vehicle);
+            liveUpdates.publish(req.fleetId, 'vehicle:created', transformVehicle(vehicle));
+            valid[i].status = 'created';
+            valid[i]._id = vehicle._id;
+            valid[i].deviceKey = deviceKeys[i];
+        }
+
+        res.status(201).json({
+            success: true,
+            message: `Imported ${docs.length} vehicles`,
+            dryRun,
+            summary: { ...summary, created: docs.length },
+            rows: results
+        });
+    } catch (err) {
+        console.error('Error importing vehicles:', err);
+        res.status(500).json({ success: false, error: 'Error importing vehicles' });
+    }
+});
+
+// History cursors are opaque to clients: the last point's timestamp and id
+function encodeCursor(point) {
+    return Buffer.from(JSON.stringify({ t: point.timestamp.getTime(), id: point._id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof t !== 'number' || typeof id !== 'string') return null;
+        return { t, id };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Thin a point list to at most maxPoints, always keeping the newest point
+function thinPoints(points, maxPoints) {
+    if (points.length <= maxPoints) return points;
+    const stride = points.length / maxPoints;
+    const thinned = [];
+    for (let i = 0; i < maxPoints - 1; i++) {
+        thinned.push(points[Math.floor(i * stride)]);
+    }
+    thinned.push(points[points.length - 1]);
+    return thinned;
+}
 
-        const parsedLat = parseFloat(lat);
-        const parsedLng = parseFloat(lng);
-        const validation = validateCoordinates(parsedLat, parsedLng);
+// ================== GET recent trails for the fleet ==================
+// Query: since (default: one hour ago, at most a day), vehicle (limit to one vehicle id), maxPoints (per vehicle)
+router.get('/trails', authorize('vehicles:read'), async (req, res) => {
+    try {
+        const since = parseDateParam(req.query.since);
+        if (since === null) {
+            return res.status(400).json({ success: false, error: 'since must be a valid date' });
+        }
+        if (since && Date.now() - since.getTime() > MAX_TRAIL_WINDOW_MS) {
+            return res.status(400).json({ success: false, error: 'since must be within the last 24 hours' });
+        }
+
+        const maxPoints = req.query.maxPoints === undefined ? DEFAULT_TRAIL_POINTS : parseInt(req.query.maxPoints, 10);
+        if (isNaN(maxPoints) || maxPoints < 2 || maxPoints > MAX_TRAIL_POINTS) {
+            return res.status(400).json({ success: false, error: `maxPoints must be between 2 and ${MAX_TRAIL_POINTS}` });
+        }
+
+        const match = {
+            fleet: req.fleetId,
+            timestamp: { $gte: since || new Date(Date.now() - DEFAULT_TRAIL_WINDOW_MS) }
+        };
+        if (req.query.vehicle) {
+            if (!isObjectId(req.query.vehicle)) {
+                return res.status(400).json({ success: false, error: 'vehicle must be a vehicle id' });
+            }
+            const vehicle = await Vehicle.findOne({ _id: req.query.vehicle, fleet: req.fleetId });
+            if (!vehicle) {
+                return res.status(404).json({ success: false, error: 'Vehicle not found' });
+            }
+            match.vehicle = vehicle._id;
+        }
+
+        const grouped = await Position.aggregate([
+            { $match: match },
+            { $sort: { vehicle: 1, timestamp: 1 } },
+            {
+                $group: {
+                    _id: '$vehicle',
+                    points: { $push: { lat: '$lat', lng: '$lng', timestamp: '$timestamp' } }
+                }
+            }
+        ]);
+
+        const trails = grouped.map(trail => ({
+            vehicle: trail._id,
+            points: thinPoints(trail.points, maxPoints)
+        }));
+
+        res.status(200).json({ success: true, since: match.timestamp.$gte, trails });
+    } catch (err) {
+        console.error('Error fetching trails:', err);
+        res.status(500).json({ success: false, error: 'Error fetching trails' });
+    }
+});
+
+// ================== GET vehicles near a point ==================
+// Query: lat, lng, radius (km), limit. Nearest first, each with its distance in meters.
+router.get('/nearby', authorize('vehicles:read'), async (req, res) => {
+    try {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        const validation = validateCoordinates(lat, lng);
         if (!validation.valid) {
             return res.status(400).json({ success: false, error: validation.error });
         }
 
-        let vehicle = await Vehicle.findOne({ name });
+        const radius = req.query.radius === undefined ? DEFAULT_NEARBY_RADIUS_KM : parseFloat(req.query.radius);
+        if (isNaN(radius) || radius <= 0 || radius > MAX_NEARBY_RADIUS_KM) {
+            return res.status(400).json({ success: false, error: `radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km` });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_NEARBY_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_NEARBY_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_NEARBY_LIMIT}` });
+        }
+
+        const results = await Vehicle.aggregate([
+            {
+                $geoNear: {
+                    near: { type: 'Point', coordinates: [lng, lat] },
+                    distanceField: 'distance',
+                    maxDistance: radius * 1000,
+                    spherical: true,
+                    query: { fleet: req.fleetId }
+                }
+            },
+            { $limit: limit }
+        ]);
+
+        const vehicles = results
+            .map(result => {
+                const vehicle = transformVehicle(result);
+                return vehicle && { ...vehicle, distance: Math.round(result.distance) };
+            })
+            .filter(Boolean);
+
+        res.status(200).json({ success: true, center: { lat, lng }, radius, vehicles });
+    } catch (err) {
+        console.error('Error finding nearby vehicles:', err);
+        res.status(500).json({ success: false, error: 'Error finding nearby vehicles' });
+    }
+});
+
+// ================== GET vehicles inside a bounding box ==================
+// Query: bbox=west,south,east,north (degrees; west > east crosses the antimeridian), limit.
+// truncated is true when more vehicles than limit are inside.
+router.get('/within', authorize('vehicles:read'), async (req, res) => {
+    try {
+        const { error, value: bbox } = parseBbox(req.query.bbox);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_WITHIN_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_WITHIN_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_WITHIN_LIMIT}` });
+        }
+
+        const vehicles = await Vehicle.find({ fleet: req.fleetId, ...bboxCondition(bbox) })
+            .sort({ lastUpdated: -1 })
+            .limit(limit + 1);
+
+        res.status(200).json({
+            success: true,
+            bbox,
+            truncated: vehicles.length > limit,
+            vehicles: vehicles.slice(0, limit).map(transformVehicle).filter(v => v !== null)
+        });
+    } catch (err) {
+        console.error('Error fetching vehicles in bounding box:', err);
+        res.status(500).json({ success: false, error: 'Error fetching vehicles in bounding box' });
+    }
+});
+
+// ================== EXPORT fleet tracks ==================
+// Query: format (gpx, kml, geojson, csv), from, to. Streams every vehicle's positions.
+router.get('/export', authorize('vehicles:read'), async (req, res) => {
+    try {
+        const { error, value } = parseExportQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        const vehicles = await Vehicle.find({ fleet: req.fleetId }).select('name').sort({ name: 1 }).lean();
+        await sendTrackExport(res, 'fleet', vehicles, value);
+    } catch (err) {
+        console.error('Error exporting fleet tracks:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ success: false, error: 'Error exporting fleet tracks' });
+    }
+});
+
+// ================== GET vehicle location history ==================
+// Query: from, to (ISO date or epoch ms), limit, cursor (from a previous page's nextCursor),
+// interval (seconds; keeps the first point in each interval to downsample long ranges)
+router.get('/:id/history', authorize('vehicles:read'), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findOne({ _id: req.params.id, fleet: req.fleetId });
         if (!vehicle) {
-            // 🚨 FIX: Don't recreate deleted vehicles
-            return res.status(404).json({ success: false, error: `Vehicle "${name}" not found` });
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
         }
 
-        vehicle.lat = parsedLat;
-        vehicle.lng = parsedLng;
-        vehicle.lastUpdated = lastUpdated ? new Date(lastUpdated) : new Date();
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+        }
 
-        vehicle.locationHistory.push({ lat: parsedLat, lng: parsedLng, timestamp: new Date() });
-        if (vehicle.locationHistory.length > 100) {
-            vehicle.locationHistory = vehicle.locationHistory.slice(-100);
+        const limit = req.query.limit === undefined ? DEFAULT_HISTORY_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_HISTORY_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_HISTORY_LIMIT}` });
         }
 
-        await vehicle.save();
-        res.status(200).json({ success: true, message: 'Vehicle updated successfully', vehicle });
+        const interval = req.query.interval === undefined ? 0 : parseFloat(req.query.interval);
+        if (isNaN(interval) || interval < 0) {
+            return res.status(400).json({ success: false, error: 'interval must be a positive number of seconds' });
+        }
+        const intervalMs = Math.round(interval * 1000);
+
+        let cursor = null;
+        if (req.query.cursor) {
+            cursor = decodeCursor(req.query.cursor);
+            if (!cursor) {
+                return res.status(400).json({ success: false, error: 'Invalid cursor' });
+            }
+        }
+
+        const match = { vehicle: vehicle._id };
+        if (from || to) {
+            match.timestamp = {};
+            if (from) match.timestamp.$gte = from;
+            if (to) match.timestamp.$lte = to;
+        }
+
+        let points;
+        if (intervalMs > 0) {
+            // Buckets are aligned to the epoch, so the next page starts at the bucket after the cursor's
+            if (cursor) {
+                const nextBucket = new Date(Math.floor(cursor.t / intervalMs) * intervalMs + intervalMs);
+                match.timestamp = { ...match.timestamp, $gte: from && from > nextBucket ? from : nextBucket };
+            }
+
+            points = await Position.aggregate([
+                { $match: match },
+                { $sort: { timestamp: 1, _id: 1 } },
+                {
+                    $group: {
+                        _id: { $subtract: [{ $toLong: '$timestamp' }, { $mod: [{ $toLong: '$timestamp' }, intervalMs] }] },
+                        point: { $first: '$$ROOT' }
+                    }
+                },
+                { $replaceRoot: { newRoot: '$point' } },
+                { $sort: { timestamp: 1, _id: 1 } },
+                { $limit: limit + 1 },
+                { $project: { vehicle: 0, fleet: 0 } }
+            ]);
+        } else {
+            if (cursor) {
+                const after = new Date(cursor.t);
+                match.$or = [
+                    { timestamp: { $gt: after } },
+                    { timestamp: after, _id: { $gt: cursor.id } }
+                ];
+            }
+
+            points = await Position.find(match)
+                .sort({ timestamp: 1, _id: 1 })
+                .limit(limit + 1)
+                .select('-vehicle -fleet')
+                .lean();
+        }
+
+        const hasMore = points.length > limit;
+        if (hasMore) points = points.slice(0, limit);
+
+        // Who was driving during this page, so each point can be attributed by its timestamp
+        const driverPeriods = points.length === 0 ? [] : await drivers.driverPeriods(
+            vehicle._id, new Date(points[0].timestamp), new Date(points[points.length - 1].timestamp)
+        );
+
+        res.status(200).json({
+            success: true,
+            vehicle: { _id: vehicle._id, name: vehicle.name },
+            count: points.length,
+            points,
+            drivers: driverPeriods,
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(points[points.length - 1]) : null
+        });
     } catch (err) {
-        console.error('Error updating vehicle:', err);
-        res.status(500).json({ success: false, error: 'Error updating vehicle' });
+        console.error('Error fetching vehicle history:', err);
+        res.status(500).json({ success: false, error: 'Error fetching vehicle history' });
+    }
+});
+
+// ================== GET vehicle trips ==================
+// Query: from, to (trips overlapping the range), limit (newest first).
+// Each trip carries the driver assigned when it started; stops are the gaps
+// between the returned trips.
+router.get('/:id/trips', authorize('vehicles:read'), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        const from = parseDateParam(req.query.from);
+        const to = parseDateParam(req.query.to);
+        if (from === null || to === null) {
+            return res.status(400).json({ success: false, error: 'from and to must be valid dates' });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_TRIP_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_TRIP_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_TRIP_LIMIT}` });
+        }
+
+        const filter = { vehicle: vehicle._id };
+        if (from) filter.endTime = { $gte: from };
+        if (to) filter.startTime = { $lte: to };
+
+        const trips = await Trip.find(filter).sort({ startTime: -1 }).limit(limit);
+
+        res.status(200).json({
+            success: true,
+            vehicle: { _id: vehicle._id, name: vehicle.name },
+            trips: await drivers.attributeTrips(vehicle._id, trips),
+            stops: stopsBetween(trips)
+        });
+    } catch (err) {
+        console.error('Error fetching vehicle trips:', err);
+        res.status(500).json({ success: false, error: 'Error fetching vehicle trips' });
+    }
+});
+
+// ================== GET vehicle driver history ==================
+// Query: limit (newest first)
+router.get('/:id/drivers', authorize('drivers:read'), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        const limit = req.query.limit === undefined ? DEFAULT_ASSIGNMENT_LIMIT : parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_ASSIGNMENT_LIMIT) {
+            return res.status(400).json({ success: false, error: `limit must be between 1 and ${MAX_ASSIGNMENT_LIMIT}` });
+        }
+
+        const assignments = await DriverAssignment.find({ vehicle: vehicle._id }).sort({ startedAt: -1 }).limit(limit);
+        res.status(200).json({ success: true, vehicle: { _id: vehicle._id, name: vehicle.name }, assignments });
+    } catch (err) {
+        console.error('Error fetching vehicle drivers:', err);
+        res.status(500).json({ success: false, error: 'Error fetching vehicle drivers' });
+    }
+});
+
+// ================== EXPORT vehicle track ==================
+// Query: format (gpx, kml, geojson, csv), from, to
+router.get('/:id/export', authorize('vehicles:read'), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        const { error, value } = parseExportQuery(req.query);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        await sendTrackExport(res, vehicle.name, [vehicle], value);
+    } catch (err) {
+        console.error('Error exporting vehicle track:', err);
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ success: false, error: 'Error exporting vehicle track' });
     }
 });
 
 // ================== GET vehicle by ID 
-router.get('/:id', async (req, res) => {
+router.get('/:id', authorize('vehicles:read'), async (req, res) => {
     try {
-        const vehicle = await Vehicle.findById(req.params.id);
+        const vehicle = await Vehicle.findOne({ _id: req.params.id, fleet: req.fleetId });
         if (!vehicle) {
             return res.status(404).json({ success: false, error: 'Vehicle not found' });
         }
@@ -150,16 +803,103 @@ router.get('/:id', async (req, res) => {
     }
 });
 
+// ================== UPDATE vehicle name or profile ==================
+// History, trips and device keys follow the vehicle's id, so a rename keeps them.
+// Past alerts and geofence events keep the name the vehicle had at the time, and a
+// tracker that sends a name with its updates has to send the new one.
+router.patch('/:id', authorize('vehicles:update'), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        const { error, value } = parseVehicleChanges(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, error });
+        }
+
+        if (value.name && value.name !== vehicle.name &&
+            await Vehicle.exists({ fleet: req.fleetId, name: value.name, _id: { $ne: vehicle._id } })) {
+            return res.status(400).json({ success: false, error: `Vehicle with name "${value.name}" already exists` });
+        }
+
+        vehicle.set(value);
+        await vehicle.save();
+
+        const updated = transformVehicle(vehicle);
+        liveUpdates.publish(req.fleetId, 'vehicle:updated', updated);
+        res.status(200).json({ success: true, message: 'Vehicle updated successfully', vehicle: updated });
+    } catch (err) {
+        // Lost a race with another vehicle taking the same name
+        if (err.code === 11000) {
+            return res.status(400).json({ success: false, error: `Vehicle with name "${req.body.name}" already exists` });
+        }
+        console.error('Error updating vehicle:', err);
+        res.status(500).json({ success: false, error: 'Error updating vehicle' });
+    }
+});
+
+// ================== ISSUE / ROTATE device key ==================
+// The old key stops working immediately; the new one is only returned here
+router.post('/:id/device-key', authorize('vehicles:update'), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        const deviceKey = vehicle.issueDeviceKey();
+        await vehicle.save();
+
+        res.status(200).json({
+            success: true,
+            message: `New device key issued for "${vehicle.name}"`,
+            deviceKey,
+            vehicle: transformVehicle(vehicle)
+        });
+    } catch (err) {
+        console.error('Error issuing device key:', err);
+        res.status(500).json({ success: false, error: 'Error issuing device key' });
+    }
+});
+
+// ================== REVOKE device key ==================
+router.delete('/:id/device-key', authorize('vehicles:update'), async (req, res) => {
+    try {
+        const vehicle = await Vehicle.findOne({ _id: req.params.id, fleet: req.fleetId });
+        if (!vehicle) {
+            return res.status(404).json({ success: false, error: 'Vehicle not found' });
+        }
+
+        vehicle.revokeDeviceKey();
+        await vehicle.save();
+
+        res.status(200).json({
+            success: true,
+            message: `Device key revoked for "${vehicle.name}"`,
+            vehicle: transformVehicle(vehicle)
+        });
+    } catch (err) {
+        console.error('Error revoking device key:', err);
+        res.status(500).json({ success: false, error: 'Error revoking device key' });
+    }
+});
+
 // ================== DELETE vehicle by ID ==================
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', authorize('vehicles:delete'), async (req, res) => {
     try {
         const { id } = req.params;
-        const deletedVehicle = await Vehicle.findByIdAndDelete(id);
+        const deletedVehicle = await Vehicle.findOneAndDelete({ _id: id, fleet: req.fleetId });
 
         if (!deletedVehicle) {
             return res.status(404).json({ success: false, error: 'Vehicle not found' });
         }
 
+        await tracking.deleteTrack(deletedVehicle._id);
+        await drivers.endVehicleAssignment(deletedVehicle._id);
+        await maintenance.deleteVehicleMaintenance(deletedVehicle._id);
+        liveUpdates.publish(req.fleetId, 'vehicle:deleted', { _id: deletedVehicle._id, name: deletedVehicle.name });
         res.json({ success: true, message: `Vehicle "${deletedVehicle.name}" deleted permanently`, deletedVehicle });
     } catch (error) {
         console.error('Error deleting vehicle:', error);
@@ -168,15 +908,19 @@ router.delete('/:id', async (req, res) => {
 });
 
 // ================== DELETE vehicle by name 
-router.delete('/name/:name', async (req, res) => {
+router.delete('/name/:name', authorize('vehicles:delete'), async (req, res) => {
     try {
         const { name } = req.params;
-        const deletedVehicle = await Vehicle.findOneAndDelete({ name });
+        const deletedVehicle = await Vehicle.findOneAndDelete({ fleet: req.fleetId, name });
 
         if (!deletedVehicle) {
             return res.status(404).json({ success: false, error: 'Vehicle not found' });
         }
 
+        await tracking.deleteTrack(deletedVehicle._id);
+        await drivers.endVehicleAssignment(deletedVehicle._id);
+        await maintenance.deleteVehicleMaintenance(deletedVehicle._id);
+        liveUpdates.publish(req.fleetId, 'vehicle:deleted', { _id: deletedVehicle._id, name: deletedVehicle.name });
         res.json({ success: true, message: `Vehicle "${deletedVehicle.name}" deleted permanently`, deletedVehicle });
     } catch (error) {
         console.error('Error deleting vehicle by name:', error);
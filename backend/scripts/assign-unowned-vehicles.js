@@ -0,0 +1,46 @@
+// One-off migration: vehicles created before fleets existed have no owner and are
+// invisible to everyone. This hands them to a user's fleet.
+//
+// Usage: node scripts/assign-unowned-vehicles.js <username>
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/user');
+const Vehicle = require('../models/vehicle');
+
+dotenv.config();
+
+async function main() {
+    const username = process.argv[2];
+    if (!username) {
+        console.error('Usage: node scripts/assign-unowned-vehicles.js <username>');
+        process.exit(1);
+    }
+
+    const mongoUrl = process.env.MONGO_URL || 'mongodb://localhost:27017/vehicle_tracking';
+    await mongoose.connect(mongoUrl);
+
+    try {
+        const user = await User.findOne({ username });
+        if (!user) {
+            console.error(`User "${username}" not found`);
+            process.exitCode = 1;
+            return;
+        }
+
+        const result = await Vehicle.updateMany(
+            { owner: { $exists: false } },
+            { $set: { owner: user._id, fleet: user.fleetId() } }
+        );
+        console.log(`✅ Assigned ${result.modifiedCount} vehicle(s) to ${username}'s fleet`);
+
+        // The per-fleet unique index could not be built while fleet was missing
+        await Vehicle.syncIndexes();
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+main().catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,29 @@
+// One-off migration: give vehicles saved before the 2dsphere index a GeoJSON
+// location built from their lat/lng, so nearby and bounding-box searches find them.
+//
+// Usage: node scripts/backfill-vehicle-locations.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Vehicle = require('../models/vehicle');
+
+dotenv.config();
+
+async function main() {
+    const mongoUrl = process.env.MONGO_URL || 'mongodb://localhost:27017/vehicle_tracking';
+    await mongoose.connect(mongoUrl);
+
+    try {
+        const result = await Vehicle.updateMany(
+            { 'location.coordinates': { $exists: false } },
+            [{ $set: { location: { type: 'Point', coordinates: ['$lng', '$lat'] } } }]
+        );
+        console.log(`✅ Added a location to ${result.modifiedCount} vehicle(s)`);
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+main().catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,54 @@
+// One-off migration: copy the old embedded vehicle.locationHistory arrays into the
+// positions collection, then drop the arrays from the vehicle documents.
+//
+// Usage: node scripts/migrate-location-history.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Vehicle = require('../models/vehicle');
+const Position = require('../models/position');
+
+dotenv.config();
+
+async function main() {
+    const mongoUrl = process.env.MONGO_URL || 'mongodb://localhost:27017/vehicle_tracking';
+    await mongoose.connect(mongoUrl);
+
+    try {
+        // locationHistory is no longer in the schema, so read the raw documents
+        const cursor = Vehicle.collection.find({ locationHistory: { $exists: true } });
+        let vehicleCount = 0;
+        let pointCount = 0;
+
+        for await (const vehicle of cursor) {
+            if (!vehicle.fleet) {
+                console.warn(`⚠️  Skipping "${vehicle.name}": no fleet yet (run assign-unowned-vehicles.js first)`);
+                continue;
+            }
+
+            const points = (vehicle.locationHistory || []).map(point => ({
+                vehicle: vehicle._id,
+                fleet: vehicle.fleet,
+                lat: point.lat,
+                lng: point.lng,
+                timestamp: point.timestamp || vehicle.lastUpdated
+            }));
+
+            if (points.length > 0) {
+                await Position.insertMany(points);
+            }
+            await Vehicle.collection.updateOne({ _id: vehicle._id }, { $unset: { locationHistory: '' } });
+
+            vehicleCount++;
+            pointCount += points.length;
+        }
+
+        console.log(`✅ Migrated ${pointCount} point(s) from ${vehicleCount} vehicle(s)`);
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+main().catch(err => {
+    console.error('Migration failed:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,78 @@
+// Rebuild every vehicle's trips from its recorded positions, e.g. after changing
+// the segmentation thresholds or importing history. Existing trips are replaced.
+// Pass a vehicle id to rebuild just that vehicle (names are only unique within a fleet);
+// --stale only rebuilds vehicles that received backfilled fixes since their last rebuild.
+//
+// Usage: node scripts/rebuild-trips.js [vehicleId | --stale]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Vehicle = require('../models/vehicle');
+const Position = require('../models/position');
+const Trip = require('../models/trip');
+const { advanceTrip, saveTripState } = require('../services/trips');
+const { deriveMotion } = require('../services/tracking');
+const { isObjectId } = require('../utils/validation');
+
+dotenv.config();
+
+async function rebuildVehicle(vehicle) {
+    await Trip.deleteMany({ vehicle: vehicle._id });
+
+    let previous = null;
+    let trip = null;
+    const cursor = Position.find({ vehicle: vehicle._id }).sort({ timestamp: 1 }).cursor();
+
+    for await (const position of cursor) {
+        const current = { lat: position.lat, lng: position.lng, timestamp: position.timestamp };
+        if (previous) {
+            // Points stored before speeds were recorded get them derived the same way as live updates
+            const motion = deriveMotion(previous, current);
+            const fix = {
+                ...current,
+                speed: typeof position.speed === 'number' ? position.speed : motion.speed,
+                distance: typeof position.distance === 'number' ? position.distance : motion.distance
+            };
+            const state = advanceTrip(vehicle, trip, previous, fix);
+            await saveTripState({ trip: null, closed: state.closed });
+            trip = state.trip;
+            previous = { ...current, speed: fix.speed, heading: motion.heading };
+        } else {
+            previous = { ...current, speed: 0, heading: null };
+        }
+    }
+
+    if (trip) await saveTripState({ trip, closed: null });
+    await Vehicle.updateOne({ _id: vehicle._id }, { $unset: { tripsStaleFrom: 1 } });
+    return Trip.countDocuments({ vehicle: vehicle._id });
+}
+
+async function main() {
+    const argument = process.argv[2];
+    if (argument && argument !== '--stale' && !isObjectId(argument)) {
+        throw new Error(`Expected a vehicle id or --stale, got "${argument}"`);
+    }
+
+    const mongoUrl = process.env.MONGO_URL || 'mongodb://localhost:27017/vehicle_tracking';
+    await mongoose.connect(mongoUrl);
+
+    try {
+        const filter = argument === '--stale' ? { tripsStaleFrom: { $type: 'date' } }
+            : argument ? { _id: argument } : {};
+        const vehicles = await Vehicle.find(filter);
+        if (vehicles.length === 0) {
+            console.warn('⚠️  No matching vehicles');
+        }
+
+        for (const vehicle of vehicles) {
+            const tripCount = await rebuildVehicle(vehicle);
+            console.log(`✅ ${vehicle.name} (${vehicle._id}): ${tripCount} trip(s)`);
+        }
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+main().catch(err => {
+    console.error('Rebuild failed:', err.message);
+    process.exit(1);
+});
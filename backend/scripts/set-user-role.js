@@ -0,0 +1,38 @@
+// Set a user's role directly in the database. Useful for accounts created before
+// roles existed (they default to "viewer") and for recovering a locked-out admin.
+//
+// Usage: node scripts/set-user-role.js <username> <admin|dispatcher|viewer>
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/user');
+const { ROLES } = require('../utils/permissions');
+
+dotenv.config();
+
+async function main() {
+    const [username, role] = process.argv.slice(2);
+    if (!username || !ROLES.includes(role)) {
+        console.error(`Usage: node scripts/set-user-role.js <username> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    const mongoUrl = process.env.MONGO_URL || 'mongodb://localhost:27017/vehicle_tracking';
+    await mongoose.connect(mongoUrl);
+
+    try {
+        const result = await User.updateOne({ username }, { $set: { role } });
+        if (result.matchedCount === 0) {
+            console.error(`User "${username}" not found`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`✅ ${username} is now ${role}`);
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+main().catch(err => {
+    console.error('Failed to set role:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,148 @@
+// Alert rule evaluation. Speed and geofence rules run against each incoming
+// update; stale-vehicle rules and webhook retries run on a periodic sweep.
+const Alert = require('../models/alert');
+const AlertRule = require('../models/alertRule');
+const Vehicle = require('../models/vehicle');
+const liveUpdates = require('./liveUpdates');
+const webhooks = require('./webhooks');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const UPDATE_RULE_TYPES = ['speed', 'geofence_exit', 'after_hours_entry'];
+
+// Hour of the day (0-23) at `date` in an IANA timezone
+function hourIn(timezone, date) {
+    const hour = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: timezone }).format(date);
+    return parseInt(hour, 10);
+}
+
+// Business hours are [startHour, endHour), possibly wrapping past midnight
+function isAfterHours(rule, date) {
+    const { startHour, endHour, timezone } = rule.params;
+    const hour = hourIn(timezone || 'UTC', date);
+    const duringBusinessHours = startHour <= endHour
+        ? hour >= startHour && hour < endHour
+        : hour >= startHour || hour < endHour;
+    return !duringBusinessHours;
+}
+
+const matchesFence = (rule, crossing) =>
+    !rule.params.geofence || rule.params.geofence.equals(crossing.geofence._id);
+
+// Create an alert unless this rule already fired for the vehicle recently, then
+// push it to dashboards and start webhook delivery. Rule must include its secret.
+async function triggerAlert(rule, vehicle, { message, data, triggeredAt = new Date() }) {
+    const duplicateFilter = { rule: rule._id, vehicle: vehicle._id, status: { $ne: 'resolved' } };
+    // A stale vehicle is one continuing condition, so it never re-fires until resolved.
+    // The cooldown runs in fix time, so a burst of buffered fixes fires once too.
+    if (rule.type !== 'stale') {
+        duplicateFilter.triggeredAt = { $gte: new Date(triggeredAt.getTime() - rule.cooldownMinutes * 60 * 1000) };
+    }
+    if (await Alert.exists(duplicateFilter)) return null;
+
+    const hasWebhook = Boolean(rule.webhook && rule.webhook.url);
+    const alert = await Alert.create({
+        fleet: rule.fleet,
+        rule: rule._id,
+        ruleName: rule.name,
+        type: rule.type,
+        vehicle: vehicle._id,
+        vehicleName: vehicle.name,
+        message,
+        data,
+        triggeredAt,
+        // Due at once: the attempt below normally claims it, and the retry sweep picks
+        // it up if the process stops first. Not triggeredAt, which may be ahead of the clock.
+        delivery: hasWebhook ? { status: 'pending', nextAttemptAt: new Date() } : { status: 'none' }
+    });
+
+    console.log(`🚨 Alert: ${message}`);
+    liveUpdates.publish(rule.fleet, 'alert:created', alert.toJSON());
+
+    if (hasWebhook) {
+        webhooks.attemptDelivery(alert, rule)
+            .catch(err => console.error('Webhook delivery error:', err));
+    }
+    return alert;
+}
+
+// Run update-driven rules against a fix the pipeline just stored.
+// speed is the stored (reported or derived) km/h; crossings come from geofencing.
+async function evaluateUpdate(vehicle, { speed, lat, lng, timestamp, crossings }) {
+    const rules = await AlertRule.find({
+        fleet: vehicle.fleet,
+        enabled: true,
+        type: { $in: UPDATE_RULE_TYPES }
+    }).select('+webhook.secret');
+
+    for (const rule of rules) {
+        if (!rule.appliesTo(vehicle)) continue;
+
+        if (rule.type === 'speed') {
+            if (typeof speed === 'number' && speed > rule.params.speedKmh) {
+                await triggerAlert(rule, vehicle, {
+                    message: `${vehicle.name} is going ${speed.toFixed(0)} km/h (limit ${rule.params.speedKmh} km/h)`,
+                    data: { speedKmh: speed, limitKmh: rule.params.speedKmh, lat, lng },
+                    triggeredAt: timestamp
+                });
+            }
+        } else if (rule.type === 'geofence_exit') {
+            const exit = crossings.find(c => c.type === 'exit' && matchesFence(rule, c));
+            if (exit) {
+                await triggerAlert(rule, vehicle, {
+                    message: `${vehicle.name} left ${exit.geofence.name}`,
+                    data: { geofence: exit.geofence._id, geofenceName: exit.geofence.name, lat, lng },
+                    triggeredAt: timestamp
+                });
+            }
+        } else if (rule.type === 'after_hours_entry') {
+            const entry = crossings.find(c => c.type === 'enter' && matchesFence(rule, c));
+            if (entry && isAfterHours(rule, timestamp)) {
+                await triggerAlert(rule, vehicle, {
+                    message: `${vehicle.name} entered ${entry.geofence.name} after hours`,
+                    data: { geofence: entry.geofence._id, geofenceName: entry.geofence.name, lat, lng },
+                    triggeredAt: timestamp
+                });
+            }
+        }
+    }
+}
+
+// Fire stale-vehicle rules for vehicles that have gone quiet
+async function checkStaleVehicles() {
+    const rules = await AlertRule.find({ enabled: true, type: 'stale' }).select('+webhook.secret');
+
+    for (const rule of rules) {
+        const cutoff = new Date(Date.now() - rule.params.staleMinutes * 60 * 1000);
+        const filter = { fleet: rule.fleet, lastUpdated: { $lt: cutoff } };
+        if (rule.vehicles.length > 0) filter._id = { $in: rule.vehicles };
+
+        const staleVehicles = await Vehicle.find(filter);
+        for (const vehicle of staleVehicles) {
+            const minutes = Math.round((Date.now() - vehicle.lastUpdated) / 60000);
+            await triggerAlert(rule, vehicle, {
+                message: `${vehicle.name} has not reported for ${minutes} minutes`,
+                data: { lastUpdated: vehicle.lastUpdated, staleMinutes: rule.params.staleMinutes }
+            });
+        }
+    }
+}
+
+// Periodic sweep: stale checks and webhook retries. Returns the interval handle.
+function startAlertScheduler() {
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkStaleVehicles();
+            await webhooks.retryPendingDeliveries();
+        } catch (err) {
+            console.error('Alert sweep error:', err);
+        } finally {
+            running = false;
+        }
+    }, SWEEP_INTERVAL_MS);
+}
+
+module.exports = { evaluateUpdate, checkStaleVehicles, startAlertScheduler };
@@ -0,0 +1,125 @@
+// Driver assignments and attribution. A vehicle has at most one driver at a time
+// and a driver drives at most one vehicle; every assignment is kept with its start
+// and end, so trips and positions are attributed by when they happened rather
+// than by who is driving now.
+const Vehicle = require('../models/vehicle');
+const Trip = require('../models/trip');
+const DriverAssignment = require('../models/driverAssignment');
+
+// End open assignments matching filter at `at`
+async function endAssignments(filter, at) {
+    await DriverAssignment.updateMany({ ...filter, endedAt: null }, { $set: { endedAt: at } });
+}
+
+// Put a driver in a vehicle, taking them out of any other vehicle and replacing
+// the vehicle's current driver. Returns the new assignment.
+async function assignDriver(vehicle, driver, at = new Date()) {
+    await endAssignments({ $or: [{ vehicle: vehicle._id }, { driver: driver._id }] }, at);
+    await Vehicle.updateMany({ driver: driver._id, _id: { $ne: vehicle._id } }, { $set: { driver: null } });
+
+    const assignment = await DriverAssignment.create({
+        fleet: vehicle.fleet,
+        driver: driver._id,
+        driverName: driver.name,
+        vehicle: vehicle._id,
+        vehicleName: vehicle.name,
+        startedAt: at
+    });
+    vehicle.driver = driver._id;
+    await vehicle.save();
+    return assignment;
+}
+
+// End a vehicle's current assignment, e.g. when the vehicle is deleted
+async function endVehicleAssignment(vehicleId, at = new Date()) {
+    await endAssignments({ vehicle: vehicleId }, at);
+}
+
+// Leave the vehicle without a driver
+async function unassignVehicle(vehicle, at = new Date()) {
+    await endVehicleAssignment(vehicle._id, at);
+    vehicle.driver = null;
+    await vehicle.save();
+}
+
+// Take a driver out of whatever vehicle they're driving
+async function unassignDriver(driverId, at = new Date()) {
+    await endAssignments({ driver: driverId }, at);
+    await Vehicle.updateMany({ driver: driverId }, { $set: { driver: null } });
+}
+
+// The assignment covering `time` among one vehicle's assignments
+const assignmentAt = (assignments, time) =>
+    assignments.find(a => a.startedAt <= time && (!a.endedAt || a.endedAt > time));
+
+// A vehicle's assignments overlapping from..to, oldest first
+function assignmentsBetween(vehicleId, from, to) {
+    return DriverAssignment.find({
+        vehicle: vehicleId,
+        startedAt: { $lte: to },
+        $or: [{ endedAt: null }, { endedAt: { $gt: from } }]
+    }).sort({ startedAt: 1 }).lean();
+}
+
+// Who drove a vehicle between from and to, as { driver: { _id, name }, from, to }
+// periods (to is null while the assignment lasts). A position belongs to the
+// period its timestamp falls in.
+async function driverPeriods(vehicleId, from, to) {
+    const assignments = await assignmentsBetween(vehicleId, from, to);
+    return assignments.map(a => ({
+        driver: { _id: a.driver, name: a.driverName },
+        from: a.startedAt,
+        to: a.endedAt
+    }));
+}
+
+// Trips of one vehicle as JSON, each with the driver assigned when it started
+async function attributeTrips(vehicleId, trips) {
+    if (trips.length === 0) return [];
+    const starts = trips.map(trip => trip.startTime.getTime());
+    const assignments = await assignmentsBetween(vehicleId, new Date(Math.min(...starts)), new Date(Math.max(...starts)));
+
+    return trips.map(trip => {
+        const assignment = assignmentAt(assignments, trip.startTime);
+        return {
+            ...trip.toJSON(),
+            driver: assignment ? { _id: assignment.driver, name: assignment.driverName } : null
+        };
+    });
+}
+
+// Trips a driver drove (those starting during one of their assignments), newest
+// first, with totals over every matching trip. from/to limit trip start times.
+async function driverTrips(driverId, { from, to = new Date(), limit }) {
+    const overlapping = { driver: driverId, startedAt: { $lte: to } };
+    if (from) overlapping.$or = [{ endedAt: null }, { endedAt: { $gt: from } }];
+    const assignments = await DriverAssignment.find(overlapping).lean();
+
+    const summary = { count: 0, distance: 0, duration: 0 };
+    if (assignments.length === 0) return { trips: [], summary };
+
+    const match = {
+        $or: assignments.map(a => {
+            const start = from && from > a.startedAt ? from : a.startedAt;
+            // An assignment's end belongs to whoever took over
+            const ended = a.endedAt && a.endedAt <= to;
+            return { vehicle: a.vehicle, startTime: { $gte: start, [ended ? '$lt' : '$lte']: ended ? a.endedAt : to } };
+        })
+    };
+
+    const [trips, [totals]] = await Promise.all([
+        Trip.find(match).sort({ startTime: -1 }).limit(limit),
+        Trip.aggregate([
+            { $match: match },
+            { $group: { _id: null, count: { $sum: 1 }, distance: { $sum: '$distance' }, duration: { $sum: '$duration' } } }
+        ])
+    ]);
+
+    const vehicleNames = new Map(assignments.map(a => [String(a.vehicle), a.vehicleName]));
+    return {
+        trips: trips.map(trip => ({ ...trip.toJSON(), vehicleName: vehicleNames.get(String(trip.vehicle)) })),
+        summary: totals ? { count: totals.count, distance: totals.distance, duration: totals.duration } : summary
+    };
+}
+
+module.exports = { assignDriver, unassignVehicle, endVehicleAssignment, unassignDriver, driverPeriods, attributeTrips, driverTrips };
@@ -0,0 +1,53 @@
+// Enter/exit detection. The vehicle document remembers which fences it was
+// inside at its last update; comparing against the new fix yields crossings.
+const Geofence = require('../models/geofence');
+const GeofenceEvent = require('../models/geofenceEvent');
+const liveUpdates = require('./liveUpdates');
+
+// Work out which fences the fix enters or exits and update vehicle.geofences
+// (the caller saves the vehicle). Returns [{ type, geofence }].
+async function detectCrossings(vehicle, { lat, lng }) {
+    const fences = await Geofence.find({ fleet: vehicle.fleet, active: true });
+
+    const wasInside = new Set(vehicle.geofences.map(String));
+    const nowInside = fences.filter(fence => fence.contains(lat, lng));
+    const nowInsideIds = new Set(nowInside.map(fence => String(fence._id)));
+
+    const crossings = [];
+    nowInside.forEach(fence => {
+        if (!wasInside.has(String(fence._id))) crossings.push({ type: 'enter', geofence: fence });
+    });
+    fences.forEach(fence => {
+        const id = String(fence._id);
+        if (wasInside.has(id) && !nowInsideIds.has(id)) crossings.push({ type: 'exit', geofence: fence });
+    });
+
+    // Deleted or deactivated fences simply drop out without an exit event
+    vehicle.geofences = nowInside.map(fence => fence._id);
+    return crossings;
+}
+
+// Persist crossings as events and push them to the fleet's dashboards
+async function recordCrossings(vehicle, crossings, { lat, lng, timestamp }) {
+    if (crossings.length === 0) return [];
+
+    const events = await GeofenceEvent.insertMany(crossings.map(({ type, geofence }) => ({
+        fleet: vehicle.fleet,
+        geofence: geofence._id,
+        geofenceName: geofence.name,
+        vehicle: vehicle._id,
+        vehicleName: vehicle.name,
+        type,
+        lat,
+        lng,
+        timestamp
+    })));
+
+    events.forEach(event => {
+        console.log(`📍 ${event.vehicleName} ${event.type === 'enter' ? 'entered' : 'exited'} ${event.geofenceName}`);
+        liveUpdates.publish(vehicle.fleet, 'geofence:event', event.toJSON());
+    });
+    return events;
+}
+
+module.exports = { detectCrossings, recordCrossings };
@@ -0,0 +1,63 @@
+// Server-Sent Events hub. Each open dashboard holds one response stream and only
+// receives events for its own fleet.
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+// fleetId (string) -> Set of express responses
+const subscribers = new Map();
+let nextEventId = 1;
+
+function writeEvent(res, id, event, data) {
+    res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Keep the response open as an event stream until the client goes away, or until
+// closeAt (the access token's expiry) so the client reconnects with a fresh token
+// and a deleted user or revoked session stops receiving events.
+function subscribe(fleetId, req, res, closeAt = null) {
+    const key = fleetId.toString();
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    writeEvent(res, nextEventId++, 'connected', { timestamp: new Date().toISOString() });
+
+    if (!subscribers.has(key)) subscribers.set(key, new Set());
+    subscribers.get(key).add(res);
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    const expiry = closeAt ? setTimeout(() => res.end(), Math.max(0, closeAt - Date.now())) : null;
+
+    const unsubscribe = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        const fleetSubscribers = subscribers.get(key);
+        if (!fleetSubscribers) return;
+        fleetSubscribers.delete(res);
+        if (fleetSubscribers.size === 0) subscribers.delete(key);
+    };
+    req.on('close', unsubscribe);
+    res.on('close', unsubscribe);
+}
+
+// Broadcast an event to every dashboard watching the fleet
+function publish(fleetId, event, data) {
+    const fleetSubscribers = subscribers.get(fleetId.toString());
+    if (!fleetSubscribers) return;
+
+    const id = nextEventId++;
+    fleetSubscribers.forEach(res => writeEvent(res, id, event, data));
+}
+
+function subscriberCount() {
+    let count = 0;
+    subscribers.forEach(set => { count += set.size; });
+    return count;
+}
+
+module.exports = { subscribe, publish, subscriberCount };
@@ -0,0 +1,154 @@
+// Maintenance plan states. Distance-based plans move on with the odometer as
+// positions arrive; time-based ones on a periodic sweep. Each vehicle carries the
+// worst state of its plans, so lists and dashboards can badge it without a lookup.
+const MaintenancePlan = require('../models/maintenancePlan');
+const ServiceRecord = require('../models/serviceRecord');
+const Vehicle = require('../models/vehicle');
+const liveUpdates = require('./liveUpdates');
+
+const SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Ordered from best to worst
+const STATES = MaintenancePlan.MAINTENANCE_STATES;
+
+const worstState = (plans) => plans.reduce(
+    (worst, plan) => (STATES.indexOf(plan.state) > STATES.indexOf(worst) ? plan.state : worst),
+    'ok'
+);
+
+// A plan as JSON with what's left before it is overdue: remainingDistance (meters)
+// and remainingDays, negative once passed and null for an interval it doesn't have
+function describePlan(plan, odometer, now = new Date()) {
+    return {
+        ...plan.toJSON(),
+        remainingDistance: plan.dueOdometer == null ? null : plan.dueOdometer - (odometer || 0),
+        remainingDays: plan.dueAt ? Math.floor((plan.dueAt - now) / DAY_MS) : null
+    };
+}
+
+// Recompute the vehicle's overall state from its plans and announce a change
+async function syncVehicleState(vehicle) {
+    const plans = await MaintenancePlan.find({ vehicle: vehicle._id }).select('state');
+    const state = worstState(plans);
+    if ((vehicle.maintenance || 'ok') === state) return;
+
+    // Not a save(): the caller may still be holding (and later saving) this document
+    await Vehicle.updateOne({ _id: vehicle._id }, { $set: { maintenance: state } });
+    vehicle.maintenance = state;
+    liveUpdates.publish(vehicle.fleet, 'vehicle:updated', { _id: vehicle._id, name: vehicle.name, maintenance: state });
+}
+
+// Move plans to their state at the given odometer and time. Returns whether any changed.
+async function updatePlanStates(plans, odometer, now) {
+    let changed = false;
+    for (const plan of plans) {
+        const state = plan.stateAt(odometer, now);
+        if (state === plan.state) continue;
+        plan.state = state;
+        await plan.save();
+        changed = true;
+    }
+    return changed;
+}
+
+// Bring a plan that was just created, edited or serviced up to date with its vehicle
+async function refreshPlan(plan, vehicle, now = new Date()) {
+    plan.setDueThresholds();
+    plan.state = plan.stateAt(vehicle.odometer || 0, now);
+    await plan.save();
+    await syncVehicleState(vehicle);
+}
+
+// Plans the vehicle's new odometer reading has made due or overdue. Runs on every
+// current position, so it only fetches plans whose threshold was crossed.
+async function checkOdometer(vehicle, now = new Date()) {
+    const plans = await MaintenancePlan.find({
+        vehicle: vehicle._id,
+        $or: [
+            { state: 'ok', dueSoonOdometer: { $lte: vehicle.odometer } },
+            { state: 'due', dueOdometer: { $lte: vehicle.odometer } }
+        ]
+    });
+    if (await updatePlanStates(plans, vehicle.odometer, now)) await syncVehicleState(vehicle);
+}
+
+// Plans whose due dates have arrived
+async function checkDueDates(now = new Date()) {
+    const plans = await MaintenancePlan.find({
+        $or: [
+            { state: 'ok', dueSoonAt: { $lte: now } },
+            { state: 'due', dueAt: { $lte: now } }
+        ]
+    });
+    if (plans.length === 0) return;
+
+    const byVehicle = new Map();
+    for (const plan of plans) {
+        const key = String(plan.vehicle);
+        if (!byVehicle.has(key)) byVehicle.set(key, []);
+        byVehicle.get(key).push(plan);
+    }
+
+    const vehicles = await Vehicle.find({ _id: { $in: [...byVehicle.keys()] } }).select('name fleet odometer maintenance');
+    for (const vehicle of vehicles) {
+        if (await updatePlanStates(byVehicle.get(String(vehicle._id)), vehicle.odometer || 0, now)) {
+            await syncVehicleState(vehicle);
+        }
+    }
+}
+
+// Record a completed service. A service newer than the plan's last one restarts
+// its intervals; an older one (logged late) only goes into the history.
+async function logService(plan, vehicle, { performedAt, odometer, notes, loggedBy }) {
+    const record = await ServiceRecord.create({
+        fleet: plan.fleet,
+        vehicle: plan.vehicle,
+        plan: plan._id,
+        planName: plan.name,
+        performedAt,
+        odometer,
+        notes,
+        loggedBy
+    });
+
+    if (performedAt >= plan.lastServiceAt) {
+        plan.lastServiceAt = performedAt;
+        plan.lastServiceOdometer = odometer;
+        await refreshPlan(plan, vehicle);
+    }
+    return record;
+}
+
+// Remove a vehicle's plans and service history (used when the vehicle is deleted)
+async function deleteVehicleMaintenance(vehicleId) {
+    await MaintenancePlan.deleteMany({ vehicle: vehicleId });
+    await ServiceRecord.deleteMany({ vehicle: vehicleId });
+}
+
+// Periodic sweep for time-based plans. Returns the interval handle.
+function startMaintenanceScheduler() {
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkDueDates();
+        } catch (err) {
+            console.error('Maintenance sweep error:', err);
+        } finally {
+            running = false;
+        }
+    }, SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+    describePlan,
+    syncVehicleState,
+    refreshPlan,
+    checkOdometer,
+    checkDueDates,
+    logService,
+    deleteVehicleMaintenance,
+    startMaintenanceScheduler
+};
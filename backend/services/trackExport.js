@@ -0,0 +1,186 @@
+// Streams recorded positions as GPX, KML, GeoJSON or CSV files. Positions are read
+// with a cursor, one vehicle at a time, and written as they arrive, so large ranges
+// never sit in memory.
+const { once } = require('events');
+const Position = require('../models/position');
+
+const escapeXml = (value) => String(value).replace(/[<>&'"]/g, char => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;'
+}[char]));
+
+const escapeCsv = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+
+// Each format writes a header, then per vehicle: trackStart(vehicle, first, last) before
+// its first point, one chunk per point and trackEnd(vehicle, first, last) after its last.
+// last is only known up front for formats with needsLast, which costs an extra query.
+// Vehicles without points in the range are left out.
+const FORMATS = {
+    gpx: {
+        contentType: 'application/gpx+xml',
+        header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<gpx version="1.1" creator="Vehicle Tracking System" xmlns="http://www.topografix.com/GPX/1/1"' +
+            ' xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">\n',
+        trackStart: (vehicle) => `  <trk>\n    <name>${escapeXml(vehicle.name)}</name>\n    <trkseg>\n`,
+        // Speed (m/s) and course aren't in GPX 1.1. Extensions must come from another
+        // namespace, so they use Garmin's TrackPointExtension, which most tools read.
+        point: (position) => {
+            const extensions = [
+                isNumber(position.speed) ? `<gpxtpx:speed>${(position.speed / 3.6).toFixed(2)}</gpxtpx:speed>` : '',
+                isNumber(position.heading) ? `<gpxtpx:course>${position.heading.toFixed(1)}</gpxtpx:course>` : ''
+            ].join('');
+            return `      <trkpt lat="${position.lat}" lon="${position.lng}">` +
+                (isNumber(position.altitude) ? `<ele>${position.altitude}</ele>` : '') +
+                `<time>${position.timestamp.toISOString()}</time>` +
+                (extensions ? `<extensions><gpxtpx:TrackPointExtension>${extensions}</gpxtpx:TrackPointExtension></extensions>` : '') +
+                '</trkpt>\n';
+        },
+        trackEnd: () => '    </trkseg>\n  </trk>\n',
+        footer: () => '</gpx>\n'
+    },
+
+    // One LineString per vehicle. The schema puts the TimeSpan before the geometry,
+    // so the last point is looked up before streaming.
+    kml: {
+        contentType: 'application/vnd.google-earth.kml+xml',
+        needsLast: true,
+        header: () => '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<kml xmlns="http://www.opengis.net/kml/2.2">\n<Document>\n',
+        trackStart: (vehicle, first, last) => '  <Placemark>\n' +
+            `    <name>${escapeXml(vehicle.name)}</name>\n` +
+            `    <TimeSpan><begin>${first.timestamp.toISOString()}</begin><end>${last.timestamp.toISOString()}</end></TimeSpan>\n` +
+            '    <LineString>\n      <tessellate>1</tessellate>\n      <coordinates>\n',
+        point: (position) => `        ${position.lng},${position.lat}${isNumber(position.altitude) ? `,${position.altitude}` : ''}\n`,
+        trackEnd: () => '      </coordinates>\n    </LineString>\n  </Placemark>\n',
+        footer: () => '</Document>\n</kml>\n'
+    },
+
+    // A Point feature per position, so each keeps its time and motion
+    geojson: {
+        contentType: 'application/geo+json',
+        header: () => '{"type":"FeatureCollection","features":[\n',
+        trackStart: () => '',
+        point: (position, vehicle, isFirst) => (isFirst ? '' : ',\n') + JSON.stringify({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: isNumber(position.altitude)
+                    ? [position.lng, position.lat, position.altitude]
+                    : [position.lng, position.lat]
+            },
+            properties: {
+                vehicle: vehicle.name,
+                vehicleId: vehicle._id,
+                timestamp: position.timestamp,
+                speed: position.speed,
+                heading: position.heading,
+                odometer: position.odometer
+            }
+        }),
+        trackEnd: () => '',
+        footer: () => '\n]}\n'
+    },
+
+    // Columns gps.js --replay reads back (speed in km/h)
+    csv: {
+        contentType: 'text/csv',
+        header: () => 'vehicle,timestamp,lat,lng,speed,heading,altitude,odometer\n',
+        trackStart: () => '',
+        point: (position, vehicle) => [
+            vehicle.name,
+            position.timestamp.toISOString(),
+            position.lat,
+            position.lng,
+            isNumber(position.speed) ? position.speed.toFixed(1) : '',
+            isNumber(position.heading) ? position.heading.toFixed(1) : '',
+            position.altitude,
+            isNumber(position.odometer) ? Math.round(position.odometer) : ''
+        ].map(escapeCsv).join(',') + '\n',
+        trackEnd: () => '',
+        footer: () => ''
+    }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+// Write positions of the given vehicles between from and to (either optional) to
+// an HTTP response or any writable stream, respecting backpressure.
+// Resolves once the export is written or the stream was closed early.
+async function writeTrackExport(stream, format, vehicles, { from, to } = {}) {
+    const writer = FORMATS[format];
+    let closed = false;
+    const onClose = () => { closed = true; };
+    stream.on('close', onClose);
+
+    const write = async (chunk) => {
+        if (!chunk || closed) return;
+        if (!stream.write(chunk)) {
+            await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+        }
+    };
+
+    try {
+        await write(writer.header());
+        let isFirstPoint = true;
+
+        for (const vehicle of vehicles) {
+            const match = { vehicle: vehicle._id };
+            if (from || to) {
+                match.timestamp = {};
+                if (from) match.timestamp.$gte = from;
+                if (to) match.timestamp.$lte = to;
+            }
+
+            // Formats that need the last point up front look it up first, then stream only
+            // up to it so positions arriving mid-export can't outrun it
+            let knownLast = null;
+            if (writer.needsLast) {
+                knownLast = await Position.findOne(match).sort({ timestamp: -1 }).select('timestamp').lean();
+                if (!knownLast) continue;
+                match.timestamp = { ...match.timestamp, $lte: knownLast.timestamp };
+            }
+
+            const cursor = Position.find(match)
+                .sort({ timestamp: 1 })
+                .select('lat lng timestamp speed heading altitude odometer')
+                .lean()
+                .cursor();
+
+            let first = null;
+            let last = null;
+            try {
+                for await (const position of cursor) {
+                    if (closed) break;
+                    if (!first) {
+                        first = position;
+                        await write(writer.trackStart(vehicle, position, knownLast));
+                    }
+                    await write(writer.point(position, vehicle, isFirstPoint));
+                    isFirstPoint = false;
+                    last = position;
+                }
+            } finally {
+                await cursor.close();
+            }
+
+            if (closed) return;
+            if (last) await write(writer.trackEnd(vehicle, first, last));
+        }
+
+        await write(writer.footer());
+        if (!closed) stream.end();
+    } finally {
+        stream.off('close', onClose);
+    }
+}
+
+function exportContentType(format) {
+    return FORMATS[format].contentType;
+}
+
+module.exports = { EXPORT_FORMATS, exportContentType, writeTrackExport };
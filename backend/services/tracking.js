@@ -0,0 +1,211 @@
+// The position update pipeline: every way a fix can arrive ends up here, so
+// storage and broadcasting behave the same regardless of the source.
+const Position = require('../models/position');
+const Trip = require('../models/trip');
+const Vehicle = require('../models/vehicle');
+const liveUpdates = require('./liveUpdates');
+const geofencing = require('./geofencing');
+const alerts = require('./alerts');
+const trips = require('./trips');
+const maintenance = require('./maintenance');
+const { vehicleStatus } = require('./vehicleSearch');
+const { haversineDistance, initialBearing } = require('../utils/geo');
+
+// Below this much movement the bearing between two fixes is mostly GPS noise
+const MIN_HEADING_DISTANCE_M = 5;
+
+// Distance, speed (km/h) and heading from the previous fix to the current one.
+// Values the device reported itself take precedence over derived ones.
+function deriveMotion(previous, current, reported = {}) {
+    const distance = haversineDistance(previous.lat, previous.lng, current.lat, current.lng);
+    const elapsedSeconds = (current.timestamp - previous.timestamp) / 1000;
+
+    let speed = reported.speed;
+    if (speed === undefined) {
+        speed = elapsedSeconds > 0 ? distance / elapsedSeconds * 3.6 : previous.speed;
+    }
+
+    // Some devices report due north as 360
+    let heading = reported.heading === undefined ? undefined : reported.heading % 360;
+    if (heading === undefined) {
+        heading = distance >= MIN_HEADING_DISTANCE_M
+            ? initialBearing(previous.lat, previous.lng, current.lat, current.lng)
+            : previous.heading;
+    }
+
+    return { distance, speed, heading };
+}
+
+// Move a vehicle to a new fix, append it to the track store, advance its trip,
+// record geofence crossings, run alert rules and notify dashboards.
+// timestamp is the device's time for the fix. speed/heading, altitude/accuracy/battery
+// and fix ({ quality, satellites, hdop }) are optional device-reported values.
+//
+// Fixes that aren't newer than the vehicle's current position (offline buffers, resends)
+// are only backfilled into the history. Returns 'current', 'backfilled' or 'duplicate'.
+async function recordPosition(vehicle, {
+    lat, lng, speed, heading, altitude, accuracy, battery, fix, timestamp = new Date()
+}) {
+    const extras = { altitude, accuracy, battery, fix };
+    if (vehicle.lastUpdated && timestamp <= vehicle.lastUpdated) {
+        return recordHistoricalPosition(vehicle, { lat, lng, speed, heading, timestamp, ...extras });
+    }
+
+    const previous = { lat: vehicle.lat, lng: vehicle.lng, timestamp: vehicle.lastUpdated, speed: vehicle.speed, heading: vehicle.heading };
+    const motion = deriveMotion(previous, { lat, lng, timestamp }, { speed, heading });
+    const crossings = await geofencing.detectCrossings(vehicle, { lat, lng });
+
+    vehicle.lat = lat;
+    vehicle.lng = lng;
+    vehicle.lastUpdated = timestamp;
+    vehicle.speed = motion.speed;
+    vehicle.heading = motion.heading;
+    vehicle.odometer = (vehicle.odometer || 0) + motion.distance;
+    await vehicle.save();
+
+    await Position.create({
+        vehicle: vehicle._id,
+        fleet: vehicle.fleet,
+        lat,
+        lng,
+        timestamp,
+        speed: motion.speed,
+        heading: motion.heading,
+        distance: motion.distance,
+        odometer: vehicle.odometer,
+        ...extras
+    });
+
+    await trips.recordTripFix(vehicle, previous, {
+        lat,
+        lng,
+        timestamp,
+        speed: motion.speed,
+        distance: motion.distance
+    });
+
+    await geofencing.recordCrossings(vehicle, crossings, { lat, lng, timestamp });
+
+    // A broken rule must never make the update itself fail
+    try {
+        await alerts.evaluateUpdate(vehicle, { speed: motion.speed, lat, lng, timestamp, crossings });
+    } catch (err) {
+        console.error('Alert evaluation error:', err);
+    }
+
+    try {
+        await maintenance.checkOdometer(vehicle, timestamp);
+    } catch (err) {
+        console.error('Maintenance check error:', err);
+    }
+
+    // Position events stay small: dashboards already have the rest of the vehicle
+    liveUpdates.publish(vehicle.fleet, 'vehicle:position', {
+        _id: vehicle._id,
+        name: vehicle.name,
+        lat: vehicle.lat,
+        lng: vehicle.lng,
+        latitude: vehicle.lat,
+        longitude: vehicle.lng,
+        speed: vehicle.speed,
+        heading: vehicle.heading,
+        odometer: vehicle.odometer,
+        status: vehicleStatus(vehicle),
+        lastActive: vehicle.lastUpdated,
+        lastUpdated: vehicle.lastUpdated
+    });
+
+    return 'current';
+}
+
+// Insert a fix older than the vehicle's current position. It joins the history
+// with motion derived from the stored point before it, and the point after it now
+// counts its distance from this one. The live position, geofences and alerts are
+// left alone; trips are marked for scripts/rebuild-trips.js.
+async function recordHistoricalPosition(vehicle, { lat, lng, speed, heading, timestamp, ...extras }) {
+    if (await Position.exists({ vehicle: vehicle._id, timestamp })) return 'duplicate';
+
+    const point = { lat, lng, timestamp };
+    const [previous, next] = await Promise.all([
+        Position.findOne({ vehicle: vehicle._id, timestamp: { $lt: timestamp } }).sort({ timestamp: -1 }),
+        Position.findOne({ vehicle: vehicle._id, timestamp: { $gt: timestamp } }).sort({ timestamp: 1 })
+    ]);
+    const motion = previous
+        ? deriveMotion(previous, point, { speed, heading })
+        : { distance: 0, speed, heading };
+
+    // Later odometers already include the direct hop from previous to next, so
+    // the detour through this point never takes the reading past the next one
+    let odometer;
+    if (previous && typeof previous.odometer === 'number') {
+        odometer = previous.odometer + motion.distance;
+        if (next && typeof next.odometer === 'number') odometer = Math.min(odometer, next.odometer);
+    }
+
+    await Position.create({
+        vehicle: vehicle._id,
+        fleet: vehicle.fleet,
+        ...point,
+        speed: motion.speed,
+        heading: motion.heading,
+        distance: motion.distance,
+        odometer,
+        ...extras
+    });
+
+    if (next) {
+        next.distance = deriveMotion(point, next).distance;
+        await next.save();
+    }
+    await Vehicle.updateOne({ _id: vehicle._id }, { $min: { tripsStaleFrom: timestamp } });
+    return 'backfilled';
+}
+
+// Record a batch of fixes (e.g. an offline buffer) oldest first. Each result is
+// 'current', 'backfilled', 'duplicate' or 'failed', in the order the fixes were given.
+async function recordPositions(vehicle, fixes) {
+    const results = new Array(fixes.length);
+    const order = fixes.map((fix, index) => index).sort((a, b) => fixes[a].timestamp - fixes[b].timestamp);
+    const seen = new Set();
+
+    for (const index of order) {
+        const fix = fixes[index];
+        const key = fix.timestamp.getTime();
+        if (seen.has(key)) {
+            results[index] = { status: 'duplicate' };
+            continue;
+        }
+        seen.add(key);
+
+        try {
+            results[index] = { status: await recordPosition(vehicle, fix) };
+        } catch (err) {
+            console.error(`Error recording fix for ${vehicle.name}:`, err);
+            results[index] = { status: 'failed', error: 'Error recording position' };
+        }
+    }
+    return results;
+}
+
+// Seed a newly created vehicle's track with its starting position
+async function startTrack(vehicle) {
+    await Position.create({
+        vehicle: vehicle._id,
+        fleet: vehicle.fleet,
+        lat: vehicle.lat,
+        lng: vehicle.lng,
+        timestamp: vehicle.lastUpdated,
+        speed: 0,
+        distance: 0,
+        odometer: vehicle.odometer
+    });
+}
+
+// Remove a vehicle's recorded track and the trips built from it
+// (used when the vehicle itself is deleted)
+async function deleteTrack(vehicleId) {
+    await Position.deleteMany({ vehicle: vehicleId });
+    await Trip.deleteMany({ vehicle: vehicleId });
+}
+
+module.exports = { recordPosition, recordPositions, startTrack, deleteTrack, deriveMotion };
@@ -0,0 +1,167 @@
+// Trip segmentation. Every fix advances a small state machine per vehicle: the
+// vehicle starts a trip when it moves, and the trip ends once it has been idle
+// (or silent) for STOP_AFTER_MS. The gaps between trips are its stops.
+const Trip = require('../models/trip');
+
+const MOVING_SPEED_KMH = 5;
+const STOP_AFTER_MS = 5 * 60 * 1000;
+// Shorter "trips" are GPS drift around a parked vehicle
+const MIN_TRIP_DISTANCE_M = 100;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const locationOf = ({ lat, lng }) => ({ lat, lng });
+
+function refreshSummary(trip) {
+    trip.duration = Math.max(0, (trip.endTime - trip.startTime) / 1000);
+    trip.avgSpeed = trip.duration > 0 ? trip.distance / trip.duration * 3.6 : 0;
+}
+
+// Movement began somewhere between the previous fix and this one, so the trip
+// starts at the previous fix when that's recent enough to belong to it
+function startTrip(vehicle, previous, fix) {
+    const origin = previous && fix.timestamp - previous.timestamp < STOP_AFTER_MS ? previous : fix;
+    const trip = new Trip({
+        vehicle: vehicle._id,
+        fleet: vehicle.fleet,
+        startTime: origin.timestamp,
+        endTime: fix.timestamp,
+        startLocation: locationOf(origin),
+        endLocation: locationOf(fix),
+        distance: origin === fix ? 0 : fix.distance,
+        maxSpeed: fix.speed,
+        pointCount: origin === fix ? 1 : 2,
+        segmentation: { lastMovingAt: fix.timestamp, lastMovingLocation: locationOf(fix) }
+    });
+    refreshSummary(trip);
+    return trip;
+}
+
+function extendTrip(trip, fix, moving) {
+    const elapsedSeconds = (fix.timestamp - trip.endTime) / 1000;
+
+    trip.endTime = fix.timestamp;
+    trip.endLocation = locationOf(fix);
+    trip.distance += fix.distance;
+    trip.maxSpeed = Math.max(trip.maxSpeed, fix.speed);
+    trip.pointCount += 1;
+
+    if (moving) {
+        trip.segmentation.lastMovingAt = fix.timestamp;
+        trip.segmentation.lastMovingLocation = locationOf(fix);
+        trip.segmentation.trailingIdleTime = 0;
+        trip.segmentation.trailingDistance = 0;
+    } else {
+        trip.idleTime += elapsedSeconds;
+        trip.segmentation.trailingIdleTime += elapsedSeconds;
+        trip.segmentation.trailingDistance += fix.distance;
+    }
+    refreshSummary(trip);
+}
+
+// The trip ended where the vehicle last moved; the idle tail belongs to the stop
+function closeTrip(trip) {
+    const { lastMovingAt, lastMovingLocation, trailingIdleTime, trailingDistance } = trip.segmentation;
+    trip.status = 'closed';
+    trip.endTime = lastMovingAt;
+    trip.endLocation = locationOf(lastMovingLocation);
+    trip.idleTime = Math.max(0, trip.idleTime - trailingIdleTime);
+    trip.distance = Math.max(0, trip.distance - trailingDistance);
+    refreshSummary(trip);
+    return trip;
+}
+
+// Advance a vehicle's trip state by one fix { lat, lng, timestamp, speed, distance }.
+// Returns the trip that is now open (or null) and the trip this fix closed (or null).
+function advanceTrip(vehicle, openTrip, previous, fix) {
+    // Out-of-order fixes don't rewrite trips that have already moved past them
+    if (openTrip && fix.timestamp < openTrip.endTime) return { trip: openTrip, closed: null };
+
+    const moving = fix.speed >= MOVING_SPEED_KMH;
+    let trip = openTrip;
+    let closed = null;
+
+    // A device that went silent mid-trip stopped somewhere in the gap
+    if (trip && fix.timestamp - trip.endTime >= STOP_AFTER_MS) {
+        closed = closeTrip(trip);
+        trip = null;
+    }
+
+    if (!trip) {
+        return { trip: moving ? startTrip(vehicle, closed ? null : previous, fix) : null, closed };
+    }
+
+    extendTrip(trip, fix, moving);
+    if (!moving && fix.timestamp - trip.segmentation.lastMovingAt >= STOP_AFTER_MS) {
+        return { trip: null, closed: closeTrip(trip) };
+    }
+    return { trip, closed };
+}
+
+// Persist the outcome of advanceTrip, discarding closed trips too short to count
+async function saveTripState({ trip, closed }) {
+    if (closed) {
+        if (closed.distance >= MIN_TRIP_DISTANCE_M) {
+            await closed.save();
+        } else if (!closed.isNew) {
+            await closed.deleteOne();
+        }
+    }
+    if (trip) await trip.save();
+}
+
+// Called by the tracking pipeline for every stored fix
+async function recordTripFix(vehicle, previous, fix) {
+    const openTrip = await Trip.findOne({ vehicle: vehicle._id, status: 'open' });
+    await saveTripState(advanceTrip(vehicle, openTrip, previous, fix));
+}
+
+// Close trips whose vehicle stopped reporting altogether
+async function closeSilentTrips() {
+    const silent = await Trip.find({ status: 'open', endTime: { $lt: new Date(Date.now() - STOP_AFTER_MS) } });
+    for (const trip of silent) {
+        await saveTripState({ trip: null, closed: closeTrip(trip) });
+    }
+}
+
+// Periodic sweep for silent vehicles. Returns the interval handle.
+function startTripScheduler() {
+    let running = false;
+
+    return setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await closeSilentTrips();
+        } catch (err) {
+            console.error('Trip sweep error:', err);
+        } finally {
+            running = false;
+        }
+    }, SWEEP_INTERVAL_MS);
+}
+
+// Stops are the gaps between consecutive trips (trips given newest first)
+function stopsBetween(trips) {
+    const stops = [];
+    for (let i = 0; i < trips.length - 1; i++) {
+        const after = trips[i];
+        const before = trips[i + 1];
+        stops.push({
+            startTime: before.endTime,
+            endTime: after.startTime,
+            duration: Math.max(0, (after.startTime - before.endTime) / 1000),
+            location: before.endLocation
+        });
+    }
+    return stops;
+}
+
+module.exports = {
+    MOVING_SPEED_KMH,
+    advanceTrip,
+    saveTripState,
+    recordTripFix,
+    closeSilentTrips,
+    startTripScheduler,
+    stopsBetween
+};
@@ -0,0 +1,122 @@
+// Bulk vehicle import: reading rows out of uploaded CSV/GeoJSON files and inserting
+// the resulting vehicles all-or-nothing.
+const mongoose = require('mongoose');
+
+const CSV_COLUMNS = {
+    name: ['name', 'vehicle', 'vehicle name'],
+    lat: ['lat', 'latitude'],
+    lng: ['lng', 'lon', 'long', 'longitude']
+};
+
+class ImportFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImportFileError';
+    }
+}
+
+// Split one CSV line, honouring double-quoted cells ("a, b" and "" escapes)
+function splitCsvLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+function parseCsv(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    const header = splitCsvLine(lines[0] || '').map(name => name.toLowerCase());
+    const columns = {};
+    for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+        columns[field] = header.findIndex(name => names.includes(name));
+        if (columns[field] === -1) {
+            throw new ImportFileError('CSV header must have name, lat and lng (or latitude/longitude) columns');
+        }
+    }
+
+    const rows = [];
+    lines.slice(1).forEach((line, i) => {
+        if (!line.trim()) return;
+        const cells = splitCsvLine(line);
+        // Row numbers match the line in the file, header included
+        rows.push({ row: i + 2, name: cells[columns.name], lat: cells[columns.lat], lng: cells[columns.lng] });
+    });
+    return rows;
+}
+
+function parseGeoJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new ImportFileError(`Invalid GeoJSON: ${err.message}`);
+    }
+    const features = data && data.type === 'FeatureCollection' ? data.features : null;
+    if (!Array.isArray(features)) throw new ImportFileError('GeoJSON must be a FeatureCollection');
+
+    return features.map((feature, i) => {
+        const row = { row: i + 1, name: feature && feature.properties ? feature.properties.name : undefined };
+        const geometry = feature && feature.geometry;
+        if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+            return { ...row, error: 'Feature geometry must be a Point' };
+        }
+        const [lng, lat] = geometry.coordinates;
+        return { ...row, lat, lng };
+    });
+}
+
+// Raw rows { row, name, lat, lng } (or { row, error }) to be validated like
+// POST /api/vehicles bodies. Throws ImportFileError when the file itself is unusable.
+function parseImportFile(format, text) {
+    if (typeof text !== 'string' || !text.trim()) throw new ImportFileError('The file is empty');
+    if (format === 'csv') return parseCsv(text);
+    if (format === 'geojson') return parseGeoJson(text);
+    throw new ImportFileError('format must be csv or geojson');
+}
+
+// Standalone servers have no transactions; fall back to undoing a partial insert
+const transactionsUnsupported = (err) => err.code === 20 || /replica set|Transaction numbers/i.test(err.message || '');
+
+// Insert every document or none. On failure the error's writeErrors say which
+// documents (by index) were rejected.
+async function insertAllOrNothing(Model, docs) {
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(() => Model.insertMany(docs, { session, ordered: false }));
+        return;
+    } catch (err) {
+        if (!transactionsUnsupported(err)) throw err;
+    } finally {
+        await session.endSession();
+    }
+
+    try {
+        await Model.insertMany(docs, { ordered: false });
+    } catch (err) {
+        await Model.deleteMany({ _id: { $in: docs.map(doc => doc._id) } });
+        throw err;
+    }
+}
+
+module.exports = { ImportFileError, parseImportFile, insertAllOrNothing };
@@ -0,0 +1,246 @@
+// Query options for vehicle lists: filters, sorting, cursor pagination and field
+// selection for GET /api/vehicles, plus the status a vehicle is shown with.
+const { MOVING_SPEED_KMH } = require('./trips');
+const { validateCoordinates, parseDateParam } = require('../utils/validation');
+const { boundingBoxPolygons } = require('../utils/geo');
+const { MAINTENANCE_STATES } = require('../models/maintenancePlan');
+
+// Vehicles that haven't reported for this long are offline
+const OFFLINE_AFTER_MS = 10 * 60 * 1000;
+const VEHICLE_STATUSES = ['moving', 'idle', 'offline'];
+
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+const MAX_SEARCH_LENGTH = 100;
+
+// Sortable fields and how their cursor values are read back
+const SORT_FIELDS = {
+    name: String,
+    lastUpdated: (value) => new Date(value),
+    createdAt: (value) => new Date(value),
+    speed: Number,
+    odometer: Number
+};
+
+// Response fields (see transformVehicle) and the document paths they're built from
+const FIELD_PATHS = {
+    name: ['name'],
+    owner: ['owner'],
+    deviceKeyHint: ['deviceKey.hint'],
+    lat: ['lat'],
+    lng: ['lng'],
+    latitude: ['lat'],
+    longitude: ['lng'],
+    speed: ['speed'],
+    heading: ['heading'],
+    odometer: ['odometer'],
+    status: ['speed', 'lastUpdated'],
+    tags: ['tags'],
+    group: ['group'],
+    type: ['type'],
+    plateNumber: ['plateNumber'],
+    make: ['make'],
+    model: ['model'],
+    color: ['color'],
+    capacity: ['capacity'],
+    icon: ['icon'],
+    notes: ['notes'],
+    driver: ['driver'],
+    maintenance: ['maintenance'],
+    lastActive: ['lastUpdated'],
+    lastUpdated: ['lastUpdated'],
+    createdAt: ['createdAt'],
+    updatedAt: ['updatedAt']
+};
+const VEHICLE_FIELDS = Object.keys(FIELD_PATHS);
+
+function vehicleStatus(vehicle, now = Date.now()) {
+    if (!vehicle.lastUpdated || now - new Date(vehicle.lastUpdated).getTime() > OFFLINE_AFTER_MS) return 'offline';
+    return vehicle.speed >= MOVING_SPEED_KMH ? 'moving' : 'idle';
+}
+
+// Mongo condition matching vehicleStatus
+function statusCondition(status, now) {
+    const cutoff = new Date(now - OFFLINE_AFTER_MS);
+    if (status === 'offline') return { lastUpdated: { $lt: cutoff } };
+    if (status === 'moving') return { lastUpdated: { $gte: cutoff }, speed: { $gte: MOVING_SPEED_KMH } };
+    return { lastUpdated: { $gte: cutoff }, speed: { $not: { $gte: MOVING_SPEED_KMH } } };
+}
+
+// "west,south,east,north" in degrees; west > east crosses the antimeridian.
+// Returns { error } or { value: [west, south, east, north] }
+function parseBbox(value) {
+    const bbox = String(value || '').split(',').map(Number);
+    const [west, south, east, north] = bbox;
+    const valid = bbox.length === 4 && !bbox.some(isNaN) &&
+        validateCoordinates(south, west).valid && validateCoordinates(north, east).valid && south <= north;
+    return valid ? { value: bbox } : { error: 'bbox must be west,south,east,north in degrees' };
+}
+
+function bboxCondition([west, south, east, north]) {
+    const polygons = boundingBoxPolygons(west, south, east, north);
+    if (!polygons) return { lat: { $gte: south, $lte: north } };
+    return { $or: polygons.map(polygon => ({ location: { $geoWithin: { $geometry: polygon } } })) };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Comma-separated query values, trimmed, without empties
+const listParam = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+// Cursors hold the last vehicle's sort value and id, so pages stay stable while
+// vehicles are added or removed
+function encodeVehicleCursor(vehicle, sortField) {
+    const value = vehicle[sortField];
+    return Buffer.from(JSON.stringify({ v: value === undefined ? null : value, id: vehicle._id })).toString('base64url');
+}
+
+function decodeVehicleCursor(cursor, sortField) {
+    try {
+        const { v: value, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (typeof id !== 'string' || !/^[a-f0-9]{24}$/i.test(id)) return null;
+        return { value: value === null ? null : SORT_FIELDS[sortField](value), id };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Vehicles after the cursor in (sortField, _id) order. Missing values sort before
+// every other value, so they come first ascending and last descending.
+function afterCursor(sortField, direction, { value, id }) {
+    const next = direction === 1 ? '$gt' : '$lt';
+    if (value === null) {
+        return direction === 1
+            ? { $or: [{ [sortField]: null, _id: { $gt: id } }, { [sortField]: { $ne: null } }] }
+            : { [sortField]: null, _id: { $lt: id } };
+    }
+    const conditions = [{ [sortField]: { [next]: value } }, { [sortField]: value, _id: { [next]: id } }];
+    if (direction === -1) conditions.push({ [sortField]: null });
+    return { $or: conditions };
+}
+
+// Validate list query params: q, status, tag, type, group, maintenance, updatedSince, bbox,
+// sort, order, limit, cursor and fields. `scope` (e.g. the caller's fleet) is part of every filter.
+// Returns { error } or { value: { filter, pageFilter, sort, sortField, limit, select, fields } };
+// filter matches every page (for totals), pageFilter only the requested one.
+function parseVehicleSearch(query, scope) {
+    const conditions = [scope];
+
+    if (query.q !== undefined && query.q !== '') {
+        const search = String(query.q).trim();
+        if (search.length > MAX_SEARCH_LENGTH) return { error: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+        if (search) conditions.push({ name: { $regex: escapeRegex(search), $options: 'i' } });
+    }
+
+    if (query.status !== undefined) {
+        const statuses = listParam(query.status);
+        if (statuses.length === 0 || statuses.some(status => !VEHICLE_STATUSES.includes(status))) {
+            return { error: `status must be one or more of: ${VEHICLE_STATUSES.join(', ')}` };
+        }
+        const now = Date.now();
+        conditions.push({ $or: statuses.map(status => statusCondition(status, now)) });
+    }
+
+    if (query.tag !== undefined) {
+        const tags = listParam(query.tag).map(tag => tag.toLowerCase());
+        if (tags.length > 0) conditions.push({ tags: { $in: tags } });
+    }
+
+    if (query.type !== undefined) {
+        const types = listParam(query.type);
+        // Vehicles created before profiles existed have no type and show as cars
+        if (types.length > 0) conditions.push({ type: { $in: types.includes('car') ? [...types, null] : types } });
+    }
+
+    if (query.group !== undefined) {
+        const groups = listParam(query.group);
+        if (groups.length > 0) conditions.push({ group: { $in: groups } });
+    }
+
+    if (query.maintenance !== undefined) {
+        const states = listParam(query.maintenance);
+        if (states.length === 0 || states.some(state => !MAINTENANCE_STATES.includes(state))) {
+            return { error: `maintenance must be one or more of: ${MAINTENANCE_STATES.join(', ')}` };
+        }
+        // Vehicles saved before maintenance plans existed have no state and count as ok
+        conditions.push({ maintenance: { $in: states.includes('ok') ? [...states, null] : states } });
+    }
+
+    const updatedSince = parseDateParam(query.updatedSince);
+    if (updatedSince === null) return { error: 'updatedSince must be a valid date' };
+    if (updatedSince) conditions.push({ lastUpdated: { $gte: updatedSince } });
+
+    if (query.bbox !== undefined) {
+        const { error, value } = parseBbox(query.bbox);
+        if (error) return { error };
+        conditions.push(bboxCondition(value));
+    }
+
+    const sortField = query.sort === undefined ? 'lastUpdated' : String(query.sort);
+    if (!SORT_FIELDS[sortField]) {
+        return { error: `sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}` };
+    }
+    // Names read best A-Z; everything else newest/largest first
+    const order = query.order === undefined ? (sortField === 'name' ? 'asc' : 'desc') : String(query.order);
+    if (order !== 'asc' && order !== 'desc') return { error: 'order must be asc or desc' };
+    const direction = order === 'asc' ? 1 : -1;
+
+    const limit = query.limit === undefined ? DEFAULT_LIST_LIMIT : parseInt(query.limit, 10);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        return { error: `limit must be between 1 and ${MAX_LIST_LIMIT}` };
+    }
+
+    let fields = null;
+    let select = null;
+    if (query.fields !== undefined) {
+        fields = listParam(query.fields);
+        const unknown = fields.find(field => field !== '_id' && !FIELD_PATHS[field]);
+        if (unknown) return { error: `Unknown field "${unknown}". Fields: ${VEHICLE_FIELDS.join(', ')}` };
+        // Coordinates are always read (vehicles without valid ones are left out) and so
+        // is the sort field, which the next cursor is built from
+        const paths = new Set(['lat', 'lng', sortField]);
+        fields.forEach(field => (FIELD_PATHS[field] || []).forEach(path => paths.add(path)));
+        select = [...paths].join(' ');
+    }
+
+    const filter = conditions.length === 1 ? scope : { $and: conditions };
+    let pageFilter = filter;
+    if (query.cursor !== undefined) {
+        const cursor = decodeVehicleCursor(query.cursor, sortField);
+        if (!cursor) return { error: 'Invalid cursor' };
+        pageFilter = { $and: [...conditions, afterCursor(sortField, direction, cursor)] };
+    }
+
+    return {
+        value: {
+            filter,
+            pageFilter,
+            sort: { [sortField]: direction, _id: direction },
+            sortField,
+            limit,
+            select,
+            fields
+        }
+    };
+}
+
+// Keep only the requested response fields (and always _id)
+function pickFields(vehicle, fields) {
+    if (!fields) return vehicle;
+    const picked = { _id: vehicle._id };
+    fields.forEach(field => {
+        if (field in vehicle) picked[field] = vehicle[field];
+    });
+    return picked;
+}
+
+module.exports = {
+    VEHICLE_STATUSES,
+    VEHICLE_FIELDS,
+    vehicleStatus,
+    parseBbox,
+    bboxCondition,
+    parseVehicleSearch,
+    encodeVehicleCursor,
+    pickFields
+};
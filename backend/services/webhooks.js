@@ -0,0 +1,194 @@
+// Webhook delivery for alerts. Payloads are signed with the rule's secret and
+// failed deliveries are retried with exponential backoff by the alert scheduler.
+const crypto = require('crypto');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const Alert = require('../models/alert');
+const AlertRule = require('../models/alertRule');
+
+const MAX_ATTEMPTS = 6;
+const BASE_BACKOFF_MS = 30 * 1000; // 30s, 1m, 2m, 4m, 8m between attempts
+const REQUEST_TIMEOUT_MS = 10000;
+// How long a claimed attempt keeps others away. Well past the worst case of two
+// DNS lookups plus the request timeout; a claim older than this was cut short.
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+const RETRY_BATCH_SIZE = 50;
+
+// Webhooks may only reach public hosts. Loopback, link-local (cloud metadata),
+// private and unique-local addresses would let any rule author make the server
+// POST into its own network.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// BlockList also matches IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) against the IPv4 ranges
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    return !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Check that a webhook URL is https and its host resolves only to public addresses.
+// Returns an error message, or null when the URL may be called.
+async function checkWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return 'webhookUrl must be a valid URL';
+    }
+    if (parsed.protocol !== 'https:') return 'webhookUrl must be an https URL';
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (err) {
+        return `webhookUrl host ${host} cannot be resolved`;
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+        return 'webhookUrl must point to a public address';
+    }
+    return null;
+}
+
+// Re-checks the addresses the connection actually uses, so a host that resolves
+// differently after checkWebhookUrl (DNS rebinding) still can't reach the network
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return callback(err);
+        const resolved = Array.isArray(address) ? address : [{ address, family }];
+        if (resolved.some(entry => !isPublicAddress(entry.address))) {
+            return callback(new Error(`${hostname} resolves to a non-public address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const webhookAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+// Receivers verify: hex(HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${rawBody}`))
+function signPayload(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function buildPayload(alert) {
+    return {
+        event: 'alert.triggered',
+        alert: {
+            id: alert._id,
+            rule: { id: alert.rule, name: alert.ruleName, type: alert.type },
+            vehicle: { id: alert.vehicle, name: alert.vehicleName },
+            message: alert.message,
+            data: alert.data,
+            status: alert.status,
+            triggeredAt: alert.triggeredAt
+        }
+    };
+}
+
+// A delivery that is due and not held by an attempt in flight
+function claimableFilter(now) {
+    return {
+        'delivery.status': 'pending',
+        'delivery.nextAttemptAt': { $lte: now },
+        $or: [
+            { 'delivery.claimedAt': null },
+            { 'delivery.claimedAt': { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+        ]
+    };
+}
+
+// Make one delivery attempt and record the outcome on the alert. The delivery is
+// claimed atomically first, so the triggering update and the retry sweep can't
+// both send it. Returns the new delivery status, or null when it wasn't claimable.
+async function attemptDelivery(pendingAlert, rule) {
+    const now = new Date();
+    const alert = await Alert.findOneAndUpdate(
+        { _id: pendingAlert._id, ...claimableFilter(now) },
+        { $set: { 'delivery.claimedAt': now, 'delivery.lastAttemptAt': now }, $inc: { 'delivery.attempts': 1 } },
+        { new: true }
+    );
+    if (!alert) return null;
+
+    const body = JSON.stringify(buildPayload(alert));
+    const timestamp = Math.floor(now.getTime() / 1000).toString();
+
+    // Rules saved before URLs were checked, or whose host moved, are never called
+    const urlError = await checkWebhookUrl(rule.webhook.url);
+    if (urlError) {
+        alert.delivery.status = 'failed';
+        alert.delivery.nextAttemptAt = undefined;
+        alert.delivery.claimedAt = undefined;
+        alert.delivery.lastError = urlError;
+        console.error(`❌ Webhook for alert ${alert._id} not sent: ${urlError}`);
+        await alert.save();
+        return alert.delivery.status;
+    }
+
+    try {
+        await axios.post(rule.webhook.url, body, {
+            timeout: REQUEST_TIMEOUT_MS,
+            httpsAgent: webhookAgent,
+            // A redirect could point anywhere, including back into the network
+            maxRedirects: 0,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'VehicleTracking-Webhooks/1.0',
+                'X-Webhook-Id': alert._id.toString(),
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signPayload(rule.webhook.secret, timestamp, body)}`
+            }
+        });
+
+        alert.delivery.status = 'delivered';
+        alert.delivery.deliveredAt = new Date();
+        alert.delivery.nextAttemptAt = undefined;
+        alert.delivery.lastError = undefined;
+    } catch (err) {
+        alert.delivery.lastError = err.response ? `HTTP ${err.response.status}` : err.message;
+
+        if (alert.delivery.attempts >= MAX_ATTEMPTS) {
+            alert.delivery.status = 'failed';
+            alert.delivery.nextAttemptAt = undefined;
+            console.error(`❌ Webhook for alert ${alert._id} failed after ${alert.delivery.attempts} attempts: ${alert.delivery.lastError}`);
+        } else {
+            alert.delivery.status = 'pending';
+            alert.delivery.nextAttemptAt = new Date(Date.now() + BASE_BACKOFF_MS * 2 ** (alert.delivery.attempts - 1));
+        }
+    }
+
+    alert.delivery.claimedAt = undefined;
+    await alert.save();
+    return alert.delivery.status;
+}
+
+// Retry deliveries whose backoff has elapsed (called periodically)
+async function retryPendingDeliveries() {
+    const due = await Alert.find(claimableFilter(new Date())).limit(RETRY_BATCH_SIZE);
+
+    for (const alert of due) {
+        const rule = await AlertRule.findById(alert.rule).select('+webhook.secret');
+        if (!rule || !rule.webhook || !rule.webhook.url) {
+            alert.delivery.status = 'failed';
+            alert.delivery.nextAttemptAt = undefined;
+            alert.delivery.lastError = 'Rule or webhook was removed';
+            await alert.save();
+            continue;
+        }
+        await attemptDelivery(alert, rule);
+    }
+}
+
+module.exports = { signPayload, generateSecret, checkWebhookUrl, attemptDelivery, retryPendingDeliveries };
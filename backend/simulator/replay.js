@@ -0,0 +1,60 @@
+// Replays a recorded track (see ./trackFile) as live updates from one vehicle.
+//
+// Gaps between points are divided by `speedup`. With timestamps 'now' each fix is
+// stamped with the time it's sent; with 'original' it keeps the recorded time, and
+// each further lap of a looped replay is shifted by the track's duration so times
+// keep increasing. Points without times are sent `interval` seconds apart.
+
+// Recorded time offsets (ms from the first point) and the length of one lap
+function timeline(points, interval) {
+    const timed = Boolean(points[0].timestamp);
+    const offsets = points.map((point, i) => (timed ? point.timestamp - points[0].timestamp : i * interval * 1000));
+    // The gap closing a lap is one typical step, so the loop doesn't jump straight back
+    const step = offsets[offsets.length - 1] / (offsets.length - 1);
+    return { timed, offsets, lapDuration: offsets[offsets.length - 1] + step };
+}
+
+// send(fix, { lap, index }) is called for each point in order and awaited before the next one.
+// onDone fires after the last point unless looping. Returns a stop function.
+function startReplay(points, { speedup = 1, loop = false, timestamps = 'now', interval = 5 }, send, onDone) {
+    const { timed, offsets, lapDuration } = timeline(points, interval);
+    const origin = timed ? points[0].timestamp.getTime() : Date.now();
+    let lap = 0;
+    let index = 0;
+    let timer = null;
+    let stopped = false;
+
+    const sendNext = async () => {
+        if (stopped) return;
+        const { lat, lng, speed, heading } = points[index];
+        const recorded = new Date(origin + lap * lapDuration + offsets[index]);
+        await send({
+            lat,
+            lng,
+            speed,
+            heading,
+            lastUpdated: timestamps === 'original' ? recorded : new Date()
+        }, { lap, index });
+
+        const previousOffset = lap * lapDuration + offsets[index];
+        index++;
+        if (index === points.length) {
+            if (!loop) {
+                if (onDone) onDone();
+                return;
+            }
+            index = 0;
+            lap++;
+        }
+        const gap = lap * lapDuration + offsets[index] - previousOffset;
+        if (!stopped) timer = setTimeout(sendNext, Math.max(0, gap / speedup));
+    };
+
+    sendNext();
+    return () => {
+        stopped = true;
+        clearTimeout(timer);
+    };
+}
+
+module.exports = { startReplay };
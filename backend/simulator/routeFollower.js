@@ -0,0 +1,171 @@
+// Drives a simulated vehicle along a scenario route (see ./scenario) with simple
+// kinematics: it accelerates to cruising speed, slows for corners, brakes to a
+// halt at stops and waits there. Fixes it reports carry GPS-like noise.
+const { EARTH_RADIUS_M, toRadians, haversineDistance, initialBearing } = require('../utils/geo');
+
+const ACCELERATION = 1.5; // m/s²
+const DECELERATION = 2.5; // m/s²
+// Slowest approach speed, so a vehicle braking for a stop actually reaches it
+const CREEP_SPEED = 1.5; // m/s
+// How far ahead corners and stops are considered when choosing a speed
+const LOOKAHEAD_M = 400;
+
+const kmhToMs = (kmh) => kmh / 3.6;
+
+// Standard normal sample (Box-Muller)
+function gaussian() {
+    return Math.sqrt(-2 * Math.log(1 - Math.random())) * Math.cos(2 * Math.PI * Math.random());
+}
+
+function angleBetween(a, b) {
+    const diff = Math.abs(a - b) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
+
+// Segments between consecutive waypoints, closing the ring for looped routes
+function buildSegments(waypoints, loop) {
+    const points = loop ? [...waypoints, waypoints[0]] : waypoints;
+    const segments = [];
+    for (let i = 0; i < points.length - 1; i++) {
+        const from = points[i];
+        const to = points[i + 1];
+        const length = haversineDistance(from.lat, from.lng, to.lat, to.lng);
+        if (length > 0) {
+            segments.push({ from, to, length, bearing: initialBearing(from.lat, from.lng, to.lat, to.lng) });
+        }
+    }
+    return segments;
+}
+
+// Start at the waypoint nearest the vehicle's last known position
+function createFollower(route, { lat, lng, noiseM = 5 } = {}) {
+    const follower = {
+        route,
+        segments: buildSegments(route.waypoints, route.loop),
+        segment: 0,
+        offset: 0,
+        speed: 0,
+        heading: null,
+        dwell: 0,
+        // Drivers don't hold exactly the limit; this drifts between ~85% and 110%
+        pace: 1,
+        noiseM
+    };
+    if (follower.segments.length === 0) throw new Error(`Route "${route.name}" has no length`);
+
+    if (lat !== undefined && lng !== undefined) {
+        let nearest = Infinity;
+        follower.segments.forEach(({ from }, i) => {
+            const distance = haversineDistance(lat, lng, from.lat, from.lng);
+            if (distance < nearest) {
+                nearest = distance;
+                follower.segment = i;
+            }
+        });
+    }
+    follower.heading = follower.segments[follower.segment].bearing;
+    return follower;
+}
+
+// Seconds to wait on arriving at the end of a segment; 0 drives straight through
+function stopAt(follower, segmentIndex) {
+    const isRouteEnd = segmentIndex === follower.segments.length - 1;
+    const { to } = follower.segments[segmentIndex];
+    if (isRouteEnd && !follower.route.loop) return Math.max(to.stop, follower.route.stopSeconds);
+    return to.stop;
+}
+
+// Fastest speed (m/s) that still allows slowing for every corner and stop ahead
+function speedLimitAhead(follower, cruise) {
+    let limit = cruise;
+    let distance = follower.segments[follower.segment].length - follower.offset;
+
+    for (let i = follower.segment; distance < LOOKAHEAD_M; i++) {
+        const index = i % follower.segments.length;
+        const next = follower.segments[(index + 1) % follower.segments.length];
+
+        // Full stop, or a corner taken slower the sharper it is
+        let cornerSpeed = 0;
+        if (stopAt(follower, index) === 0) {
+            const turn = angleBetween(follower.segments[index].bearing, next.bearing);
+            cornerSpeed = cruise * Math.max(0.15, 1 - turn / 140);
+        }
+        limit = Math.min(limit, Math.sqrt(cornerSpeed ** 2 + 2 * DECELERATION * distance));
+        if (cornerSpeed === 0) break;
+
+        distance += next.length;
+    }
+    return Math.max(limit, Math.min(CREEP_SPEED, cruise));
+}
+
+// Move on to the next segment; one-way routes turn around at the end
+function nextSegment(follower) {
+    if (follower.segment < follower.segments.length - 1) {
+        follower.segment++;
+    } else if (follower.route.loop) {
+        follower.segment = 0;
+    } else {
+        follower.route = { ...follower.route, waypoints: [...follower.route.waypoints].reverse() };
+        follower.segments = buildSegments(follower.route.waypoints, false);
+        follower.segment = 0;
+    }
+    follower.offset = 0;
+}
+
+// Advance the simulation by dt seconds
+function advance(follower, dt) {
+    if (follower.dwell > 0) {
+        follower.dwell = Math.max(0, follower.dwell - dt);
+        return;
+    }
+
+    follower.pace = Math.min(1.1, Math.max(0.85, follower.pace + gaussian() * 0.02 * Math.sqrt(dt)));
+    const cruise = kmhToMs(follower.route.speedKmh) * follower.pace;
+    const target = speedLimitAhead(follower, cruise);
+
+    const previousSpeed = follower.speed;
+    follower.speed = previousSpeed < target
+        ? Math.min(target, previousSpeed + ACCELERATION * dt)
+        : Math.max(target, previousSpeed - DECELERATION * dt);
+
+    let travel = (previousSpeed + follower.speed) / 2 * dt;
+    while (travel > 0) {
+        const segment = follower.segments[follower.segment];
+        const remaining = segment.length - follower.offset;
+        if (travel < remaining) {
+            follower.offset += travel;
+            break;
+        }
+
+        travel -= remaining;
+        const dwell = stopAt(follower, follower.segment);
+        nextSegment(follower);
+        follower.heading = follower.segments[follower.segment].bearing;
+        if (dwell > 0) {
+            follower.speed = 0;
+            follower.dwell = dwell;
+            break;
+        }
+    }
+}
+
+// Where the vehicle is, as its tracker would report it
+function currentFix(follower) {
+    const { from, to, length } = follower.segments[follower.segment];
+    const fraction = follower.offset / length;
+    const lat = from.lat + (to.lat - from.lat) * fraction;
+    const lng = from.lng + (to.lng - from.lng) * fraction;
+
+    const noiseLat = gaussian() * follower.noiseM / EARTH_RADIUS_M * 180 / Math.PI;
+    const noiseLng = gaussian() * follower.noiseM / (EARTH_RADIUS_M * Math.cos(toRadians(lat))) * 180 / Math.PI;
+    const moving = follower.speed > 0;
+
+    return {
+        lat: Number((lat + noiseLat).toFixed(6)),
+        lng: Number((lng + noiseLng).toFixed(6)),
+        speed: moving ? Math.max(0, Number((follower.speed * 3.6 + gaussian() * 0.5).toFixed(1))) : 0,
+        heading: Number(((follower.heading + (moving ? gaussian() * 2 : 0) + 360) % 360).toFixed(1))
+    };
+}
+
+module.exports = { createFollower, advance, currentFix };
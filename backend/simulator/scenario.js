@@ -0,0 +1,132 @@
+// Route scenarios for the GPS simulator (gps.js --scenario <file>).
+//
+// Plain JSON:
+//   { "routes": [{
+//       "name": "Airport run",
+//       "vehicles": ["Van 1"],           // optional; unassigned vehicles get routes round-robin
+//       "speedKmh": 45,                  // cruising speed
+//       "interval": 5,                   // seconds between updates for vehicles on this route
+//       "loop": true,                    // false drives the route back and forth
+//       "stopSeconds": 60,               // dwell at the end of the route
+//       "waypoints": [[23.81, 90.41], { "lat": 23.82, "lng": 90.42, "stop": 30 }, ...]
+//   }] }
+//
+// GeoJSON: a FeatureCollection of LineString features with the same options as
+// properties, plus "stops": { "<vertex index>": seconds }.
+const fs = require('fs');
+const { validateCoordinates } = require('../utils/validation');
+const { EARTH_RADIUS_M, toRadians } = require('../utils/geo');
+
+const DEFAULT_SPEED_KMH = 40;
+const DEFAULT_STOP_SECONDS = 30;
+
+class ScenarioError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScenarioError';
+    }
+}
+
+function parseWaypoint(point, where) {
+    const [lat, lng, stop] = Array.isArray(point)
+        ? point
+        : [point && point.lat, point && point.lng, point && point.stop];
+    const validation = validateCoordinates(Number(lat), Number(lng));
+    if (!validation.valid) throw new ScenarioError(`${where}: ${validation.error}`);
+    if (stop !== undefined && !(Number(stop) >= 0)) {
+        throw new ScenarioError(`${where}: stop must be a number of seconds`);
+    }
+    return { lat: Number(lat), lng: Number(lng), stop: Number(stop) || 0 };
+}
+
+function positiveOption(value, name, where, fallback) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!(number > 0)) throw new ScenarioError(`${where}: ${name} must be a positive number`);
+    return number;
+}
+
+function nonNegativeOption(value, name, where, fallback) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!(number >= 0)) throw new ScenarioError(`${where}: ${name} must be zero or a positive number`);
+    return number;
+}
+
+// Fill in defaults and check one route definition
+function normalizeRoute(definition, index) {
+    const name = definition.name || `Route ${index + 1}`;
+    const where = `Route "${name}"`;
+    if (!Array.isArray(definition.waypoints) || definition.waypoints.length < 2) {
+        throw new ScenarioError(`${where}: at least 2 waypoints are required`);
+    }
+    if (definition.vehicles !== undefined && !Array.isArray(definition.vehicles)) {
+        throw new ScenarioError(`${where}: vehicles must be a list of vehicle names`);
+    }
+
+    return {
+        name,
+        vehicles: definition.vehicles || [],
+        speedKmh: positiveOption(definition.speedKmh, 'speedKmh', where, DEFAULT_SPEED_KMH),
+        interval: positiveOption(definition.interval, 'interval', where, undefined),
+        loop: definition.loop !== false,
+        // 0 turns straight around at the end of the route
+        stopSeconds: nonNegativeOption(definition.stopSeconds, 'stopSeconds', where, DEFAULT_STOP_SECONDS),
+        waypoints: definition.waypoints.map((point, i) => parseWaypoint(point, `${where}, waypoint ${i + 1}`))
+    };
+}
+
+// GeoJSON LineStrings become the same shape as plain JSON routes
+function routesFromGeoJson(collection) {
+    const features = collection.type === 'Feature' ? [collection] : collection.features || [];
+    return features
+        .filter(feature => feature.geometry && feature.geometry.type === 'LineString')
+        .map(feature => {
+            const { stops = {}, ...properties } = feature.properties || {};
+            return {
+                ...properties,
+                waypoints: feature.geometry.coordinates.map(([lng, lat], i) => ({ lat, lng, stop: stops[i] }))
+            };
+        });
+}
+
+function loadScenario(file) {
+    let data;
+    try {
+        data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        throw new ScenarioError(`Can't read scenario ${file}: ${err.message}`);
+    }
+
+    const definitions = data.type === 'FeatureCollection' || data.type === 'Feature'
+        ? routesFromGeoJson(data)
+        : data.routes;
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+        throw new ScenarioError(`Scenario ${file} has no routes`);
+    }
+    return definitions.map(normalizeRoute);
+}
+
+// A rough loop of streets around a point, for vehicles without a scenario route
+function randomLoop(lat, lng, name) {
+    const count = 5 + Math.floor(Math.random() * 3);
+    const radius = 800 + Math.random() * 1200;
+    const start = Math.random() * 2 * Math.PI;
+    const waypoints = [];
+
+    for (let i = 0; i < count; i++) {
+        const angle = start + (i / count) * 2 * Math.PI;
+        const distance = radius * (0.7 + Math.random() * 0.6);
+        waypoints.push({
+            lat: lat + (distance * Math.cos(angle) / EARTH_RADIUS_M) * 180 / Math.PI,
+            lng: lng + (distance * Math.sin(angle) / (EARTH_RADIUS_M * Math.cos(toRadians(lat)))) * 180 / Math.PI,
+            stop: 0
+        });
+    }
+    // One delivery-style stop somewhere on the loop
+    waypoints[Math.floor(Math.random() * count)].stop = 20 + Math.round(Math.random() * 40);
+
+    return normalizeRoute({ name, speedKmh: 30 + Math.random() * 20, waypoints }, 0);
+}
+
+module.exports = { ScenarioError, loadScenario, randomLoop };
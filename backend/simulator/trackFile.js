@@ -0,0 +1,150 @@
+// Recorded tracks for the simulator's replay mode (gps.js --replay <file>).
+//
+// GPX: track points (<trkpt>), or route points (<rtept>) when there's no track,
+// with optional <time>, <ele>, <speed> (m/s) and <course>.
+// CSV: a header row naming the columns; lat/latitude, lng/lon/longitude are required,
+// time/timestamp, speed (km/h), heading/course/bearing and altitude/ele are optional.
+const fs = require('fs');
+const path = require('path');
+const { validateCoordinates, parseDateParam } = require('../utils/validation');
+const { haversineDistance, initialBearing } = require('../utils/geo');
+
+class TrackFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TrackFileError';
+    }
+}
+
+const CSV_COLUMNS = {
+    lat: ['lat', 'latitude'],
+    lng: ['lng', 'lon', 'long', 'longitude'],
+    time: ['time', 'timestamp', 'date', 'datetime'],
+    speed: ['speed'],
+    heading: ['heading', 'course', 'bearing'],
+    altitude: ['altitude', 'ele', 'elevation']
+};
+
+const optionalNumber = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+};
+
+function parsePoint({ lat, lng, time, speed, heading, altitude }, where) {
+    const point = { lat: parseFloat(lat), lng: parseFloat(lng) };
+    const validation = validateCoordinates(point.lat, point.lng);
+    if (!validation.valid) throw new TrackFileError(`${where}: ${validation.error}`);
+
+    if (time !== undefined && time !== '') {
+        point.timestamp = parseDateParam(time);
+        if (!point.timestamp) throw new TrackFileError(`${where}: invalid time "${time}"`);
+    }
+    point.speed = optionalNumber(speed);
+    point.heading = optionalNumber(heading);
+    point.altitude = optionalNumber(altitude);
+    return point;
+}
+
+function parseGpx(text) {
+    const tag = (body, name) => {
+        const match = body.match(new RegExp(`<(?:\\w+:)?${name}>([^<]*)</(?:\\w+:)?${name}>`));
+        return match ? match[1].trim() : undefined;
+    };
+    const attribute = (attributes, name) => {
+        const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']+)["']`));
+        return match ? match[1] : undefined;
+    };
+
+    const pointsOf = (element) => {
+        const pattern = new RegExp(`<${element}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${element}>)`, 'g');
+        return [...text.matchAll(pattern)].map(([, attributes, body = ''], i) => {
+            const speed = optionalNumber(tag(body, 'speed'));
+            return parsePoint({
+                lat: attribute(attributes, 'lat'),
+                lng: attribute(attributes, 'lon'),
+                time: tag(body, 'time'),
+                // GPX speeds are m/s
+                speed: speed === undefined ? undefined : speed * 3.6,
+                heading: tag(body, 'course'),
+                altitude: tag(body, 'ele')
+            }, `Point ${i + 1}`);
+        });
+    };
+
+    const points = pointsOf('trkpt');
+    return points.length > 0 ? points : pointsOf('rtept');
+}
+
+function parseCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length < 2) return [];
+
+    const split = (line) => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1'));
+    const header = split(lines[0]).map(name => name.toLowerCase());
+    const columns = {};
+    for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+        const index = header.findIndex(name => names.includes(name));
+        if (index !== -1) columns[field] = index;
+    }
+    if (columns.lat === undefined || columns.lng === undefined) {
+        throw new TrackFileError('CSV header needs lat and lng (or latitude/longitude) columns');
+    }
+
+    return lines.slice(1).map((line, i) => {
+        const cells = split(line);
+        const row = {};
+        for (const [field, index] of Object.entries(columns)) row[field] = cells[index];
+        return parsePoint(row, `Line ${i + 2}`);
+    });
+}
+
+// Fill in speed and heading from neighbouring points, so they stay true to the
+// recording even when the replay is sped up
+function fillMotion(points) {
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1];
+        const point = points[i];
+        const distance = haversineDistance(previous.lat, previous.lng, point.lat, point.lng);
+
+        if (point.heading === undefined && distance > 0) {
+            point.heading = initialBearing(previous.lat, previous.lng, point.lat, point.lng);
+        }
+        if (point.speed === undefined && point.timestamp && previous.timestamp) {
+            const seconds = (point.timestamp - previous.timestamp) / 1000;
+            if (seconds > 0) point.speed = distance / seconds * 3.6;
+        }
+    }
+}
+
+// Returns the points in time order (file order when they have no times)
+function loadTrack(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        throw new TrackFileError(`Can't read track ${file}: ${err.message}`);
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    let points;
+    if (extension === '.gpx') {
+        points = parseGpx(text);
+    } else if (extension === '.csv') {
+        points = parseCsv(text);
+    } else {
+        throw new TrackFileError(`Unsupported track format "${extension}"; use .gpx or .csv`);
+    }
+
+    if (points.length < 2) throw new TrackFileError(`Track ${file} has fewer than 2 points`);
+    const timed = points.filter(point => point.timestamp).length;
+    if (timed > 0 && timed < points.length) {
+        throw new TrackFileError(`Track ${file} has times on only ${timed} of ${points.length} points`);
+    }
+
+    if (timed > 0) points.sort((a, b) => a.timestamp - b.timestamp);
+    fillMotion(points);
+    return points;
+}
+
+module.exports = { TrackFileError, loadTrack };
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Position = require('../models/position');
+const Vehicle = require('../models/vehicle');
+const { parseFix } = require('../ingest/deviceFix');
+const { recordPositions } = require('../services/tracking');
+
+const at = (minutes) => new Date(Date.UTC(2025, 0, 1, 8, minutes));
+
+test('a fix needs valid coordinates', () => {
+    assert.deepStrictEqual(parseFix({ lat: 1 }), { error: 'lat and lng are required' });
+    assert.ok(parseFix({ lat: 91, lng: 0 }).error);
+    assert.ok(parseFix(null).error);
+});
+
+test('numeric strings are accepted and motion is optional', () => {
+    const { value } = parseFix({ lat: '23.8', lng: '90.4', lastUpdated: '2025-01-01T08:00:00Z' });
+    assert.deepStrictEqual(value, { lat: 23.8, lng: 90.4, speed: undefined, heading: undefined, timestamp: at(0) });
+});
+
+test('device motion is validated', () => {
+    assert.ok(parseFix({ lat: 0, lng: 0, speed: -1 }).error);
+    assert.ok(parseFix({ lat: 0, lng: 0, heading: 361 }).error);
+    assert.strictEqual(parseFix({ lat: 0, lng: 0, speed: 12, heading: 360 }).value.heading, 360);
+});
+
+test('the time may be lastUpdated or timestamp, as a date string or epoch ms', () => {
+    assert.deepStrictEqual(parseFix({ lat: 0, lng: 0, timestamp: at(5).getTime() }).value.timestamp, at(5));
+    assert.deepStrictEqual(parseFix({ lat: 0, lng: 0, lastUpdated: String(at(5).getTime()) }).value.timestamp, at(5));
+});
+
+test('a missing time means now', () => {
+    const before = Date.now();
+    const { value } = parseFix({ lat: 0, lng: 0 });
+    assert.ok(value.timestamp.getTime() >= before && value.timestamp.getTime() <= Date.now());
+});
+
+test('null, booleans and unparseable times are rejected', () => {
+    for (const lastUpdated of [null, true, false, {}, 'yesterday', '']) {
+        assert.ok(parseFix({ lat: 0, lng: 0, lastUpdated }).error, `accepted ${JSON.stringify(lastUpdated)}`);
+    }
+});
+
+test('times more than a few minutes ahead of the server are rejected', () => {
+    assert.ok(parseFix({ lat: 0, lng: 0, lastUpdated: Date.now() + 60 * 60 * 1000 }).error);
+    assert.ok(parseFix({ lat: 0, lng: 0, lastUpdated: Date.now() + 60 * 1000 }).value);
+});
+
+// recordPositions with every fix older than the vehicle's position, so each one takes
+// the backfill path and only the track store is touched
+test.describe('recordPositions', () => {
+    const vehicle = { _id: new mongoose.Types.ObjectId(), fleet: new mongoose.Types.ObjectId(), name: 'Van 1', lastUpdated: at(60) };
+    let stored;
+
+    test.beforeEach((t) => {
+        stored = [];
+        t.mock.method(Position, 'exists', async ({ timestamp }) => (timestamp.getTime() === at(30).getTime() ? { _id: 1 } : null));
+        t.mock.method(Position, 'findOne', () => ({ sort: async () => null }));
+        t.mock.method(Position, 'create', async (position) => {
+            if (position.lat === 99) throw new Error('write failed');
+            stored.push(position.timestamp);
+        });
+        t.mock.method(Vehicle, 'updateOne', async () => ({}));
+    });
+
+    test('stores fixes oldest first and reports them in the order given', async () => {
+        const results = await recordPositions(vehicle, [
+            { lat: 1, lng: 0, timestamp: at(20) },
+            { lat: 2, lng: 0, timestamp: at(10) },
+            { lat: 3, lng: 0, timestamp: at(15) }
+        ]);
+        assert.deepStrictEqual(stored, [at(10), at(15), at(20)]);
+        assert.deepStrictEqual(results, [{ status: 'backfilled' }, { status: 'backfilled' }, { status: 'backfilled' }]);
+    });
+
+    test('repeats within the batch and fixes already stored are duplicates', async () => {
+        const results = await recordPositions(vehicle, [
+            { lat: 1, lng: 0, timestamp: at(10) },
+            { lat: 1, lng: 0, timestamp: at(10) },
+            { lat: 2, lng: 0, timestamp: at(30) }
+        ]);
+        assert.deepStrictEqual(stored, [at(10)]);
+        assert.deepStrictEqual(results.map(r => r.status), ['backfilled', 'duplicate', 'duplicate']);
+    });
+
+    test('a failing fix does not stop the rest of the batch', async (t) => {
+        t.mock.method(console, 'error', () => {});
+        const results = await recordPositions(vehicle, [
+            { lat: 99, lng: 0, timestamp: at(10) },
+            { lat: 1, lng: 0, timestamp: at(20) }
+        ]);
+        assert.deepStrictEqual(results, [{ status: 'failed', error: 'Error recording position' }, { status: 'backfilled' }]);
+        assert.deepStrictEqual(stored, [at(20)]);
+    });
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const Vehicle = require('../models/vehicle');
+const { hashDeviceKey, deviceKeyHint, generateDeviceKey, isDeviceKeyFormat } = require('../utils/deviceKeys');
+
+test('generated keys have the vk_ format and are stored only as hash and hint', () => {
+    const { key, hash, hint } = generateDeviceKey();
+    assert.ok(isDeviceKeyFormat(key));
+    assert.strictEqual(hash, crypto.createHash('sha256').update(key).digest('hex'));
+    assert.strictEqual(hint, key.slice(0, 11));
+});
+
+test('generated keys are unique', () => {
+    const keys = new Set(Array.from({ length: 100 }, () => generateDeviceKey().key));
+    assert.strictEqual(keys.size, 100);
+});
+
+test('the format check rejects anything but vk_ and 32 url-safe characters', () => {
+    assert.ok(isDeviceKeyFormat(`vk_${'A'.repeat(30)}-_`));
+    for (const value of [`vk_${'A'.repeat(31)}`, `vk_${'A'.repeat(33)}`, `xk_${'A'.repeat(32)}`, `vk_${'A'.repeat(31)}=`, 'Van 1', null, 42]) {
+        assert.strictEqual(isDeviceKeyFormat(value), false, `accepted ${value}`);
+    }
+});
+
+test('the hint is the prefix and first 8 characters', () => {
+    assert.strictEqual(deviceKeyHint('vk_abcdefghijklmnop'), 'vk_abcdefgh');
+});
+
+test('hashing is deterministic', () => {
+    assert.strictEqual(hashDeviceKey('vk_a'), hashDeviceKey('vk_a'));
+    assert.notStrictEqual(hashDeviceKey('vk_a'), hashDeviceKey('vk_b'));
+});
+
+test('issuing a key replaces the stored hash and returns the plain key once', () => {
+    const vehicle = new Vehicle({ name: 'Van 1', lat: 0, lng: 0 });
+    const first = vehicle.issueDeviceKey();
+    const firstHash = vehicle.deviceKey.hash;
+    const second = vehicle.issueDeviceKey();
+    assert.notStrictEqual(first, second);
+    assert.strictEqual(vehicle.deviceKey.hash, hashDeviceKey(second));
+    assert.notStrictEqual(vehicle.deviceKey.hash, firstHash);
+    assert.strictEqual(vehicle.deviceKey.hint, deviceKeyHint(second));
+});
+
+test('vehicles are looked up by the hash of the key', async (t) => {
+    const found = t.mock.method(Vehicle, 'findOne', async () => ({ name: 'Van 1' }));
+    const { key, hash } = generateDeviceKey();
+    assert.deepStrictEqual(await Vehicle.findByDeviceKey(key), { name: 'Van 1' });
+    assert.deepStrictEqual(found.mock.calls[0].arguments[0], { 'deviceKey.hash': hash });
+});
+
+test('malformed keys never reach the database', async (t) => {
+    const found = t.mock.method(Vehicle, 'findOne', async () => ({ name: 'Van 1' }));
+    assert.strictEqual(await Vehicle.findByDeviceKey('Van 1'), null);
+    assert.strictEqual(await Vehicle.findByDeviceKey(undefined), null);
+    assert.strictEqual(found.mock.callCount(), 0);
+});
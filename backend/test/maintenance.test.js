@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const MaintenancePlan = require('../models/maintenancePlan');
+const { describePlan } = require('../services/maintenance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function plan(fields) {
+    const result = new MaintenancePlan({
+        fleet: new mongoose.Types.ObjectId(),
+        vehicle: new mongoose.Types.ObjectId(),
+        name: 'Oil change',
+        lastServiceAt: new Date('2025-01-15T00:00:00Z'),
+        lastServiceOdometer: 10000000,
+        ...fields
+    });
+    result.setDueThresholds();
+    return result;
+}
+
+test('distance thresholds count from the last service odometer', () => {
+    const oilChange = plan({ intervalKm: 5000 });
+    assert.strictEqual(oilChange.dueOdometer, 15000000);
+    assert.strictEqual(oilChange.dueSoonOdometer, 14500000);
+    assert.strictEqual(oilChange.dueAt, null);
+    assert.strictEqual(oilChange.dueSoonAt, null);
+});
+
+test('time thresholds add calendar months', () => {
+    const inspection = plan({ intervalMonths: 6 });
+    assert.strictEqual(inspection.dueAt.toISOString(), '2025-07-15T00:00:00.000Z');
+    assert.strictEqual(inspection.dueSoonAt.toISOString(), '2025-07-01T00:00:00.000Z');
+    assert.strictEqual(inspection.dueOdometer, null);
+});
+
+test('month ends clamp to shorter months', () => {
+    assert.strictEqual(plan({ intervalMonths: 1, lastServiceAt: new Date('2025-01-31T09:30:00Z') }).dueAt.toISOString(), '2025-02-28T09:30:00.000Z');
+    assert.strictEqual(plan({ intervalMonths: 1, lastServiceAt: new Date('2024-01-31T00:00:00Z') }).dueAt.toISOString(), '2024-02-29T00:00:00.000Z');
+    assert.strictEqual(plan({ intervalMonths: 3, lastServiceAt: new Date('2025-05-31T00:00:00Z') }).dueAt.toISOString(), '2025-08-31T00:00:00.000Z');
+});
+
+test('months roll over into the next year', () => {
+    assert.strictEqual(plan({ intervalMonths: 2, lastServiceAt: new Date('2025-12-31T00:00:00Z') }).dueAt.toISOString(), '2026-02-28T00:00:00.000Z');
+    assert.strictEqual(plan({ intervalMonths: 24, lastServiceAt: new Date('2025-11-15T00:00:00Z') }).dueAt.toISOString(), '2027-11-15T00:00:00.000Z');
+});
+
+test('state turns due within the lead distance and overdue at the interval', () => {
+    const oilChange = plan({ intervalKm: 5000 });
+    const now = new Date('2025-02-01T00:00:00Z');
+    assert.strictEqual(oilChange.stateAt(14499999, now), 'ok');
+    assert.strictEqual(oilChange.stateAt(14500000, now), 'due');
+    assert.strictEqual(oilChange.stateAt(14999999, now), 'due');
+    assert.strictEqual(oilChange.stateAt(15000000, now), 'overdue');
+});
+
+test('state turns due within the lead days and overdue on the due date', () => {
+    const inspection = plan({ intervalMonths: 6 });
+    assert.strictEqual(inspection.stateAt(0, new Date('2025-06-30T23:59:59Z')), 'ok');
+    assert.strictEqual(inspection.stateAt(0, new Date('2025-07-01T00:00:00Z')), 'due');
+    assert.strictEqual(inspection.stateAt(0, new Date('2025-07-15T00:00:00Z')), 'overdue');
+});
+
+test('whichever interval comes first decides', () => {
+    const service = plan({ intervalKm: 5000, intervalMonths: 6 });
+    assert.strictEqual(service.stateAt(15000000, new Date('2025-02-01T00:00:00Z')), 'overdue');
+    assert.strictEqual(service.stateAt(10000000, new Date('2025-07-20T00:00:00Z')), 'overdue');
+    assert.strictEqual(service.stateAt(14600000, new Date('2025-02-01T00:00:00Z')), 'due');
+});
+
+test('zero lead thresholds go straight from ok to overdue', () => {
+    const service = plan({ intervalKm: 5000, intervalMonths: 6, dueSoonKm: 0, dueSoonDays: 0 });
+    assert.strictEqual(service.stateAt(14999999, new Date('2025-07-14T23:59:59Z')), 'ok');
+    assert.strictEqual(service.stateAt(15000000, new Date('2025-02-01T00:00:00Z')), 'overdue');
+});
+
+test('remaining distance and days go negative once passed', () => {
+    const service = plan({ intervalKm: 5000, intervalMonths: 6 });
+    const before = describePlan(service, 12000000, new Date(service.dueAt.getTime() - 10.5 * DAY_MS));
+    assert.strictEqual(before.remainingDistance, 3000000);
+    assert.strictEqual(before.remainingDays, 10);
+    const after = describePlan(service, 15250000, new Date(service.dueAt.getTime() + 3 * DAY_MS));
+    assert.strictEqual(after.remainingDistance, -250000);
+    assert.strictEqual(after.remainingDays, -3);
+});
+
+test('a vehicle without an odometer reading counts from zero', () => {
+    const service = plan({ intervalKm: 5000, lastServiceOdometer: 0 });
+    assert.strictEqual(describePlan(service, undefined).remainingDistance, 5000000);
+    assert.strictEqual(service.stateAt(0), 'ok');
+});
+
+test('remaining values are null for intervals a plan does not have', () => {
+    const now = new Date('2025-02-01T00:00:00Z');
+    assert.strictEqual(describePlan(plan({ intervalKm: 5000 }), 0, now).remainingDays, null);
+    assert.strictEqual(describePlan(plan({ intervalMonths: 6 }), 0, now).remainingDistance, null);
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { deriveMotion } = require('../services/tracking');
+
+const at = (seconds) => new Date(Date.UTC(2025, 0, 1, 12, 0, seconds));
+
+test('speed and heading are derived from the distance and bearing between fixes', () => {
+    // 0.01 degrees of latitude due north is about 1112 m
+    const motion = deriveMotion({ lat: 0, lng: 0, timestamp: at(0) }, { lat: 0.01, lng: 0, timestamp: at(40) });
+    assert.ok(Math.abs(motion.distance - 1111.95) < 0.1);
+    assert.ok(Math.abs(motion.speed - motion.distance / 40 * 3.6) < 1e-9);
+    assert.strictEqual(motion.heading, 0);
+});
+
+test('reported speed and heading take precedence, with 360 meaning north', () => {
+    const motion = deriveMotion(
+        { lat: 0, lng: 0, timestamp: at(0) },
+        { lat: 0.01, lng: 0, timestamp: at(40) },
+        { speed: 42, heading: 360 }
+    );
+    assert.strictEqual(motion.speed, 42);
+    assert.strictEqual(motion.heading, 0);
+});
+
+test('a reported speed of zero is kept', () => {
+    const motion = deriveMotion({ lat: 0, lng: 0, timestamp: at(0) }, { lat: 0.01, lng: 0, timestamp: at(40) }, { speed: 0 });
+    assert.strictEqual(motion.speed, 0);
+});
+
+test('small movements keep the previous heading', () => {
+    const motion = deriveMotion(
+        { lat: 0, lng: 0, timestamp: at(0), heading: 123 },
+        { lat: 0.00001, lng: 0.00001, timestamp: at(10) }
+    );
+    assert.ok(motion.distance < 5);
+    assert.strictEqual(motion.heading, 123);
+});
+
+test('fixes with the same timestamp keep the previous speed', () => {
+    const motion = deriveMotion({ lat: 0, lng: 0, timestamp: at(0), speed: 17 }, { lat: 0.01, lng: 0, timestamp: at(0) });
+    assert.strictEqual(motion.speed, 17);
+});
+
+test('crossing the antimeridian is a short hop heading east', () => {
+    const motion = deriveMotion({ lat: 0, lng: 179.999, timestamp: at(0) }, { lat: 0, lng: -179.999, timestamp: at(10) });
+    assert.ok(Math.abs(motion.distance - 222.4) < 0.1);
+    assert.ok(Math.abs(motion.heading - 90) < 1e-6);
+    assert.ok(motion.speed < 100);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { NmeaError, computeChecksum, parseSentence } = require('../ingest/nmea');
+
+// Wrap a sentence body with its '$' and a correct checksum
+const sentence = (body) => `$${body}*${computeChecksum(body)}`;
+
+const assertNmeaError = (fn, reason) => assert.throws(fn, (err) => err instanceof NmeaError && err.reason === reason);
+
+test('checksums are the XOR of the body as two uppercase hex digits', () => {
+    assert.strictEqual(computeChecksum('GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W'), '6A');
+    assert.strictEqual(computeChecksum('A'), '41');
+    assert.strictEqual(computeChecksum(''), '00');
+});
+
+test('sentences with a wrong or missing checksum are rejected', () => {
+    assertNmeaError(() => parseSentence('$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6B'), 'checksum');
+    assertNmeaError(() => parseSentence('$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W'), 'malformed');
+});
+
+test('lowercase checksums are accepted', () => {
+    const parsed = parseSentence(sentence('GPGGA,123519,4807.038,N,01131.000,E,1,08,0.9,545.4,M,46.9,M,,').replace(/\*(..)$/, (m, hex) => `*${hex.toLowerCase()}`));
+    assert.strictEqual(parsed.type, 'GGA');
+});
+
+test('RMC positions convert from ddmm.mmmm to decimal degrees', () => {
+    const parsed = parseSentence('$GPRMC,123519,A,4807.038,N,01131.000,E,022.4,084.4,230394,003.1,W*6A');
+    assert.strictEqual(parsed.valid, true);
+    assert.strictEqual(parsed.lat, 48 + 7.038 / 60);
+    assert.strictEqual(parsed.lng, 11 + 31 / 60);
+    assert.strictEqual(parsed.timestamp.toISOString(), '1994-03-23T12:35:19.000Z');
+    assert.ok(Math.abs(parsed.speed - 22.4 * 1.852) < 1e-9);
+    assert.strictEqual(parsed.heading, 84.4);
+});
+
+test('southern and western hemispheres are negative', () => {
+    const parsed = parseSentence(sentence('GNRMC,000000.50,A,3352.1280,S,15112.5620,W,0.0,360.0,010125,,,A'));
+    assert.ok(Math.abs(parsed.lat - -(33 + 52.128 / 60)) < 1e-9);
+    assert.ok(Math.abs(parsed.lng - -(151 + 12.562 / 60)) < 1e-9);
+    assert.strictEqual(parsed.heading, 0);
+    assert.strictEqual(parsed.timestamp.toISOString(), '2025-01-01T00:00:00.500Z');
+});
+
+test('coordinates with minutes of 60 or more are malformed', () => {
+    assertNmeaError(() => parseSentence(sentence('GPRMC,123519,A,4860.000,N,01131.000,E,,,230394,,')), 'malformed');
+    assertNmeaError(() => parseSentence(sentence('GPRMC,123519,A,48.07038,N,01131.000,E,,,230394,,')), 'malformed');
+});
+
+test('a no-fix RMC is reported as invalid rather than malformed', () => {
+    assert.deepStrictEqual(parseSentence(sentence('GPRMC,,V,,,,,,,,,,N')), { type: 'RMC', valid: false });
+    assert.deepStrictEqual(parseSentence(sentence('GPRMC,123519,V,,,,,,,230394,,')), { type: 'RMC', valid: false });
+});
+
+test('GGA carries fix quality, satellites, hdop and altitude with the time of day', () => {
+    const parsed = parseSentence(sentence('GPGGA,123519.25,4807.038,N,01131.000,E,2,08,0.9,545.4,M,46.9,M,,'));
+    assert.deepStrictEqual(parsed, {
+        type: 'GGA',
+        time: { hours: 12, minutes: 35, seconds: 19, milliseconds: 250 },
+        fixQuality: 2,
+        valid: true,
+        satellites: 8,
+        hdop: 0.9,
+        altitude: 545.4,
+        lat: 48 + 7.038 / 60,
+        lng: 11 + 31 / 60
+    });
+});
+
+test('a no-fix GGA is reported as invalid rather than malformed', () => {
+    assert.deepStrictEqual(parseSentence(sentence('GPGGA,,,,,,0,00,99.99,,,,,,')), { type: 'GGA', fixQuality: 0, valid: false });
+});
+
+test('RMC and GGA for the same epoch agree on position and time', () => {
+    const rmc = parseSentence(sentence('GNRMC,081836.00,A,3751.6500,S,14507.3600,E,12.5,45.0,130998,,,A'));
+    const gga = parseSentence(sentence('GNGGA,081836.00,3751.6500,S,14507.3600,E,1,12,0.8,12.0,M,,M,,'));
+    assert.strictEqual(rmc.lat, gga.lat);
+    assert.strictEqual(rmc.lng, gga.lng);
+    assert.deepStrictEqual(
+        [rmc.timestamp.getUTCHours(), rmc.timestamp.getUTCMinutes(), rmc.timestamp.getUTCSeconds()],
+        [gga.time.hours, gga.time.minutes, gga.time.seconds]
+    );
+});
+
+test('other sentence types are unsupported', () => {
+    assertNmeaError(() => parseSentence(sentence('GPGSV,3,1,11,03,03,111,00')), 'unsupported');
+    assertNmeaError(() => parseSentence(sentence('PGRME,15.0,M,45.0,M,25.0,M')), 'unsupported');
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const Position = require('../models/position');
+const { writeTrackExport } = require('../services/trackExport');
+const { loadTrack } = require('../simulator/trackFile');
+
+const at = (minutes) => new Date(Date.UTC(2025, 0, 1, 8, minutes));
+const vans = [{ _id: 'v1', name: 'Van <1> & "Co"' }, { _id: 'v2', name: 'Parked' }, { _id: 'v3', name: 'Van 3' }];
+const tracks = {
+    v1: [
+        { lat: 23.8, lng: 90.4, timestamp: at(0), speed: 36, heading: 90, altitude: 12, odometer: 1000.4 },
+        { lat: 23.81, lng: 90.41, timestamp: at(5), speed: 0 }
+    ],
+    v2: [],
+    v3: [{ lat: -33.9, lng: 151.2, timestamp: at(10) }]
+};
+
+// Serve the tracks above through the query chains writeTrackExport uses
+function mockPositions(t) {
+    const inRange = ({ vehicle, timestamp = {} }) => tracks[vehicle].filter(p =>
+        (!timestamp.$gte || p.timestamp >= timestamp.$gte) && (!timestamp.$lte || p.timestamp <= timestamp.$lte));
+    t.mock.method(Position, 'find', (match) => ({
+        sort: () => ({ select: () => ({ lean: () => ({ cursor: () => {
+            const points = inRange(match)[Symbol.iterator]();
+            return { [Symbol.asyncIterator]: () => ({ next: async () => points.next() }), close: async () => {} };
+        } }) }) })
+    }));
+    t.mock.method(Position, 'findOne', (match) => ({
+        sort: () => ({ select: () => ({ lean: async () => inRange(match).at(-1) || null }) })
+    }));
+}
+
+async function exportAs(t, format, range) {
+    mockPositions(t);
+    const stream = new PassThrough();
+    let output = '';
+    stream.on('data', chunk => { output += chunk; });
+    await writeTrackExport(stream, format, vans, range);
+    return output;
+}
+
+test('GPX has one escaped track per vehicle with namespaced speed and course', async (t) => {
+    const gpx = await exportAs(t, 'gpx');
+    assert.match(gpx, /xmlns:gpxtpx="http:\/\/www\.garmin\.com\/xmlschemas\/TrackPointExtension\/v2"/);
+    assert.strictEqual(gpx.match(/<trk>/g).length, 2);
+    assert.ok(gpx.includes('<name>Van &lt;1&gt; &amp; &quot;Co&quot;</name>'));
+    assert.ok(!gpx.includes('Parked'));
+    assert.ok(gpx.includes('<trkpt lat="23.8" lon="90.4"><ele>12</ele><time>2025-01-01T08:00:00.000Z</time>' +
+        '<extensions><gpxtpx:TrackPointExtension><gpxtpx:speed>10.00</gpxtpx:speed><gpxtpx:course>90.0</gpxtpx:course>' +
+        '</gpxtpx:TrackPointExtension></extensions></trkpt>'));
+    assert.ok(gpx.includes('<trkpt lat="-33.9" lon="151.2"><time>2025-01-01T08:10:00.000Z</time></trkpt>'));
+    assert.ok(gpx.trimEnd().endsWith('</gpx>'));
+});
+
+test('GPX exports replay with the same speeds', async (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    t.after(() => fs.rmSync(directory, { recursive: true }));
+    const file = path.join(directory, 'track.gpx');
+    // Only the first vehicle's track, so every point has a time
+    fs.writeFileSync(file, (await exportAs(t, 'gpx')).replace(/  <trk>\n    <name>Van 3[\s\S]*?<\/trk>\n/, ''));
+
+    const points = loadTrack(file);
+    assert.strictEqual(points.length, 2);
+    assert.strictEqual(points[0].speed, 36);
+    assert.strictEqual(points[0].heading, 90);
+    assert.strictEqual(points[1].speed, 0);
+});
+
+test('KML puts the TimeSpan ahead of each LineString', async (t) => {
+    const kml = await exportAs(t, 'kml');
+    const placemarks = kml.match(/<Placemark>[\s\S]*?<\/Placemark>/g);
+    assert.strictEqual(placemarks.length, 2);
+    assert.match(placemarks[0], /<TimeSpan><begin>2025-01-01T08:00:00.000Z<\/begin><end>2025-01-01T08:05:00.000Z<\/end><\/TimeSpan>\n    <LineString>/);
+    assert.ok(placemarks[0].includes('        90.4,23.8,12\n        90.41,23.81\n'));
+    assert.match(placemarks[1], /<begin>2025-01-01T08:10:00.000Z<\/begin><end>2025-01-01T08:10:00.000Z<\/end>/);
+});
+
+test('KML spans end at the last point in the range', async (t) => {
+    const kml = await exportAs(t, 'kml', { to: at(1) });
+    assert.match(kml, /<end>2025-01-01T08:00:00.000Z<\/end>/);
+    assert.ok(!kml.includes('90.41'));
+});
+
+test('GeoJSON is a valid FeatureCollection of points', async (t) => {
+    const collection = JSON.parse(await exportAs(t, 'geojson'));
+    assert.strictEqual(collection.type, 'FeatureCollection');
+    assert.strictEqual(collection.features.length, 3);
+    assert.deepStrictEqual(collection.features[0].geometry, { type: 'Point', coordinates: [90.4, 23.8, 12] });
+    assert.deepStrictEqual(collection.features[1].geometry.coordinates, [90.41, 23.81]);
+    assert.strictEqual(collection.features[2].properties.vehicle, 'Van 3');
+});
+
+test('CSV quotes names and rounds motion', async (t) => {
+    const lines = (await exportAs(t, 'csv')).trimEnd().split('\n');
+    assert.deepStrictEqual(lines, [
+        'vehicle,timestamp,lat,lng,speed,heading,altitude,odometer',
+        '"Van <1> & ""Co""",2025-01-01T08:00:00.000Z,23.8,90.4,36.0,90.0,12,1000',
+        '"Van <1> & ""Co""",2025-01-01T08:05:00.000Z,23.81,90.41,0.0,,,',
+        'Van 3,2025-01-01T08:10:00.000Z,-33.9,151.2,,,,'
+    ]);
+});
+
+test('an empty range still writes a complete document', async (t) => {
+    const gpx = await exportAs(t, 'gpx', { from: at(100) });
+    assert.ok(!gpx.includes('<trk>'));
+    assert.ok(gpx.trimEnd().endsWith('</gpx>'));
+    assert.deepStrictEqual(JSON.parse(await exportAs(t, 'geojson', { from: at(100) })).features, []);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { advanceTrip, stopsBetween } = require('../services/trips');
+
+const vehicle = { _id: new mongoose.Types.ObjectId(), fleet: new mongoose.Types.ObjectId() };
+const at = (minutes) => new Date(Date.UTC(2025, 0, 1, 8, minutes));
+const fix = (minutes, speed, distance = 0, lat = 0) => ({ lat, lng: 0, timestamp: at(minutes), speed, distance });
+
+// Feed fixes through the state machine, collecting the trips it closes
+function drive(fixes) {
+    let trip = null;
+    let previous = null;
+    const closed = [];
+    for (const next of fixes) {
+        const result = advanceTrip(vehicle, trip, previous, next);
+        trip = result.trip;
+        if (result.closed) closed.push(result.closed);
+        previous = next;
+    }
+    return { trip, closed };
+}
+
+test('a stationary vehicle never starts a trip', () => {
+    const { trip, closed } = drive([fix(0, 0), fix(1, 2, 3), fix(2, 4.9, 3)]);
+    assert.strictEqual(trip, null);
+    assert.deepStrictEqual(closed, []);
+});
+
+test('moving starts a trip at the previous fix when it is recent', () => {
+    const { trip } = drive([fix(0, 0, 0, 1), fix(1, 30, 500, 2)]);
+    assert.strictEqual(trip.status, 'open');
+    assert.strictEqual(trip.startTime.getTime(), at(0).getTime());
+    assert.strictEqual(trip.startLocation.lat, 1);
+    assert.strictEqual(trip.distance, 500);
+    assert.strictEqual(trip.pointCount, 2);
+});
+
+test('moving after a long gap starts the trip at the current fix', () => {
+    const { trip } = drive([fix(0, 0, 0, 1), fix(20, 30, 500, 2)]);
+    assert.strictEqual(trip.startTime.getTime(), at(20).getTime());
+    assert.strictEqual(trip.distance, 0);
+    assert.strictEqual(trip.pointCount, 1);
+});
+
+test('short idle periods stay in the trip as idle time', () => {
+    const { trip, closed } = drive([fix(0, 30, 0), fix(1, 30, 500), fix(3, 0, 10), fix(4, 30, 500)]);
+    assert.deepStrictEqual(closed, []);
+    assert.strictEqual(trip.idleTime, 120);
+    assert.strictEqual(trip.distance, 1010);
+    assert.strictEqual(trip.duration, 240);
+});
+
+test('five idle minutes close the trip where the vehicle last moved', () => {
+    const { trip, closed } = drive([fix(0, 30, 0), fix(1, 30, 500, 1), fix(3, 0, 20, 2), fix(6, 0, 20, 3)]);
+    assert.strictEqual(trip, null);
+    assert.strictEqual(closed.length, 1);
+    assert.strictEqual(closed[0].status, 'closed');
+    assert.strictEqual(closed[0].endTime.getTime(), at(1).getTime());
+    assert.strictEqual(closed[0].endLocation.lat, 1);
+    // The idle tail belongs to the stop, not the trip
+    assert.strictEqual(closed[0].distance, 500);
+    assert.strictEqual(closed[0].idleTime, 0);
+    assert.strictEqual(closed[0].duration, 60);
+});
+
+test('idling just under the threshold keeps the trip open', () => {
+    const { trip, closed } = drive([fix(0, 30, 0), fix(1, 30, 500), fix(5, 0, 0), fix(5.99, 0, 0)]);
+    assert.deepStrictEqual(closed, []);
+    assert.strictEqual(trip.status, 'open');
+});
+
+test('a device that goes silent mid-trip closes it and starts afresh', () => {
+    const { trip, closed } = drive([fix(0, 30, 0), fix(1, 30, 500), fix(10, 40, 2000)]);
+    assert.strictEqual(closed.length, 1);
+    assert.strictEqual(closed[0].endTime.getTime(), at(1).getTime());
+    assert.strictEqual(trip.startTime.getTime(), at(10).getTime());
+    assert.strictEqual(trip.distance, 0);
+});
+
+test('out-of-order fixes leave the open trip alone', () => {
+    const { trip } = drive([fix(0, 30, 0), fix(2, 30, 500)]);
+    const result = advanceTrip(vehicle, trip, null, fix(1, 0, 100));
+    assert.strictEqual(result.trip, trip);
+    assert.strictEqual(result.closed, null);
+    assert.strictEqual(trip.distance, 500);
+});
+
+test('stops are the gaps between consecutive trips', () => {
+    const trips = [
+        { startTime: at(30), endTime: at(40), endLocation: { lat: 3, lng: 0 } },
+        { startTime: at(0), endTime: at(10), endLocation: { lat: 1, lng: 0 } }
+    ];
+    assert.deepStrictEqual(stopsBetween(trips), [
+        { startTime: at(10), endTime: at(30), duration: 1200, location: { lat: 1, lng: 0 } }
+    ]);
+});
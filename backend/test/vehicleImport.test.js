@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ImportFileError, parseImportFile } = require('../services/vehicleImport');
+
+const assertFileError = (fn, message) => assert.throws(fn, (err) => err instanceof ImportFileError && err.message === message);
+
+test('CSV rows are numbered by their line in the file', () => {
+    const rows = parseImportFile('csv', 'name,lat,lng\nVan 1,23.8,90.4\n\nVan 2,23.9,90.5\n');
+    assert.deepStrictEqual(rows, [
+        { row: 2, name: 'Van 1', lat: '23.8', lng: '90.4' },
+        { row: 4, name: 'Van 2', lat: '23.9', lng: '90.5' }
+    ]);
+});
+
+test('CSV columns may come in any order, under any accepted name, in any case', () => {
+    const rows = parseImportFile('csv', '\uFEFFLongitude,Notes,Vehicle Name,LATITUDE\r\n90.4,spare,Van 1,23.8\r\n');
+    assert.deepStrictEqual(rows, [{ row: 2, name: 'Van 1', lat: '23.8', lng: '90.4' }]);
+});
+
+test('quoted CSV cells keep commas and escaped quotes', () => {
+    const rows = parseImportFile('csv', 'name,lat,lng\n"Van, ""Blue""", 23.8 ,90.4\n');
+    assert.deepStrictEqual(rows, [{ row: 2, name: 'Van, "Blue"', lat: '23.8', lng: '90.4' }]);
+});
+
+test('a CSV without the required columns is rejected', () => {
+    assertFileError(() => parseImportFile('csv', 'name,x,y\nVan 1,1,2'), 'CSV header must have name, lat and lng (or latitude/longitude) columns');
+});
+
+test('short CSV rows leave the missing cells undefined for validation to report', () => {
+    assert.deepStrictEqual(parseImportFile('csv', 'name,lat,lng\nVan 1'), [{ row: 2, name: 'Van 1', lat: undefined, lng: undefined }]);
+});
+
+test('GeoJSON points become rows in [lng, lat] order', () => {
+    const rows = parseImportFile('geojson', JSON.stringify({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { name: 'Van 1' }, geometry: { type: 'Point', coordinates: [90.4, 23.8] } },
+            { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] } },
+            { type: 'Feature', geometry: null }
+        ]
+    }));
+    assert.deepStrictEqual(rows, [
+        { row: 1, name: 'Van 1', lat: 23.8, lng: 90.4 },
+        { row: 2, name: undefined, error: 'Feature geometry must be a Point' },
+        { row: 3, name: undefined, error: 'Feature geometry must be a Point' }
+    ]);
+});
+
+test('unusable GeoJSON files are rejected', () => {
+    assert.throws(() => parseImportFile('geojson', '{'), ImportFileError);
+    assertFileError(() => parseImportFile('geojson', '{"type":"Feature"}'), 'GeoJSON must be a FeatureCollection');
+});
+
+test('empty files and unknown formats are rejected', () => {
+    assertFileError(() => parseImportFile('csv', '  \n'), 'The file is empty');
+    assertFileError(() => parseImportFile('xlsx', 'name,lat,lng'), 'format must be csv or geojson');
+});
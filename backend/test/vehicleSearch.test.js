@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseVehicleSearch, encodeVehicleCursor } = require('../services/vehicleSearch');
+
+// Just enough of MongoDB's matching and ordering to page through plain objects.
+// null and missing values sort before everything else.
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+function compare(a, b) {
+    const x = comparable(a);
+    const y = comparable(b);
+    if (x === y || (x == null && y == null)) return 0;
+    if (x == null) return -1;
+    if (y == null) return 1;
+    return x < y ? -1 : 1;
+}
+function matches(doc, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$and') return condition.every(part => matches(doc, part));
+        if (key === '$or') return condition.some(part => matches(doc, part));
+        const value = doc[key];
+        if (condition === null) return value == null;
+        if (typeof condition !== 'object' || condition instanceof Date) return compare(value, condition) === 0;
+        return Object.entries(condition).every(([op, operand]) => {
+            if (op === '$ne') return operand === null ? value != null : compare(value, operand) !== 0;
+            if (value == null) return false;
+            if (op === '$gt') return compare(value, operand) > 0;
+            if (op === '$lt') return compare(value, operand) < 0;
+            throw new Error(`Unsupported operator ${op}`);
+        });
+    });
+}
+function find(docs, { pageFilter, sort, limit }) {
+    const [[field, direction]] = Object.entries(sort);
+    return docs
+        .filter(doc => matches(doc, pageFilter))
+        .sort((a, b) => direction * (compare(a[field], b[field]) || compare(a._id, b._id)))
+        .slice(0, limit);
+}
+
+// Follow next cursors until the last page, returning the names in the order seen
+function pageThrough(docs, query) {
+    const seen = [];
+    let cursor;
+    for (let page = 0; page < 20; page++) {
+        const { error, value } = parseVehicleSearch({ ...query, limit: 2, cursor }, { fleet: 'f1' });
+        assert.strictEqual(error, undefined);
+        const vehicles = find(docs, value);
+        seen.push(...vehicles.map(v => v.name));
+        if (vehicles.length < value.limit) return seen;
+        cursor = encodeVehicleCursor(vehicles[vehicles.length - 1], value.sortField);
+    }
+    throw new Error('Paging never ended');
+}
+
+const id = (n) => n.toString(16).padStart(24, '0');
+const vehicles = [
+    { _id: id(1), fleet: 'f1', name: 'Bus', speed: 30, lastUpdated: new Date('2025-01-01T08:00:00Z') },
+    { _id: id(2), fleet: 'f1', name: 'Car', speed: 30, lastUpdated: new Date('2025-01-01T09:00:00Z') },
+    { _id: id(3), fleet: 'f1', name: 'Van', speed: null, lastUpdated: new Date('2025-01-01T09:00:00Z') },
+    { _id: id(4), fleet: 'f1', name: 'Ute', lastUpdated: new Date('2025-01-01T07:00:00Z') },
+    { _id: id(5), fleet: 'f1', name: 'Taxi', speed: 55, lastUpdated: new Date('2025-01-01T10:00:00Z') },
+    { _id: id(6), fleet: 'f2', name: 'Other fleet', speed: 40, lastUpdated: new Date('2025-01-01T10:00:00Z') }
+];
+
+test('pages by name cover every vehicle once, in order', () => {
+    assert.deepStrictEqual(pageThrough(vehicles, { sort: 'name' }), ['Bus', 'Car', 'Taxi', 'Ute', 'Van']);
+    assert.deepStrictEqual(pageThrough(vehicles, { sort: 'name', order: 'desc' }), ['Van', 'Ute', 'Taxi', 'Car', 'Bus']);
+});
+
+test('ties on the sort value are broken by id', () => {
+    assert.deepStrictEqual(pageThrough(vehicles, {}), ['Taxi', 'Van', 'Car', 'Bus', 'Ute']);
+    assert.deepStrictEqual(pageThrough(vehicles, { sort: 'lastUpdated', order: 'asc' }), ['Ute', 'Bus', 'Car', 'Van', 'Taxi']);
+});
+
+test('vehicles without a sort value come first ascending and last descending', () => {
+    assert.deepStrictEqual(pageThrough(vehicles, { sort: 'speed', order: 'asc' }), ['Van', 'Ute', 'Bus', 'Car', 'Taxi']);
+    assert.deepStrictEqual(pageThrough(vehicles, { sort: 'speed' }), ['Taxi', 'Car', 'Bus', 'Ute', 'Van']);
+});
+
+test('cursors round-trip dates', () => {
+    const cursor = encodeVehicleCursor(vehicles[0], 'lastUpdated');
+    const { value } = parseVehicleSearch({ cursor }, { fleet: 'f1' });
+    const after = value.pageFilter.$and[1].$or[0].lastUpdated.$lt;
+    assert.ok(after instanceof Date);
+    assert.strictEqual(after.getTime(), vehicles[0].lastUpdated.getTime());
+});
+
+test('tampered or mismatched cursors are rejected', () => {
+    const bad = [
+        'not-a-cursor',
+        Buffer.from('{"v":1}').toString('base64url'),
+        Buffer.from(JSON.stringify({ v: 1, id: { $gt: '' } })).toString('base64url'),
+        Buffer.from(JSON.stringify({ v: 1, id: 'zz' })).toString('base64url')
+    ];
+    for (const cursor of bad) {
+        assert.deepStrictEqual(parseVehicleSearch({ cursor }, { fleet: 'f1' }), { error: 'Invalid cursor' }, cursor);
+    }
+});
+
+test('sort, order and limit are validated', () => {
+    assert.ok(parseVehicleSearch({ sort: 'password' }, {}).error);
+    assert.ok(parseVehicleSearch({ order: 'up' }, {}).error);
+    assert.ok(parseVehicleSearch({ limit: '0' }, {}).error);
+    assert.ok(parseVehicleSearch({ limit: '1001' }, {}).error);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Alert = require('../models/alert');
+const { checkWebhookUrl, signPayload, attemptDelivery } = require('../services/webhooks');
+
+// IP literals resolve without a DNS server, so these run offline
+test('internal addresses are blocked', async () => {
+    const blocked = [
+        'https://127.0.0.1/hook',
+        'https://127.8.9.10/hook',
+        'https://localhost/hook',
+        'https://10.1.2.3/hook',
+        'https://172.16.0.1/hook',
+        'https://172.31.255.255/hook',
+        'https://192.168.1.1/hook',
+        'https://169.254.169.254/latest/meta-data',
+        'https://100.64.0.1/hook',
+        'https://0.0.0.0/hook',
+        'https://224.0.0.1/hook',
+        'https://[::1]/hook',
+        'https://[::]/hook',
+        'https://[fe80::1]/hook',
+        'https://[fd00::1]/hook',
+        'https://[::ffff:127.0.0.1]/hook',
+        'https://[::ffff:a9fe:a9fe]/hook',
+        'https://[64:ff9b::a00:1]/hook'
+    ];
+    for (const url of blocked) {
+        assert.strictEqual(await checkWebhookUrl(url), 'webhookUrl must point to a public address', url);
+    }
+});
+
+test('public addresses are allowed', async () => {
+    for (const url of ['https://8.8.8.8/hook', 'https://172.32.0.1/hook', 'https://[2606:4700::1111]/hook', 'https://1.1.1.1:8443/hook']) {
+        assert.strictEqual(await checkWebhookUrl(url), null, url);
+    }
+});
+
+test('only https URLs are allowed', async () => {
+    assert.strictEqual(await checkWebhookUrl('http://8.8.8.8/hook'), 'webhookUrl must be an https URL');
+    assert.strictEqual(await checkWebhookUrl('ftp://8.8.8.8/hook'), 'webhookUrl must be an https URL');
+    assert.strictEqual(await checkWebhookUrl('not a url'), 'webhookUrl must be a valid URL');
+});
+
+test('payloads are signed over the timestamp and body', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+    assert.strictEqual(signPayload('secret', '1700000000', '{"a":1}'), expected);
+});
+
+test('a delivery another attempt already claimed is not sent again', async (t) => {
+    const claim = t.mock.method(Alert, 'findOneAndUpdate', async () => null);
+    const alert = { _id: new mongoose.Types.ObjectId() };
+    assert.strictEqual(await attemptDelivery(alert, { webhook: { url: 'https://8.8.8.8/hook', secret: 's' } }), null);
+
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.strictEqual(filter._id, alert._id);
+    assert.strictEqual(filter['delivery.status'], 'pending');
+    assert.ok(update.$set['delivery.claimedAt'] instanceof Date);
+    assert.deepStrictEqual(update.$inc, { 'delivery.attempts': 1 });
+});
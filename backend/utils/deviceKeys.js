@@ -0,0 +1,27 @@
+// Device credentials for trackers. Keys are long random strings, so a plain
+// SHA-256 is enough to store them: only the hash and a short hint are kept.
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'vk_';
+const HINT_LENGTH = 8;
+
+function hashDeviceKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Start of a key, safe to show or log
+function deviceKeyHint(key) {
+    return key.slice(0, KEY_PREFIX.length + HINT_LENGTH);
+}
+
+// Returns the plain key (shown to the user once) and what gets stored
+function generateDeviceKey() {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    return { key, hash: hashDeviceKey(key), hint: deviceKeyHint(key) };
+}
+
+function isDeviceKeyFormat(value) {
+    return typeof value === 'string' && /^vk_[A-Za-z0-9_-]{32}$/.test(value);
+}
+
+module.exports = { hashDeviceKey, deviceKeyHint, generateDeviceKey, isDeviceKeyFormat };
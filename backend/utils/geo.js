@@ -0,0 +1,87 @@
+// Small spherical-geometry helpers shared by the tracking services.
+const EARTH_RADIUS_M = 6371008.8;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance in meters
+function haversineDistance(lat1, lng1, lat2, lng2) {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial great-circle bearing from the first point to the second, in degrees
+// clockwise from north (0-360)
+function initialBearing(lat1, lng1, lat2, lng2) {
+    const phi1 = toRadians(lat1);
+    const phi2 = toRadians(lat2);
+    const dLng = toRadians(lng2 - lng1);
+    const y = Math.sin(dLng) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Ray-casting test against a ring of [lng, lat] pairs (GeoJSON order)
+function pointInPolygon(lat, lng, ring) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        const crosses = (yi > lat) !== (yj > lat) &&
+            lng < (xj - xi) * (lat - yi) / (yj - yi) + xi;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+// Spherical polygons bend away from parallels, so a lat/lng box is built from pieces
+// at most this wide, with extra vertices along the top and bottom edges
+const BOX_PIECE_MAX_DEGREES = 90;
+const BOX_EDGE_STEP_DEGREES = 1;
+// Edges along the poles collapse to a point, which 2dsphere polygons reject
+const BOX_MAX_LAT = 89.9;
+
+// GeoJSON polygons (for $geoWithin) covering the map box west,south,east,north.
+// west > east means the box crosses the antimeridian. Returns null when the box
+// spans every longitude, so only latitude needs checking.
+function boundingBoxPolygons(west, south, east, north) {
+    const span = west <= east ? east - west : 360 - west + east;
+    if (span >= 360) return null;
+
+    const bottom = Math.max(south, -BOX_MAX_LAT);
+    const top = Math.min(north, BOX_MAX_LAT);
+
+    // Longitude breakpoints, measured continuously from west and split at 180
+    const breaks = [west];
+    for (let lng = west; lng < west + span;) {
+        const next = Math.min(lng + BOX_PIECE_MAX_DEGREES, west + span, lng < 180 ? 180 : Infinity);
+        breaks.push(next);
+        lng = next;
+    }
+
+    const polygons = [];
+    for (let i = 0; i < breaks.length - 1; i++) {
+        let [from, to] = [breaks[i], breaks[i + 1]];
+        if (from >= 180) {
+            from -= 360;
+            to -= 360;
+        }
+        if (to <= from) continue;
+
+        const edge = [];
+        const steps = Math.max(1, Math.ceil((to - from) / BOX_EDGE_STEP_DEGREES));
+        for (let step = 0; step <= steps; step++) edge.push(from + (to - from) * step / steps);
+
+        const ring = [
+            ...edge.map(lng => [lng, bottom]),
+            ...[...edge].reverse().map(lng => [lng, top])
+        ];
+        ring.push(ring[0]);
+        polygons.push({ type: 'Polygon', coordinates: [ring] });
+    }
+    return polygons;
+}
+
+module.exports = { EARTH_RADIUS_M, toRadians, haversineDistance, initialBearing, pointInPolygon, boundingBoxPolygons };
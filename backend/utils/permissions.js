@@ -0,0 +1,32 @@
+// Role-based permissions. Routes ask for a permission, never for a role, so
+// adjusting what a role may do only touches this table.
+const ROLES = ['admin', 'dispatcher', 'viewer'];
+
+const PERMISSIONS = {
+    'vehicles:read': ['admin', 'dispatcher', 'viewer'],
+    'vehicles:create': ['admin', 'dispatcher'],
+    'vehicles:update': ['admin', 'dispatcher'],
+    'vehicles:delete': ['admin'],
+    'geofences:read': ['admin', 'dispatcher', 'viewer'],
+    'geofences:manage': ['admin', 'dispatcher'],
+    'alerts:read': ['admin', 'dispatcher', 'viewer'],
+    'alerts:manage': ['admin', 'dispatcher'],
+    'alertRules:manage': ['admin', 'dispatcher'],
+    'drivers:read': ['admin', 'dispatcher', 'viewer'],
+    'drivers:manage': ['admin', 'dispatcher'],
+    'maintenance:read': ['admin', 'dispatcher', 'viewer'],
+    'maintenance:manage': ['admin', 'dispatcher'],
+    'users:manage': ['admin']
+};
+
+function hasPermission(role, permission) {
+    const allowedRoles = PERMISSIONS[permission];
+    return Boolean(allowedRoles && allowedRoles.includes(role));
+}
+
+// Sent to the client so the UI can hide actions the user can't perform
+function permissionsFor(role) {
+    return Object.keys(PERMISSIONS).filter(permission => hasPermission(role, permission));
+}
+
+module.exports = { ROLES, PERMISSIONS, hasPermission, permissionsFor };
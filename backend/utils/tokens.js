@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_TTL || '7d';
+
+// Resolve a signing secret, refusing to fall back to a dev secret in production
+function resolveSecret(envName, devFallback) {
+    const secret = process.env[envName];
+    if (secret) return secret;
+
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error(`${envName} must be set in production`);
+    }
+    console.warn(`⚠️  ${envName} is not set, using an insecure development secret`);
+    return devFallback;
+}
+
+const ACCESS_TOKEN_SECRET = resolveSecret('JWT_SECRET', 'dev-access-secret');
+const REFRESH_TOKEN_SECRET = resolveSecret('JWT_REFRESH_SECRET', 'dev-refresh-secret');
+
+// Sign a short-lived access token used on every API request
+function signAccessToken(user) {
+    return jwt.sign(
+        { sub: user._id.toString(), username: user.username },
+        ACCESS_TOKEN_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+}
+
+// Sign a long-lived refresh token; the jti lets us revoke it on logout
+function signRefreshToken(user) {
+    const jti = crypto.randomUUID();
+    const token = jwt.sign(
+        { sub: user._id.toString() },
+        REFRESH_TOKEN_SECRET,
+        { expiresIn: REFRESH_TOKEN_TTL, jwtid: jti }
+    );
+    const { exp } = jwt.decode(token);
+    return { token, jti, expiresAt: new Date(exp * 1000) };
+}
+
+function verifyAccessToken(token) {
+    return jwt.verify(token, ACCESS_TOKEN_SECRET);
+}
+
+function verifyRefreshToken(token, options = {}) {
+    return jwt.verify(token, REFRESH_TOKEN_SECRET, options);
+}
+
+module.exports = {
+    signAccessToken,
+    signRefreshToken,
+    verifyAccessToken,
+    verifyRefreshToken
+};
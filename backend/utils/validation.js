@@ -0,0 +1,68 @@
+// Input validation shared by the route handlers
+const mongoose = require('mongoose');
+
+// Helper function to validate coordinates
+function validateCoordinates(lat, lng) {
+    if (typeof lat !== 'number' || typeof lng !== 'number') {
+        return { valid: false, error: 'Coordinates must be numbers' };
+    }
+    if (lat < -90 || lat > 90) {
+        return { valid: false, error: `Invalid latitude: ${lat}. Must be between -90 and 90` };
+    }
+    if (lng < -180 || lng > 180) {
+        return { valid: false, error: `Invalid longitude: ${lng}. Must be between -180 and 180` };
+    }
+    if (isNaN(lat) || isNaN(lng)) {
+        return { valid: false, error: 'Coordinates cannot be NaN' };
+    }
+    return { valid: true };
+}
+
+// Device-reported motion is optional; each value may be absent (undefined).
+// Speed is in km/h, heading in degrees clockwise from north.
+function validateMotion(speed, heading) {
+    if (speed !== undefined && (typeof speed !== 'number' || isNaN(speed) || speed < 0)) {
+        return { valid: false, error: 'Speed must be a non-negative number (km/h)' };
+    }
+    if (heading !== undefined && (typeof heading !== 'number' || isNaN(heading) || heading < 0 || heading > 360)) {
+        return { valid: false, error: 'Heading must be between 0 and 360 degrees' };
+    }
+    return { valid: true };
+}
+
+// Device clocks run a little fast; a fix further ahead would pin the vehicle's
+// "current" position and make every later real fix look out of date
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// The device-reported time of a fix, shared by every ingest path
+function validateFixTime(timestamp) {
+    if (!(timestamp instanceof Date) || isNaN(timestamp.getTime())) {
+        return { valid: false, error: 'Fix time must be a valid date' };
+    }
+    if (timestamp - Date.now() > MAX_CLOCK_SKEW_MS) {
+        return { valid: false, error: 'Fix time is in the future; check the device clock' };
+    }
+    return { valid: true };
+}
+
+// Parse an optional date query parameter; undefined when absent, null when invalid
+function parseDateParam(value) {
+    if (value === undefined || value === '') return undefined;
+    const date = new Date(isNaN(value) ? value : Number(value));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Whether a route parameter or body field can be used as a document id
+const isObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
+
+// Absolute http(s) URL, e.g. for an image the dashboard links to
+function isHttpUrl(url) {
+    try {
+        const { protocol } = new URL(url);
+        return protocol === 'http:' || protocol === 'https:';
+    } catch (err) {
+        return false;
+    }
+}
+
+module.exports = { validateCoordinates, validateMotion, validateFixTime, parseDateParam, isObjectId, isHttpUrl };
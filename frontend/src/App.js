@@ -1,11 +1,32 @@
-import React, { useEffect, useState } from 'react';
-import Map, { Marker, Popup } from 'react-map-gl/maplibre';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import Map, { Marker, Popup, Source, Layer } from 'react-map-gl/maplibre';
 import 'maplibre-gl/dist/maplibre-gl.css';
-import { FaCar, FaCarSide } from "react-icons/fa";
-import axios from 'axios';
+import { FaBell, FaCar, FaCarSide } from "react-icons/fa";
 import { format } from 'timeago.js';
+import api, { saveSession, getSession, clearSession, onSessionExpired, getErrorMessage } from './api';
+import { subscribeToVehicleEvents } from './liveUpdates';
+import { formatSpeed, formatHeading, formatDistance, carIconTransform } from './motion';
+import { boundsToBbox, bboxContains } from './viewport';
+import PlaybackPanel from './components/PlaybackPanel';
+import VehicleTrails, { TRAIL_POINTS_LAYER, TRAIL_WINDOW_MS } from './components/VehicleTrails';
+import GeofenceLayer from './components/GeofenceLayer';
+import GeofencePanel from './components/GeofencePanel';
+import AlertInbox from './components/AlertInbox';
+import TripsPanel from './components/TripsPanel';
+import TrackExport from './components/TrackExport';
+import ImportPanel from './components/ImportPanel';
+import VehicleFilters, { DEFAULT_VEHICLE_QUERY } from './components/VehicleFilters';
+import VehicleIcon, { VEHICLE_TYPES } from './components/VehicleIcon';
+import VehiclePanel from './components/VehiclePanel';
+import DriversPanel from './components/DriversPanel';
+import { MaintenanceBadge } from './components/MaintenancePlans';
 import './app.css'; 
 
+// Wait for the map to settle (or typing to pause) before reloading the vehicle list
+const VIEW_FETCH_DELAY_MS = 300;
+const VEHICLE_PAGE_SIZE = 100;
+const NEAREST_SEARCH_RADIUS_KM = 1000;
+
 function App() {
   const [vehicles, setVehicles] = useState([]);
   const [viewState, setViewState] = useState({
@@ -18,16 +39,78 @@ function App() {
   const [error, setError] = useState(null);
   const [deletingVehicleId, setDeletingVehicleId] = useState(null);
 
+  // Only vehicles inside the map's viewport and matching the sidebar filters are loaded,
+  // a page at a time. viewBboxRef is null until the map has reported its bounds.
+  // The query is mirrored in a ref for the polling and live event callbacks.
+  const viewBboxRef = useRef(null);
+  const viewFetchTimerRef = useRef(null);
+  const vehiclesRequestRef = useRef(0);
+  const [vehicleQuery, setVehicleQuery] = useState(DEFAULT_VEHICLE_QUERY);
+  const vehicleQueryRef = useRef(DEFAULT_VEHICLE_QUERY);
+  const [vehiclePage, setVehiclePage] = useState({ total: 0, nextCursor: null });
+  const [loadingMoreVehicles, setLoadingMoreVehicles] = useState(false);
+
+  // Result of "nearest vehicle to here" (right-click on the map)
+  const [nearestPopup, setNearestPopup] = useState(null);
+
+  // Live event stream state; polling only runs while the stream is down
+  const [streamStatus, setStreamStatus] = useState('connecting');
+  const streamLiveRef = useRef(false);
+
+  // Breadcrumb trails: 'off' | 'selected' | 'all'; trails maps vehicle id -> recent points
+  const [trailMode, setTrailMode] = useState('off');
+  const [trails, setTrails] = useState({});
+  const [trailPopup, setTrailPopup] = useState(null);
+
+  // Geofences: the draft is the fence currently being drawn or edited on the map
+  const [showGeofences, setShowGeofences] = useState(false);
+  const [geofences, setGeofences] = useState([]);
+  const [geofenceDraft, setGeofenceDraft] = useState(null);
+  const [geofenceEvents, setGeofenceEvents] = useState([]);
+
+  // Alerts: the latest alerts of any status plus the fleet-wide open count for the badge
+  const [showAlerts, setShowAlerts] = useState(false);
+  const [alerts, setAlerts] = useState([]);
+  const [openAlertCount, setOpenAlertCount] = useState(0);
+
+  // Trips panel for a vehicle (null when closed)
+  const [tripsVehicleId, setTripsVehicleId] = useState(null);
+
+  // Details/edit panel for a vehicle (null when closed)
+  const [detailsVehicleId, setDetailsVehicleId] = useState(null);
+
+  // Drivers, each with the vehicle they're driving now; the popup shows who drives what
+  const [showDrivers, setShowDrivers] = useState(false);
+  const [drivers, setDrivers] = useState([]);
+
+  // Trip playback: the panel drives playbackFrame, the map draws it.
+  // playbackRange preloads a specific time range (a trip picked from the trips panel).
+  const [playbackVehicleId, setPlaybackVehicleId] = useState(null);
+  const [playbackRange, setPlaybackRange] = useState(null);
+  const [playbackFrame, setPlaybackFrame] = useState(null);
+  const playbackTrack = playbackFrame?.track;
+  // Only rebuild the line when a new track loads, not on every animation frame
+  const playbackTrackGeoJson = useMemo(() => playbackTrack && ({
+    type: 'Feature',
+    geometry: { type: 'LineString', coordinates: playbackTrack.map(p => [p.lng, p.lat]) }
+  }), [playbackTrack]);
+
   // Auth state
-  const [currentUsername, setCurrentUsername] = useState(localStorage.getItem("user") || "");
+  const [currentUser, setCurrentUser] = useState(getSession()?.user || null);
+  const currentUsername = currentUser?.username || "";
   const [showLoginModal, setShowLoginModal] = useState(!currentUsername);
   const [showRegisterModal, setShowRegisterModal] = useState(false);
   const [loginForm, setLoginForm] = useState({ username: "", password: "" });
-  const [registerForm, setRegisterForm] = useState({ username: "", password: "", confirmPassword: "" });
+  const [registerForm, setRegisterForm] = useState({ username: "", email: "", organization: "", password: "", confirmPassword: "" });
+  const [authError, setAuthError] = useState("");
+  const [authSubmitting, setAuthSubmitting] = useState(false);
 
   // Add vehicle form state
   const [showAddForm, setShowAddForm] = useState(false);
-  const [newVehicle, setNewVehicle] = useState({ name: "", lat: "", lng: "" });
+  const [newVehicle, setNewVehicle] = useState({ name: "", type: "car", lat: "", lng: "" });
+  // A device key is only returned when it's issued, so it's shown until dismissed
+  const [issuedKey, setIssuedKey] = useState(null);
+  const [showImport, setShowImport] = useState(false);
   const [adding, setAdding] = useState(false);
 
   // Helper: validate coordinates
@@ -40,31 +123,369 @@ function App() {
     lng >= -180 && lng <= 180
   );
 
-  // Fetch vehicles
+  // GET /api/vehicles params for the current view and filters (empty ones are left out)
+  const vehicleListParams = () => {
+    const { q, status, tag, sort, order } = vehicleQueryRef.current;
+    return {
+      bbox: viewBboxRef.current?.join(','),
+      q: q.trim() || undefined,
+      status: status || undefined,
+      tag: tag.trim() || undefined,
+      sort,
+      order,
+      limit: VEHICLE_PAGE_SIZE
+    };
+  };
+
+  // Fetch the first page of vehicles (in view, once the map knows its bounds)
   const fetchVehicles = async (showLoader = false) => {
+    const request = ++vehiclesRequestRef.current;
     try {
       if (showLoader) setLoading(true);
       setError(null);
-      const response = await axios.get('http://localhost:3000/api/vehicles');
-      const validVehicles = response.data.filter(v => isValidCoordinate(v.latitude, v.longitude));
+      const response = await api.get('/vehicles', { params: vehicleListParams() });
+      // A later pan or filter change may have already replaced this response
+      if (request !== vehiclesRequestRef.current) return;
+      const validVehicles = response.data.vehicles.filter(v => isValidCoordinate(v.latitude, v.longitude));
       setVehicles(validVehicles);
+      setVehiclePage({ total: response.data.total, nextCursor: response.data.nextCursor });
       if (showLoader) setLoading(false);
     } catch (err) {
-      setError('Failed to fetch vehicles. Make sure the backend is running.');
       if (showLoader) setLoading(false);
+      // Expired sessions are handled by the login modal, not the error screen
+      if (err.response?.status === 401) return;
+      setError('Failed to fetch vehicles. Make sure the backend is running.');
       console.error(err);
     }
   };
 
-  // Periodic fetch
+  const loadMoreVehicles = async () => {
+    const request = vehiclesRequestRef.current;
+    setLoadingMoreVehicles(true);
+    try {
+      const response = await api.get('/vehicles', { params: { ...vehicleListParams(), cursor: vehiclePage.nextCursor } });
+      if (request !== vehiclesRequestRef.current) return;
+      const more = response.data.vehicles.filter(v => isValidCoordinate(v.latitude, v.longitude));
+      setVehicles(prev => [...prev, ...more.filter(v => !prev.some(p => p._id === v._id))]);
+      setVehiclePage({ total: response.data.total, nextCursor: response.data.nextCursor });
+    } catch (err) {
+      console.error(err);
+    } finally {
+      setLoadingMoreVehicles(false);
+    }
+  };
+
+  const scheduleVehicleFetch = () => {
+    clearTimeout(viewFetchTimerRef.current);
+    viewFetchTimerRef.current = setTimeout(() => fetchVehicles(false), VIEW_FETCH_DELAY_MS);
+  };
+
+  const handleVehicleQueryChange = (changes) => {
+    const next = { ...vehicleQueryRef.current, ...changes };
+    vehicleQueryRef.current = next;
+    setVehicleQuery(next);
+    scheduleVehicleFetch();
+  };
+
+  const fetchAlerts = async () => {
+    try {
+      const response = await api.get('/alerts');
+      setAlerts(response.data.alerts);
+      setOpenAlertCount(response.data.openCount);
+    } catch (err) {
+      console.error(err);
+    }
+  };
+
+  // Insert or replace one alert; the stream and the inbox's own actions may both
+  // report the same change, so this must be idempotent. The badge count comes from the server.
+  const applyAlert = (alert) => {
+    setAlerts(prev => [alert, ...prev.filter(a => a._id !== alert._id)]
+      .sort((a, b) => new Date(b.triggeredAt) - new Date(a.triggeredAt)));
+    api.get('/alerts', { params: { status: 'open', limit: 1 } })
+      .then(response => setOpenAlertCount(response.data.openCount))
+      .catch(err => console.error(err));
+  };
+
+  // A session the backend rejects (and can't refresh) sends the user back to login
   useEffect(() => {
-    if (currentUsername) {
-      fetchVehicles(true);
-      const interval = setInterval(() => fetchVehicles(false), 5000);
-      return () => clearInterval(interval);
+    onSessionExpired(() => {
+      setCurrentUser(null);
+      setVehicles([]);
+      setSelectedVehicle(null);
+      setShowRegisterModal(false);
+      setShowLoginModal(true);
+      setAuthError("Your session has expired. Please log in again.");
+    });
+    return () => onSessionExpired(null);
+  }, []);
+
+  // Role may have changed since the session was stored, so re-read it from the server
+  useEffect(() => {
+    if (!currentUsername) return;
+    api.get('/users/me')
+      .then(response => {
+        const session = getSession();
+        if (session) saveSession({ ...session, user: response.data.user });
+        setCurrentUser(response.data.user);
+      })
+      .catch(err => console.error(err));
+  }, [currentUsername]);
+
+  // Permission checks mirror the backend's role table; the server still enforces them
+  const can = (permission) => Boolean(currentUser?.permissions?.includes(permission));
+
+  // Whether a pushed vehicle would be in the current list. Position events carry no
+  // tags, so while filtering by tag only a fetch adds vehicles.
+  const belongsInList = (vehicle) => {
+    const { q, status, tag } = vehicleQueryRef.current;
+    if (q.trim() && !vehicle.name.toLowerCase().includes(q.trim().toLowerCase())) return false;
+    if (status && vehicle.status !== status) return false;
+    if (tag.trim() && !vehicle.tags?.includes(tag.trim().toLowerCase())) return false;
+    return !viewBboxRef.current || bboxContains(viewBboxRef.current, vehicle.latitude, vehicle.longitude);
+  };
+
+  // Merge changed fields into the listed vehicle and the open popup
+  const applyVehicleChanges = (data) => {
+    setVehicles(prev => prev.map(v => (v._id === data._id ? { ...v, ...data } : v)));
+    setSelectedVehicle(prev => (prev?._id === data._id ? { ...prev, ...data } : prev));
+  };
+
+  // A vehicle's driver changed ({ _id, name, driver }): move it between drivers
+  const applyDriverAssignment = (data) => {
+    setDrivers(prev => prev.map(d => {
+      if (d._id === data.driver) return { ...d, vehicle: { _id: data._id, name: data.name } };
+      return d.vehicle?._id === data._id ? { ...d, vehicle: null } : d;
+    }));
+  };
+
+  const handleAssignmentChange = (data) => {
+    applyVehicleChanges(data);
+    applyDriverAssignment(data);
+  };
+
+  // Apply a pushed vehicle event to the list (and the open popup). Vehicles driving
+  // into view are added; ones that no longer match stay until the next fetch.
+  const handleVehicleEvent = (type, data) => {
+    if (type === 'vehicle:position') {
+      if (!isValidCoordinate(data.latitude, data.longitude)) return;
+      setVehicles(prev => {
+        if (prev.some(v => v._id === data._id)) return prev.map(v => (v._id === data._id ? { ...v, ...data } : v));
+        return belongsInList(data) ? [data, ...prev] : prev;
+      });
+      setSelectedVehicle(prev => (prev?._id === data._id ? { ...prev, ...data } : prev));
+      // Extend trails that are already on the map
+      setTrails(prev => (prev[data._id]
+        ? { ...prev, [data._id]: [...prev[data._id], { lat: data.lat, lng: data.lng, timestamp: data.lastUpdated }] }
+        : prev));
+    } else if (type === 'vehicle:created') {
+      if (!isValidCoordinate(data.latitude, data.longitude) || !belongsInList(data)) return;
+      setVehicles(prev => (prev.some(v => v._id === data._id) ? prev : [data, ...prev]));
+    } else if (type === 'vehicle:updated') {
+      applyVehicleChanges(data);
+      if (data.driver !== undefined) applyDriverAssignment(data);
+    } else if (type === 'geofence:event') {
+      setGeofenceEvents(prev => [data, ...prev].slice(0, 50));
+    } else if (type === 'alert:created' || type === 'alert:updated') {
+      applyAlert(data);
+    } else if (type === 'vehicle:deleted') {
+      setVehicles(prev => prev.filter(v => v._id !== data._id));
+      setTrails(prev => {
+        const { [data._id]: removed, ...rest } = prev;
+        return rest;
+      });
+      setSelectedVehicle(prev => (prev?._id === data._id ? null : prev));
     }
+  };
+
+  // Initial load, live event stream, and polling as a fallback while the stream is down
+  useEffect(() => {
+    if (!currentUsername) return;
+
+    fetchVehicles(true);
+    fetchAlerts();
+
+    const unsubscribe = subscribeToVehicleEvents({
+      onEvent: handleVehicleEvent,
+      // Catch up on anything missed while disconnected
+      onOpen: ({ reconnected }) => {
+        if (!reconnected) return;
+        fetchVehicles(false);
+        fetchAlerts();
+      },
+      onStatusChange: (status) => {
+        streamLiveRef.current = status === 'live';
+        setStreamStatus(status);
+      }
+    });
+
+    const interval = setInterval(() => {
+      if (!streamLiveRef.current) fetchVehicles(false);
+    }, 5000);
+
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+      streamLiveRef.current = false;
+    };
   }, [currentUsername]);
 
+  // Drivers are only listed for roles that may see them
+  const canReadDrivers = can('drivers:read');
+  useEffect(() => {
+    if (!currentUsername || !canReadDrivers) {
+      setDrivers([]);
+      return;
+    }
+    api.get('/drivers')
+      .then(response => setDrivers(response.data.drivers))
+      .catch(err => console.error(err));
+  }, [currentUsername, canReadDrivers]);
+
+  // Load trails for the chosen mode, resyncing every minute so old points age out
+  const selectedVehicleId = selectedVehicle?._id;
+  useEffect(() => {
+    setTrailPopup(null);
+    if (!currentUsername || trailMode === 'off' || (trailMode === 'selected' && !selectedVehicleId)) {
+      setTrails({});
+      return;
+    }
+
+    const fetchTrails = async () => {
+      try {
+        const response = await api.get('/vehicles/trails', {
+          params: {
+            since: new Date(Date.now() - TRAIL_WINDOW_MS).toISOString(),
+            vehicle: trailMode === 'selected' ? selectedVehicleId : undefined
+          }
+        });
+        setTrails(Object.fromEntries(response.data.trails.map(t => [t.vehicle, t.points])));
+      } catch (err) {
+        console.error('Failed to fetch trails:', err);
+      }
+    };
+
+    fetchTrails();
+    const interval = setInterval(fetchTrails, 60000);
+    return () => clearInterval(interval);
+  }, [trailMode, selectedVehicleId, currentUsername]);
+
+  // While drawing a geofence, clicks place its center or add polygon points
+  const handleMapClick = (e) => {
+    if (geofenceDraft) {
+      const { lng, lat } = e.lngLat;
+      if (geofenceDraft.shape === 'circle') {
+        setGeofenceDraft({ ...geofenceDraft, center: { lat, lng } });
+      } else {
+        setGeofenceDraft({ ...geofenceDraft, coordinates: [...geofenceDraft.coordinates, [lng, lat]] });
+      }
+      return;
+    }
+
+    // Clicking a trail point shows when the vehicle was there
+    const feature = e.features?.find(f => f.layer.id === TRAIL_POINTS_LAYER);
+    if (!feature) return;
+    const [lng, lat] = feature.geometry.coordinates;
+    setTrailPopup({ lng, lat, ...feature.properties });
+  };
+
+  // Reload the vehicle list once the map settles after a pan or zoom
+  const handleViewChange = (e) => {
+    viewBboxRef.current = boundsToBbox(e.target.getBounds());
+    scheduleVehicleFetch();
+  };
+
+  useEffect(() => () => clearTimeout(viewFetchTimerRef.current), []);
+
+  // Right-clicking the map finds the nearest vehicle to that point, in view or not
+  const handleMapContextMenu = async (e) => {
+    e.originalEvent.preventDefault();
+    if (geofenceDraft) return;
+    const { lng, lat } = e.lngLat;
+    setNearestPopup({ lng, lat, loading: true });
+    try {
+      const response = await api.get('/vehicles/nearby', {
+        params: { lat, lng, radius: NEAREST_SEARCH_RADIUS_KM, limit: 1 }
+      });
+      setNearestPopup(prev => (prev?.lat === lat && prev?.lng === lng
+        ? { lng, lat, vehicle: response.data.vehicles[0] || null }
+        : prev));
+    } catch (err) {
+      setNearestPopup(prev => (prev?.lat === lat && prev?.lng === lng
+        ? { lng, lat, error: getErrorMessage(err, 'Search failed') }
+        : prev));
+    }
+  };
+
+  const showNearestVehicle = (vehicle) => {
+    setNearestPopup(null);
+    setVehicles(prev => (prev.some(v => v._id === vehicle._id) ? prev : [vehicle, ...prev]));
+    handleVehicleSelect(vehicle);
+  };
+
+  // Center the map on a geofence
+  const handleGeofenceFocus = (fence) => {
+    const points = fence.shape === 'circle' ? [[fence.center.lng, fence.center.lat]] : fence.coordinates;
+    const longitude = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+    const latitude = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+    setViewState(prev => ({ ...prev, latitude, longitude, zoom: Math.max(prev.zoom, 11) }));
+  };
+
+  const closeGeofences = () => {
+    setShowGeofences(false);
+    setGeofenceDraft(null);
+  };
+
+  // The geofence, trips, vehicle details and drivers panels share the same spot on the map
+  const toggleGeofences = () => {
+    if (showGeofences) return closeGeofences();
+    setTripsVehicleId(null);
+    setDetailsVehicleId(null);
+    setShowDrivers(false);
+    setShowGeofences(true);
+  };
+
+  const toggleDrivers = () => {
+    if (showDrivers) return setShowDrivers(false);
+    closeGeofences();
+    setTripsVehicleId(null);
+    setDetailsVehicleId(null);
+    setShowDrivers(true);
+  };
+
+  const openTrips = (vehicleId) => {
+    closeGeofences();
+    setDetailsVehicleId(null);
+    setShowDrivers(false);
+    setTripsVehicleId(vehicleId);
+  };
+
+  // The vehicle may have scrolled out of the list while its popup stays open
+  const detailsVehicle = vehicles.find(v => v._id === detailsVehicleId) ||
+    (selectedVehicle?._id === detailsVehicleId ? selectedVehicle : null);
+
+  const openDetails = (vehicleId) => {
+    closeGeofences();
+    setTripsVehicleId(null);
+    setShowDrivers(false);
+    setDetailsVehicleId(vehicleId);
+  };
+
+  const openPlayback = (vehicleId, range = null) => {
+    setPlaybackRange(range);
+    setPlaybackVehicleId(vehicleId);
+  };
+
+  // Jump into a trip: center on where it started and replay it
+  const handleTripSelect = (vehicleId, trip) => {
+    const { lat, lng } = trip.startLocation;
+    setViewState(prev => ({ ...prev, latitude: lat, longitude: lng, zoom: Math.max(prev.zoom, 11) }));
+    openPlayback(vehicleId, {
+      from: new Date(trip.startTime),
+      to: trip.status === 'open' ? new Date() : new Date(trip.endTime)
+    });
+  };
+
   // Vehicle selection
   const handleVehicleSelect = (vehicle) => {
     if (!isValidCoordinate(vehicle.latitude, vehicle.longitude)) return;
@@ -84,7 +505,7 @@ function App() {
     setDeletingVehicleId(vehicleId);
 
     try {
-      const response = await axios.delete(`http://localhost:3000/api/vehicles/${vehicleId}`, { timeout: 10000 });
+      const response = await api.delete(`/vehicles/${vehicleId}`, { timeout: 10000 });
       if (response.data.success) {
         setVehicles(prev => prev.filter(v => v._id !== vehicleId));
         if (selectedVehicle?._id === vehicleId) setSelectedVehicle(null);
@@ -112,8 +533,9 @@ function App() {
 
     setAdding(true);
     try {
-      await axios.post("http://localhost:3000/api/vehicle", { name, lat, lng });
-      setNewVehicle({ name: "", lat: "", lng: "" });
+      const response = await api.post("/vehicle", { name, type: newVehicle.type, lat, lng });
+      setIssuedKey({ vehicleName: name, key: response.data.deviceKey });
+      setNewVehicle({ name: "", type: "car", lat: "", lng: "" });
       setShowAddForm(false);
       fetchVehicles(true);
     } catch (err) {
@@ -124,40 +546,104 @@ function App() {
     }
   };
 
+  // Put a driver in the vehicle, or take its driver out when driverId is empty
+  const handleDriverChange = async (vehicle, driverId) => {
+    try {
+      if (driverId) {
+        await api.post(`/drivers/${driverId}/assignment`, { vehicle: vehicle._id });
+      } else {
+        await api.delete(`/drivers/${vehicle.driver}/assignment`);
+      }
+      const previous = drivers.find(d => d._id === driverId)?.vehicle;
+      if (previous) handleAssignmentChange({ ...previous, driver: null });
+      handleAssignmentChange({ _id: vehicle._id, name: vehicle.name, driver: driverId || null });
+    } catch (err) {
+      alert(getErrorMessage(err, "Error changing driver"));
+    }
+  };
+
+  // Replace a vehicle's device key; its tracker needs the new one to keep reporting
+  const handleRotateKey = async (vehicle) => {
+    if (!window.confirm(`Issue a new device key for "${vehicle.name}"? The current key stops working immediately.`)) return;
+    try {
+      const response = await api.post(`/vehicles/${vehicle._id}/device-key`);
+      setIssuedKey({ vehicleName: vehicle.name, key: response.data.deviceKey });
+    } catch (err) {
+      alert(getErrorMessage(err, "Error issuing device key"));
+    }
+  };
+
+  // Store the session returned by login/register and enter the dashboard
+  const startSession = (data) => {
+    saveSession(data);
+    setAuthError("");
+    setCurrentUser(data.user);
+    setShowRegisterModal(false);
+    setShowLoginModal(false);
+  };
+
   // Login
-  const handleLogin = (e) => {
+  const handleLogin = async (e) => {
     e.preventDefault();
     const { username, password } = loginForm;
-    if (!username || !password) return alert("Enter username and password");
+    if (!username || !password) return setAuthError("Enter username and password");
 
-    // TODO: Replace with backend login call
-    localStorage.setItem("user", username);
-    setCurrentUsername(username);
-    setShowLoginModal(false);
-    fetchVehicles(true);
+    setAuthSubmitting(true);
+    try {
+      const response = await api.post("/users/login", { username, password });
+      setLoginForm({ username: "", password: "" });
+      startSession(response.data);
+    } catch (err) {
+      setAuthError(getErrorMessage(err, "Login failed. Please try again."));
+    } finally {
+      setAuthSubmitting(false);
+    }
   };
 
   // Register
-  const handleRegister = (e) => {
+  const handleRegister = async (e) => {
     e.preventDefault();
-    const { username, password, confirmPassword } = registerForm;
-    if (!username || !password || !confirmPassword) return alert("Fill all fields");
-    if (password !== confirmPassword) return alert("Passwords do not match");
+    const { username, email, organization, password, confirmPassword } = registerForm;
+    if (!username || !email || !password || !confirmPassword) return setAuthError("Fill all fields");
+    if (password !== confirmPassword) return setAuthError("Passwords do not match");
 
-    // TODO: Replace with backend registration call
-    localStorage.setItem("user", username);
-    setCurrentUsername(username);
-    setShowRegisterModal(false);
-    setShowLoginModal(false);
-    fetchVehicles(true);
+    setAuthSubmitting(true);
+    try {
+      const response = await api.post("/users/register", { username, email, organization, password });
+      setRegisterForm({ username: "", email: "", organization: "", password: "", confirmPassword: "" });
+      startSession(response.data);
+    } catch (err) {
+      setAuthError(getErrorMessage(err, "Registration failed. Please try again."));
+    } finally {
+      setAuthSubmitting(false);
+    }
+  };
+
+  // Switch between the login and register modals
+  const openAuthModal = (mode) => {
+    setAuthError("");
+    setShowRegisterModal(mode === "register");
+    setShowLoginModal(mode === "login");
   };
 
   // Logout
-  const handleLogout = () => {
-    setCurrentUsername("");
-    localStorage.removeItem("user");
+  const handleLogout = async () => {
+    const refreshToken = getSession()?.refreshToken;
+    if (refreshToken) {
+      // Best effort: the local session is cleared even if the server is unreachable
+      api.post("/users/logout", { refreshToken }).catch(err => console.error(err));
+    }
+    clearSession();
+    setCurrentUser(null);
     setVehicles([]);
     setSelectedVehicle(null);
+    setPlaybackVehicleId(null);
+    setTripsVehicleId(null);
+    setShowDrivers(false);
+    closeGeofences();
+    setShowAlerts(false);
+    setAlerts([]);
+    setOpenAlertCount(0);
     setShowLoginModal(true);
   };
 
@@ -172,19 +658,20 @@ function App() {
         <div className="modal-overlay">
           <div className="modal">
             <h2>Login</h2>
+            {authError && <div className="auth-error">{authError}</div>}
             <form onSubmit={handleLogin}>
               <input 
-                type="text" placeholder="Username" value={loginForm.username} 
+                type="text" placeholder="Username or email" value={loginForm.username} 
                 onChange={e => setLoginForm({ ...loginForm, username: e.target.value })} required 
               />
               <input 
                 type="password" placeholder="Password" value={loginForm.password} 
                 onChange={e => setLoginForm({ ...loginForm, password: e.target.value })} required 
               />
-              <button type="submit">Login</button>
+              <button type="submit" disabled={authSubmitting}>{authSubmitting ? "Logging in..." : "Login"}</button>
             </form>
             <p>Don't have an account? 
-              <span className="modal-link" onClick={() => { setShowRegisterModal(true); setShowLoginModal(false); }}> Register</span>
+              <span className="modal-link" onClick={() => openAuthModal("register")}> Register</span>
             </p>
           </div>
         </div>
@@ -195,23 +682,32 @@ function App() {
         <div className="modal-overlay">
           <div className="modal">
             <h2>Register</h2>
+            {authError && <div className="auth-error">{authError}</div>}
             <form onSubmit={handleRegister}>
               <input 
                 type="text" placeholder="Username" value={registerForm.username} 
                 onChange={e => setRegisterForm({ ...registerForm, username: e.target.value })} required 
               />
               <input 
-                type="password" placeholder="Password" value={registerForm.password} 
+                type="email" placeholder="Email" value={registerForm.email} 
+                onChange={e => setRegisterForm({ ...registerForm, email: e.target.value })} required 
+              />
+              <input 
+                type="text" placeholder="New organization (optional)" value={registerForm.organization} 
+                onChange={e => setRegisterForm({ ...registerForm, organization: e.target.value })} 
+              />
+              <input 
+                type="password" placeholder="Password (at least 6 characters)" value={registerForm.password} 
                 onChange={e => setRegisterForm({ ...registerForm, password: e.target.value })} required 
               />
               <input 
                 type="password" placeholder="Confirm Password" value={registerForm.confirmPassword} 
                 onChange={e => setRegisterForm({ ...registerForm, confirmPassword: e.target.value })} required 
               />
-              <button type="submit">Register</button>
+              <button type="submit" disabled={authSubmitting}>{authSubmitting ? "Registering..." : "Register"}</button>
             </form>
             <p>Already have an account? 
-              <span className="modal-link" onClick={() => { setShowLoginModal(true); setShowRegisterModal(false); }}> Login</span>
+              <span className="modal-link" onClick={() => openAuthModal("login")}> Login</span>
             </p>
           </div>
         </div>
@@ -225,7 +721,19 @@ function App() {
             <h2 className="dashboard-title">Real-Time Vehicle Tracking Dashboard</h2>
             <p className="dashboard-subtitle">Tracking {vehicles.length} vehicles</p>
             <div className="auth-buttons">
-              <span className="welcome-text">Welcome, {currentUsername}</span>
+              {vehicles.length > 0 && (
+                <>
+                  <button className="button" onClick={() => openPlayback(selectedVehicle?._id || vehicles[0]._id)}>⏵ Playback</button>
+                  <button className="button" onClick={() => (tripsVehicleId ? setTripsVehicleId(null) : openTrips(selectedVehicle?._id || vehicles[0]._id))}>⇢ Trips</button>
+                </>
+              )}
+              <button className="button" onClick={toggleGeofences}>⬡ Geofences</button>
+              {can('drivers:read') && <button className="button" onClick={toggleDrivers}>☺ Drivers</button>}
+              <button className="button alert-bell" onClick={() => setShowAlerts(!showAlerts)} aria-label="Alerts">
+                <FaBell />
+                {openAlertCount > 0 && <span className="alert-badge">{openAlertCount > 99 ? '99+' : openAlertCount}</span>}
+              </button>
+              <span className="welcome-text">Welcome, {currentUsername}{currentUser?.role ? ` (${currentUser.role})` : ''}</span>
               <button className="button logout" onClick={handleLogout}>Logout</button>
             </div>
           </div>
@@ -233,14 +741,22 @@ function App() {
           {/* Sidebar */}
           <div className="vehicle-sidebar">
             <h3 className="sidebar-title">
-              <FaCar style={{ marginRight: '6px', color: '#007bff' }} /> Active Vehicles
-              <button onClick={() => setShowAddForm(!showAddForm)} style={{ marginLeft: "10px" }}>＋ Add Vehicle</button>
+              <FaCar style={{ marginRight: '6px', color: '#007bff' }} /> Vehicles in View
+              {can('vehicles:create') && (
+                <>
+                  <button onClick={() => setShowAddForm(!showAddForm)} style={{ marginLeft: "10px" }}>＋ Add Vehicle</button>
+                  <button onClick={() => setShowImport(!showImport)} style={{ marginLeft: "6px" }}>⇪ Import</button>
+                </>
+              )}
             </h3>
 
-            {showAddForm && (
+            {showAddForm && can('vehicles:create') && (
               <form onSubmit={handleAddVehicle} className="add-vehicle-form">
                 <input type="text" placeholder="Vehicle Name" value={newVehicle.name} 
                   onChange={e => setNewVehicle({ ...newVehicle, name: e.target.value })} required />
+                <select value={newVehicle.type} onChange={e => setNewVehicle({ ...newVehicle, type: e.target.value })} aria-label="Vehicle type">
+                  {VEHICLE_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+                </select>
                 <input type="number" step="any" placeholder="Latitude" value={newVehicle.lat} 
                   onChange={e => setNewVehicle({ ...newVehicle, lat: e.target.value })} required />
                 <input type="number" step="any" placeholder="Longitude" value={newVehicle.lng} 
@@ -249,8 +765,21 @@ function App() {
               </form>
             )}
 
+            {issuedKey && (
+              <div className="device-key-notice">
+                <div>Device key for <strong>{issuedKey.vehicleName}</strong>. Copy it now; it won't be shown again.</div>
+                <code>{issuedKey.key}</code>
+                <button onClick={() => setIssuedKey(null)}>Done</button>
+              </div>
+            )}
+
+            <VehicleFilters query={vehicleQuery} onChange={handleVehicleQueryChange} />
+            <div className="vehicle-count">
+              {vehicles.length < vehiclePage.total ? `${vehicles.length} of ${vehiclePage.total}` : vehiclePage.total} vehicles
+            </div>
+
             {vehicles.length === 0 ? (
-              <div className="no-vehicles">No vehicles available with valid coordinates</div>
+              <div className="no-vehicles">No matching vehicles in this part of the map</div>
             ) : (
               vehicles.map(vehicle => (
                 <div 
@@ -259,41 +788,85 @@ function App() {
                   onClick={() => handleVehicleSelect(vehicle)}
                 >
                   {/* Remove button positioned in top right */}
-                  <button 
-                    className="vehicle-remove-btn"
-                    onClick={e => handleRemoveVehicle(vehicle._id, vehicle.name, e)} 
-                    disabled={deletingVehicleId === vehicle._id}
-                    title={`Remove ${vehicle.name}`}
-                    aria-label={`Remove ${vehicle.name}`}
-                  >
-                    {deletingVehicleId === vehicle._id ? '⟳' : '×'}
-                  </button>
+                  {can('vehicles:delete') && (
+                    <button 
+                      className="vehicle-remove-btn"
+                      onClick={e => handleRemoveVehicle(vehicle._id, vehicle.name, e)} 
+                      disabled={deletingVehicleId === vehicle._id}
+                      title={`Remove ${vehicle.name}`}
+                      aria-label={`Remove ${vehicle.name}`}
+                    >
+                      {deletingVehicleId === vehicle._id ? '⟳' : '×'}
+                    </button>
+                  )}
                   
                   {/* Vehicle content with padding to avoid overlap */}
                   <div className="vehicle-content">
                     <div className="vehicle-name">
-                      <FaCar style={{ marginRight: '6px' }}/> 
+                      <VehicleIcon vehicle={vehicle} className="vehicle-list-icon" />
                       {vehicle.name}
+                      {vehicle.status && <span className={`vehicle-status ${vehicle.status}`}>{vehicle.status}</span>}
+                      <MaintenanceBadge state={vehicle.maintenance} />
                     </div>
                     <div className="vehicle-coordinates">
                       Lat: {vehicle.latitude?.toFixed(4)}, Lng: {vehicle.longitude?.toFixed(4)}
                     </div>
+                    <div className="vehicle-motion">
+                      {formatSpeed(vehicle.speed)} · {formatHeading(vehicle.heading)} · {formatDistance(vehicle.odometer)}
+                    </div>
                     <div className="vehicle-time">
                       {vehicle.lastActive ? format(vehicle.lastActive) : 'Unknown'}
                     </div>
+                    {(vehicle.group || vehicle.tags?.length > 0) && (
+                      <div className="vehicle-tags">
+                        {vehicle.group && <span className="vehicle-group">{vehicle.group}</span>}
+                        {vehicle.tags.map(tag => <span key={tag} className="vehicle-tag">{tag}</span>)}
+                      </div>
+                    )}
+                    {selectedVehicle?._id === vehicle._id && <TrackExport vehicle={vehicle} />}
                   </div>
                 </div>
               ))
             )}
+
+            {vehiclePage.nextCursor && (
+              <button className="load-more" onClick={loadMoreVehicles} disabled={loadingMoreVehicles}>
+                {loadingMoreVehicles ? 'Loading...' : 'Load more'}
+              </button>
+            )}
           </div>
 
           {/* Map */}
           <div className="map-container">
-            <Map {...viewState} onMove={evt => setViewState(evt.viewState)} style={{ width: "100%", height: "100%" }} mapStyle="https://demotiles.maplibre.org/style.json">
+            <div className="map-toggles">
+              <span>Trails:</span>
+              {['off', 'selected', 'all'].map(mode => (
+                <button key={mode} className={trailMode === mode ? 'active' : ''} onClick={() => setTrailMode(mode)}>
+                  {mode.charAt(0).toUpperCase() + mode.slice(1)}
+                </button>
+              ))}
+            </div>
+            <Map
+              {...viewState} onMove={evt => setViewState(evt.viewState)} style={{ width: "100%", height: "100%" }} mapStyle="https://demotiles.maplibre.org/style.json"
+              interactiveLayerIds={trailMode !== 'off' ? [TRAIL_POINTS_LAYER] : []} onClick={handleMapClick}
+              onLoad={handleViewChange} onMoveEnd={handleViewChange} onContextMenu={handleMapContextMenu}
+              cursor={geofenceDraft ? 'crosshair' : undefined}
+            >
+              {showGeofences && <GeofenceLayer geofences={geofences} draft={geofenceDraft} onDraftChange={setGeofenceDraft} />}
+              {trailMode !== 'off' && <VehicleTrails trails={trails} vehicles={vehicles} />}
               {vehicles.map(vehicle => (
                 <Marker key={vehicle._id} longitude={vehicle.longitude} latitude={vehicle.latitude} anchor="center">
-                  <div onClick={() => handleVehicleSelect(vehicle)}>
-                    <FaCarSide className={`car-icon ${selectedVehicle?._id === vehicle._id ? 'selected' : ''}`} style={{ fontSize: `${Math.max(20, viewState.zoom * 2)}px` }} />
+                  <div className="marker-body" onClick={() => handleVehicleSelect(vehicle)}>
+                    <VehicleIcon
+                      vehicle={vehicle}
+                      className="car-icon"
+                      size={`${Math.max(20, viewState.zoom * 2)}px`}
+                      selected={selectedVehicle?._id === vehicle._id}
+                      showHeading
+                    />
+                    {vehicle.maintenance && vehicle.maintenance !== 'ok' && (
+                      <span className={`marker-maintenance ${vehicle.maintenance}`} title={`Maintenance ${vehicle.maintenance}`}>🔧</span>
+                    )}
                   </div>
                 </Marker>
               ))}
@@ -301,17 +874,163 @@ function App() {
                 <Popup longitude={selectedVehicle.longitude} latitude={selectedVehicle.latitude} anchor="top" closeButton onClose={() => setSelectedVehicle(null)}>
                   <div>
                     <div><strong>{selectedVehicle.name}</strong></div>
+                    {selectedVehicle.plateNumber && <div>Plate: {selectedVehicle.plateNumber}</div>}
+                    {can('drivers:read') && (
+                      <div>Driver: {drivers.find(d => d._id === selectedVehicle.driver)?.name || 'None'}</div>
+                    )}
                     <div>Coordinates: {selectedVehicle.latitude.toFixed(6)}, {selectedVehicle.longitude.toFixed(6)}</div>
+                    <div>Speed: {formatSpeed(selectedVehicle.speed)}</div>
+                    <div>Heading: {formatHeading(selectedVehicle.heading)}</div>
+                    <div>Total distance: {formatDistance(selectedVehicle.odometer)}</div>
+                    {selectedVehicle.maintenance && selectedVehicle.maintenance !== 'ok' && (
+                      <div>Maintenance: <MaintenanceBadge state={selectedVehicle.maintenance} /></div>
+                    )}
                     <div>Last Active: {selectedVehicle.lastActive ? format(selectedVehicle.lastActive) : 'Unknown'}</div>
+                    <button className="popup-action" onClick={() => openPlayback(selectedVehicle._id)}>⏵ Replay history</button>
+                    <button className="popup-action" onClick={() => openTrips(selectedVehicle._id)}>⇢ Trips</button>
+                    <button className="popup-action" onClick={() => openDetails(selectedVehicle._id)}>ℹ Details</button>
+                    {can('drivers:manage') && (
+                      <select
+                        className="popup-driver"
+                        value={selectedVehicle.driver || ''}
+                        onChange={e => handleDriverChange(selectedVehicle, e.target.value)}
+                        aria-label="Driver"
+                      >
+                        <option value="">No driver</option>
+                        {drivers.map(d => <option key={d._id} value={d._id}>{d.name}{d.vehicle && d.vehicle._id !== selectedVehicle._id ? ` (in ${d.vehicle.name})` : ''}</option>)}
+                      </select>
+                    )}
+                    {can('vehicles:update') && (
+                      <button className="popup-action" onClick={() => handleRotateKey(selectedVehicle)}>
+                        ⚿ New device key
+                      </button>
+                    )}
+                  </div>
+                </Popup>
+              )}
+              {trailPopup && (
+                <Popup longitude={trailPopup.lng} latitude={trailPopup.lat} anchor="bottom" closeButton onClose={() => setTrailPopup(null)}>
+                  <div>
+                    <div><strong>{trailPopup.vehicleName}</strong></div>
+                    <div>{new Date(trailPopup.timestamp).toLocaleString()}</div>
+                    <div>{format(trailPopup.timestamp)}</div>
+                  </div>
+                </Popup>
+              )}
+              {nearestPopup && (
+                <Popup longitude={nearestPopup.lng} latitude={nearestPopup.lat} anchor="bottom" closeButton onClose={() => setNearestPopup(null)}>
+                  <div className="nearest-popup">
+                    {nearestPopup.loading && <div>Finding nearest vehicle...</div>}
+                    {nearestPopup.error && <div className="panel-error">{nearestPopup.error}</div>}
+                    {nearestPopup.vehicle === null && <div>No vehicles within {NEAREST_SEARCH_RADIUS_KM} km</div>}
+                    {nearestPopup.vehicle && (
+                      <>
+                        <div>Nearest vehicle: <strong>{nearestPopup.vehicle.name}</strong></div>
+                        <div>{formatDistance(nearestPopup.vehicle.distance)} away</div>
+                        <button className="popup-action" onClick={() => showNearestVehicle(nearestPopup.vehicle)}>⌖ Show vehicle</button>
+                      </>
+                    )}
                   </div>
                 </Popup>
               )}
+              {playbackFrame && (
+                <>
+                  <Source id="playback-track" type="geojson" data={playbackTrackGeoJson}>
+                    <Layer id="playback-track-line" type="line" paint={{ 'line-color': '#e67e22', 'line-width': 3, 'line-opacity': 0.6 }} />
+                  </Source>
+                  <Marker longitude={playbackFrame.position.lng} latitude={playbackFrame.position.lat} anchor="center">
+                    <div className="playback-marker" title={playbackFrame.vehicleName}>
+                      <FaCarSide
+                        style={{ fontSize: `${Math.max(20, viewState.zoom * 2)}px`, transform: carIconTransform(playbackFrame.position.heading) }}
+                      />
+                    </div>
+                  </Marker>
+                </>
+              )}
             </Map>
           </div>
 
+          {showGeofences && (
+            <GeofencePanel
+              geofences={geofences}
+              setGeofences={setGeofences}
+              draft={geofenceDraft}
+              setDraft={setGeofenceDraft}
+              events={geofenceEvents}
+              setEvents={setGeofenceEvents}
+              canManage={can('geofences:manage')}
+              onFocus={handleGeofenceFocus}
+              onClose={closeGeofences}
+            />
+          )}
+
+          {showAlerts && (
+            <AlertInbox
+              alerts={alerts}
+              canManage={can('alerts:manage')}
+              onUpdated={applyAlert}
+              onSelectVehicle={(vehicleId) => {
+                const vehicle = vehicles.find(v => v._id === vehicleId);
+                if (vehicle) handleVehicleSelect(vehicle);
+              }}
+              onClose={() => setShowAlerts(false)}
+            />
+          )}
+
+          {showImport && can('vehicles:create') && (
+            <ImportPanel onImported={() => fetchVehicles()} onClose={() => setShowImport(false)} />
+          )}
+
+          {detailsVehicle && (
+            <VehiclePanel
+              key={detailsVehicle._id}
+              vehicle={detailsVehicle}
+              canEdit={can('vehicles:update')}
+              canReadMaintenance={can('maintenance:read')}
+              canManageMaintenance={can('maintenance:manage')}
+              onSaved={applyVehicleChanges}
+              onClose={() => setDetailsVehicleId(null)}
+            />
+          )}
+
+          {showDrivers && (
+            <DriversPanel
+              drivers={drivers}
+              setDrivers={setDrivers}
+              vehicles={vehicles}
+              canManage={can('drivers:manage')}
+              onAssignmentChange={handleAssignmentChange}
+              onSelectTrip={handleTripSelect}
+              onClose={() => setShowDrivers(false)}
+            />
+          )}
+
+          {tripsVehicleId && (
+            <TripsPanel
+              key={tripsVehicleId}
+              vehicles={vehicles}
+              initialVehicleId={tripsVehicleId}
+              onSelectTrip={handleTripSelect}
+              onClose={() => setTripsVehicleId(null)}
+            />
+          )}
+
+          {playbackVehicleId && (
+            <PlaybackPanel
+              key={`${playbackVehicleId}-${playbackRange?.from.getTime() ?? 'manual'}`}
+              vehicles={vehicles}
+              initialVehicleId={playbackVehicleId}
+              initialRange={playbackRange}
+              onFrame={setPlaybackFrame}
+              onClose={() => setPlaybackVehicleId(null)}
+            />
+          )}
+
           {/* Status Indicator */}
           <div className={`status-indicator ${vehicles.length > 0 ? 'active' : 'waiting'}`}>
-            {vehicles.length > 0 ? '● Live Tracking Active' : '● Waiting for Vehicles'}
+            {vehicles.length === 0
+              ? '● Waiting for Vehicles'
+              : streamStatus === 'live' ? '● Live Tracking Active' : '● Reconnecting (polling every 5s)'}
           </div>
         </>
       )}
@@ -0,0 +1,101 @@
+import axios from 'axios';
+
+export const API_URL = 'http://localhost:3000/api';
+
+const SESSION_KEY = 'session';
+
+// Shared axios instance: every request carries the access token
+const api = axios.create({ baseURL: API_URL });
+
+// Session = { accessToken, refreshToken, user } persisted across reloads
+export const getSession = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = ({ accessToken, refreshToken, user }) => {
+  localStorage.setItem(SESSION_KEY, JSON.stringify({ accessToken, refreshToken, user }));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(SESSION_KEY);
+  // Username-only key from before the backend issued tokens
+  localStorage.removeItem('user');
+};
+
+// App registers a callback so a dead session sends the user back to the login modal
+let sessionExpiredHandler = null;
+export const onSessionExpired = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+api.interceptors.request.use(config => {
+  const session = getSession();
+  if (session?.accessToken) {
+    config.headers.Authorization = `Bearer ${session.accessToken}`;
+  }
+  return config;
+});
+
+// Concurrent 401s share one refresh call so the refresh token is only rotated once
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    const session = getSession();
+    refreshPromise = axios.post(`${API_URL}/users/refresh`, { refreshToken: session?.refreshToken })
+      .then(response => {
+        saveSession(response.data);
+        return response.data;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+api.interceptors.response.use(null, async (error) => {
+  const { config, response } = error;
+  // File downloads (responseType 'blob') get their JSON error bodies as blobs too
+  if (response?.data instanceof Blob && response.data.type.includes('json')) {
+    try {
+      response.data = JSON.parse(await response.data.text());
+    } catch {
+      response.data = null;
+    }
+  }
+  // Without a session (e.g. a failed login) there is nothing to refresh or expire
+  if (response?.status !== 401 || !getSession()) throw error;
+
+  if (response.data?.code === 'TOKEN_EXPIRED' && getSession().refreshToken && !config._retried) {
+    config._retried = true;
+    try {
+      const { accessToken } = await refreshSession();
+      config.headers.Authorization = `Bearer ${accessToken}`;
+      return api(config);
+    } catch (refreshError) {
+      console.error('Session refresh failed:', refreshError);
+    }
+  }
+
+  clearSession();
+  if (sessionExpiredHandler) sessionExpiredHandler();
+  throw error;
+});
+
+// Prefer the backend's own validation message over axios' generic one
+export const getErrorMessage = (err, fallback = 'Something went wrong. Please try again.') => {
+  if (err.response?.data) {
+    return err.response.data.message || err.response.data.error || fallback;
+  }
+  if (err.code === 'ERR_NETWORK') {
+    return 'Cannot connect to server. Please ensure the backend server is running.';
+  }
+  return fallback;
+};
+
+export default api;
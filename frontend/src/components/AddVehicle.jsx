@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import axios from 'axios';
+import api from '../api';
 import './AddVehicle.css';
 
 const AddVehicle = ({ showAddVehicle, setShowAddVehicle, currentUsername, onVehicleAdded }) => {
@@ -83,7 +83,7 @@ const AddVehicle = ({ showAddVehicle, setShowAddVehicle, currentUsername, onVehi
       console.log('Sending vehicle data:', vehicleData);
 
       // Use the correct endpoint that matches your backend
-      const response = await axios.post('http://localhost:3000/api/vehicle', vehicleData, {
+      const response = await api.post('/vehicle', vehicleData, {
         timeout: 10000,
         headers: {
           'Content-Type': 'application/json'
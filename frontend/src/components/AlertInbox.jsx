@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { format } from 'timeago.js';
+import api, { getErrorMessage } from '../api';
+
+const FILTERS = ['open', 'acknowledged', 'resolved', 'all'];
+
+// Alert inbox. App owns the alert list (stream events update it); this panel
+// filters it and sends acknowledge/resolve actions, reporting results via onUpdated.
+const AlertInbox = ({ alerts, canManage, onUpdated, onSelectVehicle, onClose }) => {
+  const [filter, setFilter] = useState('open');
+  const [busyId, setBusyId] = useState(null);
+  const [panelError, setPanelError] = useState('');
+
+  const visible = filter === 'all' ? alerts : alerts.filter(a => a.status === filter);
+
+  const changeStatus = async (alert, action) => {
+    setBusyId(alert._id);
+    setPanelError('');
+    try {
+      const response = await api.post(`/alerts/${alert._id}/${action}`);
+      onUpdated(response.data.alert);
+    } catch (err) {
+      setPanelError(getErrorMessage(err, `Failed to ${action} alert`));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="alert-panel">
+      <div className="panel-header">
+        <h4>Alerts</h4>
+        <button className="panel-close" onClick={onClose} aria-label="Close alerts">×</button>
+      </div>
+
+      <div className="alert-filters">
+        {FILTERS.map(f => (
+          <button key={f} className={filter === f ? 'active' : ''} onClick={() => setFilter(f)}>
+            {f[0].toUpperCase() + f.slice(1)}
+          </button>
+        ))}
+      </div>
+
+      {panelError && <div className="panel-error">{panelError}</div>}
+
+      <div className="alert-list">
+        {visible.length === 0 ? (
+          <div className="no-vehicles">No {filter === 'all' ? '' : `${filter} `}alerts</div>
+        ) : visible.map(alert => (
+          <div key={alert._id} className={`alert-item ${alert.status}`}>
+            <div className="alert-message" onClick={() => onSelectVehicle(alert.vehicle)}>{alert.message}</div>
+            <div className="alert-meta">
+              <span>{alert.ruleName}</span>
+              <span title={new Date(alert.triggeredAt).toLocaleString()}>{format(alert.triggeredAt)}</span>
+              {alert.delivery?.status === 'failed' && <span className="alert-delivery-failed">webhook failed</span>}
+            </div>
+            {canManage && alert.status !== 'resolved' && (
+              <div className="alert-actions">
+                {alert.status === 'open' && (
+                  <button disabled={busyId === alert._id} onClick={() => changeStatus(alert, 'acknowledge')}>Acknowledge</button>
+                )}
+                <button disabled={busyId === alert._id} onClick={() => changeStatus(alert, 'resolve')}>Resolve</button>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default AlertInbox;
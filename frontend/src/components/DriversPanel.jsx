@@ -0,0 +1,218 @@
+import React, { useEffect, useState } from 'react';
+import api, { getErrorMessage } from '../api';
+import { formatDistance } from '../motion';
+import { formatDuration, formatTime } from './TripsPanel';
+
+const EMPTY_FORM = { name: '', licenseNumber: '', phone: '', photo: '' };
+
+const toForm = (driver) => ({
+  _id: driver._id,
+  name: driver.name,
+  licenseNumber: driver.licenseNumber || '',
+  phone: driver.phone || '',
+  photo: driver.photo || ''
+});
+
+// Drivers, their details and the trips they drove. App owns the driver list (the
+// vehicle popup shows who is driving); onAssignmentChange receives
+// { _id, name, driver } for a vehicle whose driver changed, as the stream sends it.
+const DriversPanel = ({ drivers, setDrivers, vehicles, canManage, onAssignmentChange, onSelectTrip, onClose }) => {
+  const [driverId, setDriverId] = useState(null);
+  const [form, setForm] = useState(null);
+  const [assignVehicleId, setAssignVehicleId] = useState('');
+  const [driverTrips, setDriverTrips] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    api.get('/drivers')
+      .then(response => setDrivers(response.data.drivers))
+      .catch(err => setPanelError(getErrorMessage(err, 'Failed to load drivers')));
+  }, [setDrivers]);
+
+  useEffect(() => {
+    setDriverTrips(null);
+    if (!driverId) return;
+    api.get(`/drivers/${driverId}/trips`)
+      .then(response => setDriverTrips(response.data))
+      .catch(err => setPanelError(getErrorMessage(err, 'Failed to load trips')));
+  }, [driverId]);
+
+  const driver = drivers.find(d => d._id === driverId);
+
+  const openDriver = (id) => {
+    setPanelError('');
+    setForm(null);
+    setAssignVehicleId('');
+    setDriverId(id);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const { _id, ...body } = form;
+    setSaving(true);
+    setPanelError('');
+    try {
+      if (_id) {
+        const response = await api.put(`/drivers/${_id}`, body);
+        setDrivers(prev => prev.map(d => (d._id === _id ? response.data.driver : d)));
+      } else {
+        const response = await api.post('/drivers', body);
+        setDrivers(prev => [...prev, response.data.driver].sort((a, b) => a.name.localeCompare(b.name)));
+      }
+      setForm(null);
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to save driver'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete driver "${driver.name}"? Their trips stay attributed to them.`)) return;
+    try {
+      await api.delete(`/drivers/${driver._id}`);
+      if (driver.vehicle) onAssignmentChange({ ...driver.vehicle, driver: null });
+      setDrivers(prev => prev.filter(d => d._id !== driver._id));
+      setDriverId(null);
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to delete driver'));
+    }
+  };
+
+  const handleAssign = async () => {
+    const vehicle = vehicles.find(v => v._id === assignVehicleId);
+    if (!vehicle) return;
+    setPanelError('');
+    try {
+      await api.post(`/drivers/${driver._id}/assignment`, { vehicle: vehicle._id });
+      if (driver.vehicle) onAssignmentChange({ ...driver.vehicle, driver: null });
+      onAssignmentChange({ _id: vehicle._id, name: vehicle.name, driver: driver._id });
+      setAssignVehicleId('');
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to assign driver'));
+    }
+  };
+
+  const handleUnassign = async () => {
+    setPanelError('');
+    try {
+      await api.delete(`/drivers/${driver._id}/assignment`);
+      onAssignmentChange({ ...driver.vehicle, driver: null });
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to unassign driver'));
+    }
+  };
+
+  const renderForm = () => (
+    <form onSubmit={handleSave} className="vehicle-form">
+      <label>
+        Name
+        <input type="text" value={form.name} maxLength={80} onChange={e => setForm({ ...form, name: e.target.value })} required />
+      </label>
+      <label>
+        License number
+        <input type="text" value={form.licenseNumber} maxLength={40} onChange={e => setForm({ ...form, licenseNumber: e.target.value })} />
+      </label>
+      <label>
+        Phone
+        <input type="tel" value={form.phone} maxLength={30} onChange={e => setForm({ ...form, phone: e.target.value })} />
+      </label>
+      <label>
+        Photo URL
+        <input type="url" value={form.photo} maxLength={500} placeholder="https://..." onChange={e => setForm({ ...form, photo: e.target.value })} />
+      </label>
+      <div className="geofence-form-actions">
+        <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+        <button type="button" onClick={() => setForm(null)} disabled={saving}>Cancel</button>
+      </div>
+    </form>
+  );
+
+  const renderDriver = () => (
+    <>
+      <div className="driver-detail">
+        {driver.photo && <img src={driver.photo} alt="" className="driver-photo" />}
+        <dl className="vehicle-profile">
+          <dt>License</dt><dd>{driver.licenseNumber || '—'}</dd>
+          <dt>Phone</dt><dd>{driver.phone || '—'}</dd>
+          <dt>Driving</dt><dd>{driver.vehicle ? driver.vehicle.name : '—'}</dd>
+        </dl>
+      </div>
+
+      {canManage && (
+        <div className="geofence-actions">
+          <select value={assignVehicleId} onChange={e => setAssignVehicleId(e.target.value)} aria-label="Vehicle to assign">
+            <option value="">Assign to vehicle...</option>
+            {vehicles.filter(v => v._id !== driver.vehicle?._id).map(v => <option key={v._id} value={v._id}>{v.name}</option>)}
+          </select>
+          <button onClick={handleAssign} disabled={!assignVehicleId}>Assign</button>
+          {driver.vehicle && <button onClick={handleUnassign}>Unassign</button>}
+        </div>
+      )}
+      {canManage && (
+        <div className="geofence-actions">
+          <button onClick={() => setForm(toForm(driver))}>✎ Edit</button>
+          <button onClick={handleDelete}>Delete</button>
+        </div>
+      )}
+
+      <h5 className="geofence-feed-title">Trips</h5>
+      {!driverTrips ? (
+        <div className="no-vehicles">Loading trips...</div>
+      ) : (
+        <>
+          <div className="driver-summary">
+            {driverTrips.summary.count} trips · {formatDistance(driverTrips.summary.distance)} · {formatDuration(driverTrips.summary.duration)}
+          </div>
+          {driverTrips.trips.length === 0 && <div className="no-vehicles">No trips driven yet</div>}
+          {driverTrips.trips.map(trip => (
+            <div key={trip._id} className={`trip-item ${trip.status}`} onClick={() => onSelectTrip(trip.vehicle, trip)}>
+              <div className="trip-times">
+                {formatTime(trip.startTime)} → {trip.status === 'open' ? 'now' : formatTime(trip.endTime)}
+              </div>
+              <div className="trip-stats">
+                <span>{trip.vehicleName}</span>
+                <span>{formatDistance(trip.distance)}</span>
+                <span>{formatDuration(trip.duration)}</span>
+              </div>
+            </div>
+          ))}
+        </>
+      )}
+    </>
+  );
+
+  return (
+    <div className="drivers-panel">
+      <div className="panel-header">
+        <h4>
+          {driver && <button className="driver-back" onClick={() => openDriver(null)} aria-label="All drivers">‹</button>}
+          {driver ? driver.name : 'Drivers'}
+        </h4>
+        <button className="panel-close" onClick={onClose} aria-label="Close drivers">×</button>
+      </div>
+
+      {panelError && <div className="panel-error">{panelError}</div>}
+
+      {form ? renderForm() : driver ? renderDriver() : (
+        <>
+          {canManage && (
+            <div className="geofence-actions">
+              <button onClick={() => setForm(EMPTY_FORM)}>＋ Add driver</button>
+            </div>
+          )}
+          {drivers.length === 0 && <div className="no-vehicles">No drivers yet</div>}
+          {drivers.map(d => (
+            <div key={d._id} className="geofence-item">
+              <span className="geofence-name" onClick={() => openDriver(d._id)}>{d.name}</span>
+              <span className="geofence-shape">{d.vehicle ? d.vehicle.name : 'Unassigned'}</span>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DriversPanel;
@@ -0,0 +1,87 @@
+import React, { useMemo } from 'react';
+import { Source, Layer, Marker } from 'react-map-gl/maplibre';
+
+const EARTH_RADIUS_M = 6371008.8;
+const CIRCLE_STEPS = 64;
+const DRAFT_COLOR = '#e74c3c';
+
+// Approximate a circle (center + radius in meters) as a closed GeoJSON ring
+export const circleRing = ({ lat, lng }, radius) => {
+  const angular = radius / EARTH_RADIUS_M;
+  const latRad = lat * Math.PI / 180;
+  const lngRad = lng * Math.PI / 180;
+  const ring = [];
+
+  for (let i = 0; i <= CIRCLE_STEPS; i++) {
+    const bearing = (i / CIRCLE_STEPS) * 2 * Math.PI;
+    const pointLat = Math.asin(
+      Math.sin(latRad) * Math.cos(angular) + Math.cos(latRad) * Math.sin(angular) * Math.cos(bearing)
+    );
+    const pointLng = lngRad + Math.atan2(
+      Math.sin(bearing) * Math.sin(angular) * Math.cos(latRad),
+      Math.cos(angular) - Math.sin(latRad) * Math.sin(pointLat)
+    );
+    ring.push([pointLng * 180 / Math.PI, pointLat * 180 / Math.PI]);
+  }
+  return ring;
+};
+
+// Polygon feature for a saved fence or an in-progress draft (null until drawable)
+const fenceFeature = (fence, color) => {
+  let ring;
+  if (fence.shape === 'circle') {
+    if (!fence.center || !(fence.radius > 0)) return null;
+    ring = circleRing(fence.center, fence.radius);
+  } else {
+    if (!fence.coordinates || fence.coordinates.length < 2) return null;
+    ring = [...fence.coordinates, fence.coordinates[0]];
+  }
+  return {
+    type: 'Feature',
+    geometry: { type: 'Polygon', coordinates: [ring] },
+    properties: { name: fence.name, color }
+  };
+};
+
+// Saved geofences plus the fence being drawn/edited, whose handles can be dragged.
+// Must be rendered inside <Map>.
+const GeofenceLayer = ({ geofences, draft, onDraftChange }) => {
+  const data = useMemo(() => ({
+    type: 'FeatureCollection',
+    features: [
+      // The fence being edited is drawn from the draft instead
+      ...geofences.filter(f => f._id !== draft?._id).map(f => fenceFeature(f, f.color)),
+      draft && fenceFeature(draft, DRAFT_COLOR)
+    ].filter(Boolean)
+  }), [geofences, draft]);
+
+  const moveVertex = (index, { lng, lat }) => {
+    const coordinates = draft.coordinates.map((point, i) => (i === index ? [lng, lat] : point));
+    onDraftChange({ ...draft, coordinates });
+  };
+
+  return (
+    <>
+      <Source id="geofences" type="geojson" data={data}>
+        <Layer id="geofence-fill" type="fill" paint={{ 'fill-color': ['get', 'color'], 'fill-opacity': 0.15 }} />
+        <Layer id="geofence-outline" type="line" paint={{ 'line-color': ['get', 'color'], 'line-width': 2 }} />
+      </Source>
+
+      {draft?.shape === 'circle' && draft.center && (
+        <Marker
+          longitude={draft.center.lng} latitude={draft.center.lat} draggable
+          onDragEnd={e => onDraftChange({ ...draft, center: { lat: e.lngLat.lat, lng: e.lngLat.lng } })}
+        >
+          <div className="geofence-handle" title="Drag to move the center" />
+        </Marker>
+      )}
+      {draft?.shape === 'polygon' && draft.coordinates.map(([lng, lat], index) => (
+        <Marker key={index} longitude={lng} latitude={lat} draggable onDragEnd={e => moveVertex(index, e.lngLat)}>
+          <div className="geofence-handle" title="Drag to move this point" />
+        </Marker>
+      ))}
+    </>
+  );
+};
+
+export default GeofenceLayer;
@@ -0,0 +1,182 @@
+import React, { useEffect, useState } from 'react';
+import { format } from 'timeago.js';
+import api, { getErrorMessage } from '../api';
+
+const DEFAULT_RADIUS_M = 500;
+
+// Start a new fence; the map click handler in App fills in the center/points
+export const newGeofenceDraft = (shape) => ({
+  name: '',
+  shape,
+  color: '#9b59b6',
+  center: null,
+  radius: DEFAULT_RADIUS_M,
+  coordinates: []
+});
+
+// Geofence list, create/edit form and the enter/exit event feed.
+// App owns the fences, the draft being drawn (so map clicks can edit it) and the
+// events (so stream events can be appended); this panel does the API calls.
+const GeofencePanel = ({ geofences, setGeofences, draft, setDraft, events, setEvents, canManage, onFocus, onClose }) => {
+  const [saving, setSaving] = useState(false);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [fenceResponse, eventResponse] = await Promise.all([
+          api.get('/geofences'),
+          api.get('/geofences/events', { params: { limit: 50 } })
+        ]);
+        setGeofences(fenceResponse.data.geofences);
+        setEvents(eventResponse.data.events);
+      } catch (err) {
+        setPanelError(getErrorMessage(err, 'Failed to load geofences'));
+      }
+    };
+    load();
+  }, [setGeofences, setEvents]);
+
+  const isDrawable = draft && (draft.shape === 'circle' ? Boolean(draft.center) : draft.coordinates.length >= 3);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!draft.name.trim()) return setPanelError('Give the geofence a name');
+    if (!isDrawable) {
+      return setPanelError(draft.shape === 'circle' ? 'Click the map to place the center' : 'Click the map to add at least 3 points');
+    }
+
+    const body = draft.shape === 'circle'
+      ? { name: draft.name, shape: 'circle', color: draft.color, center: draft.center, radius: Number(draft.radius) }
+      : { name: draft.name, shape: 'polygon', color: draft.color, coordinates: draft.coordinates };
+
+    setSaving(true);
+    setPanelError('');
+    try {
+      if (draft._id) {
+        const response = await api.put(`/geofences/${draft._id}`, body);
+        setGeofences(prev => prev.map(f => (f._id === draft._id ? response.data.geofence : f)));
+      } else {
+        const response = await api.post('/geofences', body);
+        setGeofences(prev => [...prev, response.data.geofence]);
+      }
+      setDraft(null);
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to save geofence'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (fence) => {
+    if (!window.confirm(`Delete geofence "${fence.name}"? Its past events are kept.`)) return;
+    try {
+      await api.delete(`/geofences/${fence._id}`);
+      setGeofences(prev => prev.filter(f => f._id !== fence._id));
+      if (draft?._id === fence._id) setDraft(null);
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to delete geofence'));
+    }
+  };
+
+  const startEditing = (fence) => {
+    setPanelError('');
+    setDraft({
+      ...newGeofenceDraft(fence.shape),
+      ...fence,
+      radius: fence.radius || DEFAULT_RADIUS_M,
+      coordinates: fence.coordinates || []
+    });
+    onFocus(fence);
+  };
+
+  return (
+    <div className="geofence-panel">
+      <div className="panel-header">
+        <h4>Geofences</h4>
+        <button className="panel-close" onClick={onClose} aria-label="Close geofences">×</button>
+      </div>
+
+      {panelError && <div className="panel-error">{panelError}</div>}
+
+      {draft ? (
+        <form onSubmit={handleSave} className="geofence-form">
+          <input
+            type="text" placeholder="Geofence name" value={draft.name} maxLength={60}
+            onChange={e => setDraft({ ...draft, name: e.target.value })} required
+          />
+          {draft.shape === 'circle' ? (
+            <>
+              <label>
+                Radius (m)
+                <input
+                  type="number" min="1" step="any" value={draft.radius}
+                  onChange={e => setDraft({ ...draft, radius: e.target.value })} required
+                />
+              </label>
+              <small className="geofence-hint">
+                {draft.center ? 'Drag the handle or click the map to move the center' : 'Click the map to place the center'}
+              </small>
+            </>
+          ) : (
+            <>
+              <small className="geofence-hint">
+                Click the map to add points ({draft.coordinates.length} so far); drag handles to adjust
+              </small>
+              {draft.coordinates.length > 0 && (
+                <button type="button" onClick={() => setDraft({ ...draft, coordinates: draft.coordinates.slice(0, -1) })}>
+                  Undo last point
+                </button>
+              )}
+            </>
+          )}
+          <label>
+            Color
+            <input type="color" value={draft.color} onChange={e => setDraft({ ...draft, color: e.target.value })} />
+          </label>
+          <div className="geofence-form-actions">
+            <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+            <button type="button" onClick={() => setDraft(null)}>Cancel</button>
+          </div>
+        </form>
+      ) : canManage && (
+        <div className="geofence-actions">
+          <button onClick={() => setDraft(newGeofenceDraft('circle'))}>＋ Circle</button>
+          <button onClick={() => setDraft(newGeofenceDraft('polygon'))}>＋ Polygon</button>
+        </div>
+      )}
+
+      <div className="geofence-list">
+        {geofences.length === 0 ? (
+          <div className="no-vehicles">No geofences yet</div>
+        ) : geofences.map(fence => (
+          <div key={fence._id} className="geofence-item">
+            <span className="geofence-swatch" style={{ background: fence.color }} />
+            <span className="geofence-name" onClick={() => onFocus(fence)}>{fence.name}</span>
+            <span className="geofence-shape">{fence.shape === 'circle' ? `${Math.round(fence.radius)} m` : `${fence.coordinates.length} pts`}</span>
+            {canManage && (
+              <>
+                <button onClick={() => startEditing(fence)}>Edit</button>
+                <button onClick={() => handleDelete(fence)}>Delete</button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <h5 className="geofence-feed-title">Recent events</h5>
+      <div className="geofence-feed">
+        {events.length === 0 ? (
+          <div className="no-vehicles">No enter/exit events yet</div>
+        ) : events.map(event => (
+          <div key={event._id} className={`geofence-event ${event.type}`}>
+            <strong>{event.vehicleName}</strong> {event.type === 'enter' ? 'entered' : 'left'} <strong>{event.geofenceName}</strong>
+            <div className="vehicle-time" title={new Date(event.timestamp).toLocaleString()}>{format(event.timestamp)}</div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default GeofencePanel;
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import api, { getErrorMessage } from '../api';
+import { saveFile } from '../download';
+
+const formatFor = (filename) => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'geojson' || extension === 'json') return 'geojson';
+  return null;
+};
+
+const csvCell = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+// Bulk vehicle import: pick a CSV (name, lat, lng columns) or GeoJSON file, review the
+// dry run's per-row results, then create the valid rows in one go. Device keys are only
+// returned by that last call, so they're offered as a download.
+const ImportPanel = ({ onImported, onClose }) => {
+  const [upload, setUpload] = useState(null);
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [panelError, setPanelError] = useState('');
+
+  const runImport = async ({ format, data }, dryRun) => {
+    setBusy(true);
+    setPanelError('');
+    try {
+      const response = await api.post('/vehicles/import', { format, data, dryRun });
+      setReport(response.data);
+      if (!dryRun) onImported();
+    } catch (err) {
+      // A failed commit still reports which rows were rejected
+      if (err.response?.data?.rows) setReport(err.response.data);
+      setPanelError(getErrorMessage(err, 'Import failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const format = formatFor(file.name);
+    setReport(null);
+    if (!format) return setPanelError('Choose a .csv or .geojson file');
+
+    const next = { name: file.name, format, data: await file.text() };
+    setUpload(next);
+    runImport(next, true);
+  };
+
+  const downloadKeys = () => {
+    const created = report.rows.filter(row => row.status === 'created');
+    const lines = ['name,deviceKey', ...created.map(row => `${csvCell(row.name)},${row.deviceKey}`)];
+    saveFile(new Blob([`${lines.join('\n')}\n`], { type: 'text/csv' }), 'device-keys.csv');
+  };
+
+  const committed = report && !report.dryRun && report.success;
+  const problems = report ? report.rows.filter(row => row.status === 'invalid' || row.status === 'failed') : [];
+
+  return (
+    <div className="import-panel">
+      <div className="panel-header">
+        <h4>Import vehicles</h4>
+        <button className="panel-close" onClick={onClose} aria-label="Close import">×</button>
+      </div>
+
+      <label className="import-file">
+        {upload ? upload.name : 'Choose a CSV or GeoJSON file'}
+        <input type="file" accept=".csv,.geojson,.json" onChange={handleFile} disabled={busy} />
+      </label>
+      <small className="geofence-hint">CSV needs name, lat and lng columns; GeoJSON needs Point features with a name property.</small>
+
+      {panelError && <div className="panel-error">{panelError}</div>}
+      {busy && <div className="no-vehicles">Checking...</div>}
+
+      {report && (
+        <>
+          <div className="import-summary">
+            {committed
+              ? <strong>Created {report.summary.created} vehicles</strong>
+              : <span><strong>{report.summary.valid}</strong> ready · <strong>{report.summary.invalid}</strong> with errors</span>}
+          </div>
+
+          {problems.length > 0 && (
+            <div className="import-rows">
+              {problems.map(row => (
+                <div key={row.row} className={`import-row ${row.status}`}>
+                  <span className="import-row-number">Row {row.row}</span>
+                  <span className="import-row-name">{row.name || '(no name)'}</span>
+                  <div className="import-row-error">{row.error}</div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {committed ? (
+            <div className="import-actions">
+              <button onClick={downloadKeys}>⤓ Device keys (CSV)</button>
+              <small className="geofence-hint">Keys won't be shown again.</small>
+            </div>
+          ) : report.summary.valid > 0 && (
+            <div className="import-actions">
+              <button onClick={() => runImport(upload, false)} disabled={busy}>
+                Import {report.summary.valid} vehicles
+              </button>
+              {report.summary.invalid > 0 && <small className="geofence-hint">Rows with errors are skipped.</small>}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportPanel;
@@ -0,0 +1,166 @@
+import React, { useEffect, useState } from 'react';
+import api, { getErrorMessage } from '../api';
+import { formatDistance } from '../motion';
+
+const STATE_LABELS = { ok: 'OK', due: 'Service due', overdue: 'Service overdue' };
+
+const EMPTY_PLAN = { name: '', intervalKm: '', intervalMonths: '' };
+
+// Shown on vehicles with a plan that is due soon or overdue
+export const MaintenanceBadge = ({ state }) => (
+  state && state !== 'ok'
+    ? <span className={`maintenance-badge ${state}`} title={STATE_LABELS[state]}>🔧 {state}</span>
+    : null
+);
+
+const describeInterval = (plan) => [
+  plan.intervalKm && `${plan.intervalKm.toLocaleString()} km`,
+  plan.intervalMonths && `${plan.intervalMonths} month${plan.intervalMonths === 1 ? '' : 's'}`
+].filter(Boolean).join(' or ');
+
+// What's left before the plan is overdue, or how far past it is
+const describeRemaining = (plan) => {
+  const parts = [];
+  if (plan.remainingDistance !== null) parts.push(formatDistance(Math.abs(plan.remainingDistance)));
+  if (plan.remainingDays !== null) parts.push(`${Math.abs(plan.remainingDays)} days`);
+  const overdue = (plan.remainingDistance !== null && plan.remainingDistance <= 0) || (plan.remainingDays !== null && plan.remainingDays < 0);
+  return overdue ? `Overdue by ${parts.join(' / ')}` : `Due in ${parts.join(' or ')}`;
+};
+
+// Local date as YYYY-MM-DD, the value format of date inputs
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+// A vehicle's maintenance plans with forms to add plans and log completed services.
+// Reloads when the vehicle's overall state changes, so live updates show up here too.
+const MaintenancePlans = ({ vehicle, canManage }) => {
+  const [plans, setPlans] = useState([]);
+  const [planForm, setPlanForm] = useState(null);
+  const [serviceForm, setServiceForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [panelError, setPanelError] = useState('');
+
+  const vehicleId = vehicle._id;
+  const vehicleState = vehicle.maintenance;
+  useEffect(() => {
+    api.get('/maintenance/plans', { params: { vehicle: vehicleId } })
+      .then(response => setPlans(response.data.plans))
+      .catch(err => setPanelError(getErrorMessage(err, 'Failed to load maintenance plans')));
+  }, [vehicleId, vehicleState]);
+
+  const replacePlan = (plan) => setPlans(prev => prev.map(p => (p._id === plan._id ? plan : p)));
+
+  const handleAddPlan = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setPanelError('');
+    try {
+      const response = await api.post('/maintenance/plans', {
+        vehicle: vehicleId,
+        name: planForm.name,
+        intervalKm: planForm.intervalKm === '' ? undefined : Number(planForm.intervalKm),
+        intervalMonths: planForm.intervalMonths === '' ? undefined : Number(planForm.intervalMonths)
+      });
+      setPlans(prev => [...prev, response.data.plan]);
+      setPlanForm(null);
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to add maintenance plan'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Today's date means "now", so the service counts at the current odometer
+  const handleLogService = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setPanelError('');
+    try {
+      const body = { notes: serviceForm.notes };
+      if (serviceForm.date !== today()) body.performedAt = serviceForm.date;
+      const response = await api.post(`/maintenance/plans/${serviceForm.planId}/services`, body);
+      replacePlan(response.data.plan);
+      setServiceForm(null);
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to log service'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (plan) => {
+    if (!window.confirm(`Delete maintenance plan "${plan.name}"? Its service history is kept.`)) return;
+    try {
+      await api.delete(`/maintenance/plans/${plan._id}`);
+      setPlans(prev => prev.filter(p => p._id !== plan._id));
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to delete maintenance plan'));
+    }
+  };
+
+  return (
+    <div className="maintenance-plans">
+      <h5 className="geofence-feed-title">Maintenance</h5>
+      {panelError && <div className="panel-error">{panelError}</div>}
+
+      {plans.length === 0 && <div className="no-vehicles">No maintenance plans</div>}
+      {plans.map(plan => (
+        <div key={plan._id} className={`maintenance-plan ${plan.state}`}>
+          <div className="maintenance-plan-name">
+            {plan.name}
+            <span className="maintenance-plan-interval">every {describeInterval(plan)}</span>
+          </div>
+          <div className="maintenance-plan-due">{describeRemaining(plan)}</div>
+          {serviceForm?.planId === plan._id ? (
+            <form onSubmit={handleLogService} className="vehicle-form">
+              <label>
+                Performed on
+                <input type="date" value={serviceForm.date} max={today()} onChange={e => setServiceForm({ ...serviceForm, date: e.target.value })} required />
+              </label>
+              <label>
+                Notes
+                <input type="text" value={serviceForm.notes} maxLength={1000} onChange={e => setServiceForm({ ...serviceForm, notes: e.target.value })} />
+              </label>
+              <div className="geofence-form-actions">
+                <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Log service'}</button>
+                <button type="button" onClick={() => setServiceForm(null)} disabled={saving}>Cancel</button>
+              </div>
+            </form>
+          ) : canManage && (
+            <div className="geofence-form-actions">
+              <button onClick={() => setServiceForm({ planId: plan._id, date: today(), notes: '' })}>✓ Log service</button>
+              <button onClick={() => handleDelete(plan)}>Delete</button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {canManage && (planForm ? (
+        <form onSubmit={handleAddPlan} className="vehicle-form">
+          <label>
+            Plan
+            <input type="text" value={planForm.name} maxLength={80} placeholder="Oil change" onChange={e => setPlanForm({ ...planForm, name: e.target.value })} required />
+          </label>
+          <label>
+            Every (km)
+            <input type="number" min="1" value={planForm.intervalKm} onChange={e => setPlanForm({ ...planForm, intervalKm: e.target.value })} />
+          </label>
+          <label>
+            Every (months)
+            <input type="number" min="1" max="120" step="1" value={planForm.intervalMonths} onChange={e => setPlanForm({ ...planForm, intervalMonths: e.target.value })} />
+          </label>
+          <div className="geofence-form-actions">
+            <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Add plan'}</button>
+            <button type="button" onClick={() => setPlanForm(null)} disabled={saving}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <button onClick={() => setPlanForm(EMPTY_PLAN)}>＋ Add plan</button>
+      ))}
+    </div>
+  );
+};
+
+export default MaintenancePlans;
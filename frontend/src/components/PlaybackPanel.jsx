@@ -0,0 +1,201 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import api, { getErrorMessage } from '../api';
+
+const SPEEDS = [1, 5, 10, 30, 60, 120];
+const PAGE_SIZE = 5000;
+const MAX_PAGES = 10;
+
+// datetime-local inputs work in local time without a timezone suffix
+const toLocalInputValue = (date) => {
+  const offsetMs = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
+// Load the recorded points in the range, following the history endpoint's cursor for
+// up to MAX_PAGES pages. truncated is set when the range holds more than that.
+export const fetchTrack = async (vehicleId, from, to) => {
+  const points = [];
+  let cursor = null;
+
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const response = await api.get(`/vehicles/${vehicleId}/history`, {
+      params: { from: from.toISOString(), to: to.toISOString(), limit: PAGE_SIZE, cursor: cursor || undefined }
+    });
+    points.push(...response.data.points.map(p => ({ ...p, time: new Date(p.timestamp).getTime() })));
+    if (!response.data.hasMore) return { points, truncated: false };
+    cursor = response.data.nextCursor;
+  }
+  return { points, truncated: true };
+};
+
+// Position at a given time, interpolated between the surrounding recorded points
+const positionAt = (points, time) => {
+  if (time <= points[0].time) return points[0];
+  const last = points[points.length - 1];
+  if (time >= last.time) return last;
+
+  let lo = 0;
+  let hi = points.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].time <= time) lo = mid; else hi = mid;
+  }
+
+  const a = points[lo];
+  const b = points[hi];
+  const ratio = b.time === a.time ? 0 : (time - a.time) / (b.time - a.time);
+  return {
+    lat: a.lat + (b.lat - a.lat) * ratio,
+    lng: a.lng + (b.lng - a.lng) * ratio,
+    heading: b.heading ?? a.heading,
+    time
+  };
+};
+
+// Replays a vehicle's recorded positions. The map itself lives in App, so every
+// animation frame is reported through onFrame({ vehicleName, track, position }).
+// With an initialRange ({ from, to } dates, e.g. a trip) the track loads straight away.
+const PlaybackPanel = ({ vehicles, initialVehicleId, initialRange, onFrame, onClose }) => {
+  const now = new Date();
+  const [vehicleId, setVehicleId] = useState(initialVehicleId || vehicles[0]?._id || '');
+  const [from, setFrom] = useState(toLocalInputValue(initialRange?.from || new Date(now.getTime() - 60 * 60 * 1000)));
+  const [to, setTo] = useState(toLocalInputValue(initialRange?.to || now));
+  const [track, setTrack] = useState([]);
+  const [trackVehicleName, setTrackVehicleName] = useState('');
+  const [loadingTrack, setLoadingTrack] = useState(false);
+  const [trackError, setTrackError] = useState('');
+  const [trackTruncated, setTrackTruncated] = useState(false);
+  const [playTime, setPlayTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(30);
+
+  const frameRef = useRef(null);
+  const lastTickRef = useRef(null);
+  const initialLoadRef = useRef(false);
+
+  const start = track.length ? track[0].time : 0;
+  const end = track.length ? track[track.length - 1].time : 0;
+
+  const loadTrack = useCallback(async (fromDate, toDate) => {
+    setPlaying(false);
+    setLoadingTrack(true);
+    setTrackError('');
+    try {
+      const { points, truncated } = await fetchTrack(vehicleId, fromDate, toDate);
+      if (points.length === 0) setTrackError('No recorded positions in this range');
+      setTrack(points);
+      setTrackTruncated(truncated);
+      setTrackVehicleName(vehicles.find(v => v._id === vehicleId)?.name || '');
+      setPlayTime(points.length ? points[0].time : 0);
+    } catch (err) {
+      setTrackError(getErrorMessage(err, 'Failed to load vehicle history'));
+    } finally {
+      setLoadingTrack(false);
+    }
+  }, [vehicleId, vehicles]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!vehicleId) return setTrackError('Pick a vehicle');
+
+    const fromDate = new Date(from);
+    const toDate = new Date(to);
+    if (isNaN(fromDate) || isNaN(toDate) || fromDate >= toDate) {
+      return setTrackError('Pick a valid time range');
+    }
+    loadTrack(fromDate, toDate);
+  };
+
+  // Opened for a specific range (e.g. a trip): load it without waiting for a submit.
+  // The panel is remounted for each new range; the ref keeps later changes to the
+  // vehicle list from reloading it.
+  useEffect(() => {
+    if (initialLoadRef.current || !initialRange || !vehicleId) return;
+    initialLoadRef.current = true;
+    loadTrack(initialRange.from, initialRange.to);
+  }, [initialRange, vehicleId, loadTrack]);
+
+  // Advance the playhead in real time multiplied by the selected speed
+  useEffect(() => {
+    if (!playing) return;
+
+    const tick = (timestamp) => {
+      const elapsed = lastTickRef.current === null ? 0 : timestamp - lastTickRef.current;
+      lastTickRef.current = timestamp;
+
+      setPlayTime(prev => Math.min(prev + elapsed * speed, end));
+      frameRef.current = requestAnimationFrame(tick);
+    };
+
+    lastTickRef.current = null;
+    frameRef.current = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [playing, speed, end]);
+
+  // Stop at the end of the track
+  useEffect(() => {
+    if (playing && playTime >= end) setPlaying(false);
+  }, [playing, playTime, end]);
+
+  // Report the current frame to the map
+  useEffect(() => {
+    onFrame(track.length ? { vehicleName: trackVehicleName, track, position: positionAt(track, playTime) } : null);
+  }, [track, playTime, trackVehicleName, onFrame]);
+
+  // Clear the playback marker when the panel closes
+  useEffect(() => () => onFrame(null), [onFrame]);
+
+  const togglePlaying = () => {
+    // Restart from the beginning once the end has been reached
+    if (!playing && playTime >= end) setPlayTime(start);
+    setPlaying(!playing);
+  };
+
+  return (
+    <div className="playback-panel">
+      <div className="panel-header">
+        <h4>Trip Playback</h4>
+        <button className="panel-close" onClick={onClose} aria-label="Close playback">×</button>
+      </div>
+
+      <form onSubmit={handleSubmit} className="playback-form">
+        <select value={vehicleId} onChange={e => setVehicleId(e.target.value)}>
+          {vehicles.map(v => <option key={v._id} value={v._id}>{v.name}</option>)}
+        </select>
+        <label>From <input type="datetime-local" value={from} onChange={e => setFrom(e.target.value)} required /></label>
+        <label>To <input type="datetime-local" value={to} onChange={e => setTo(e.target.value)} required /></label>
+        <button type="submit" disabled={loadingTrack}>{loadingTrack ? 'Loading...' : 'Load'}</button>
+      </form>
+
+      {trackError && <div className="panel-error">{trackError}</div>}
+
+      {track.length > 0 && (
+        <div className="playback-controls">
+          <div className="playback-buttons">
+            <button onClick={togglePlaying}>{playing ? '❚❚ Pause' : '▶ Play'}</button>
+            {SPEEDS.map(s => (
+              <button key={s} className={`speed-btn ${speed === s ? 'active' : ''}`} onClick={() => setSpeed(s)}>{s}x</button>
+            ))}
+          </div>
+          <input
+            type="range" className="playback-scrubber" min={start} max={end} step={1000} value={playTime}
+            onChange={e => setPlayTime(Number(e.target.value))}
+          />
+          <div className="playback-times">
+            <span>{new Date(start).toLocaleTimeString()}</span>
+            <strong>{new Date(playTime).toLocaleString()}</strong>
+            <span>{new Date(end).toLocaleTimeString()}</span>
+          </div>
+          <div className="playback-meta">{track.length} recorded positions</div>
+          {trackTruncated && (
+            <div className="panel-error">
+              Only the first {track.length} positions were loaded; pick a shorter range to play the rest
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PlaybackPanel;
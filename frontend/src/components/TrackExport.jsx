@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import api, { getErrorMessage } from '../api';
+import { saveFile } from '../download';
+
+const FORMATS = [
+  { value: 'gpx', label: 'GPX' },
+  { value: 'kml', label: 'KML' },
+  { value: 'geojson', label: 'GeoJSON' },
+  { value: 'csv', label: 'CSV' }
+];
+
+const RANGES = [
+  { value: 24, label: 'Last 24 hours' },
+  { value: 24 * 7, label: 'Last 7 days' },
+  { value: 24 * 30, label: 'Last 30 days' }
+];
+
+// Download the selected vehicle's recorded track. Rendered inside its sidebar item,
+// so clicks are kept from selecting the vehicle again.
+const TrackExport = ({ vehicle }) => {
+  const [format, setFormat] = useState('gpx');
+  const [hours, setHours] = useState(24);
+  const [downloading, setDownloading] = useState(false);
+  const [exportError, setExportError] = useState('');
+
+  const handleDownload = async () => {
+    const to = new Date();
+    const from = new Date(to.getTime() - hours * 60 * 60 * 1000);
+
+    setDownloading(true);
+    setExportError('');
+    try {
+      const response = await api.get(`/vehicles/${vehicle._id}/export`, {
+        params: { format, from: from.toISOString(), to: to.toISOString() },
+        responseType: 'blob'
+      });
+      const slug = vehicle.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'vehicle';
+      saveFile(response.data, `${slug}-${from.toISOString().slice(0, 10)}-${to.toISOString().slice(0, 10)}.${format}`);
+    } catch (err) {
+      setExportError(getErrorMessage(err, 'Export failed'));
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="track-export" onClick={e => e.stopPropagation()}>
+      <select value={format} onChange={e => setFormat(e.target.value)} aria-label="Export format">
+        {FORMATS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      <select value={hours} onChange={e => setHours(Number(e.target.value))} aria-label="Export range">
+        {RANGES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      <button onClick={handleDownload} disabled={downloading}>
+        {downloading ? 'Exporting...' : '⤓ Download'}
+      </button>
+      {exportError && <div className="track-export-error">{exportError}</div>}
+    </div>
+  );
+};
+
+export default TrackExport;
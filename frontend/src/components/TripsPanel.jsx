@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import api, { getErrorMessage } from '../api';
+import { formatSpeed, formatDistance } from '../motion';
+
+// Durations from the API are seconds
+export const formatDuration = (seconds) => {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+export const formatTime = (value) => new Date(value).toLocaleString([], {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+// Trips and stops for one vehicle, newest first. Choosing a trip hands it to App,
+// which opens it in the playback panel.
+const TripsPanel = ({ vehicles, initialVehicleId, onSelectTrip, onClose }) => {
+  const [vehicleId, setVehicleId] = useState(initialVehicleId || vehicles[0]?._id || '');
+  const [timeline, setTimeline] = useState([]);
+  const [loadingTrips, setLoadingTrips] = useState(false);
+  const [panelError, setPanelError] = useState('');
+
+  useEffect(() => {
+    if (!vehicleId) return;
+
+    const load = async () => {
+      setLoadingTrips(true);
+      setPanelError('');
+      try {
+        const response = await api.get(`/vehicles/${vehicleId}/trips`);
+        const { trips, stops } = response.data;
+        // Interleave: trip, the stop before it, the trip before that, ...
+        const items = [];
+        trips.forEach((trip, i) => {
+          items.push({ kind: 'trip', ...trip });
+          if (stops[i]) items.push({ kind: 'stop', _id: `stop-${trip._id}`, ...stops[i] });
+        });
+        setTimeline(items);
+      } catch (err) {
+        setPanelError(getErrorMessage(err, 'Failed to load trips'));
+      } finally {
+        setLoadingTrips(false);
+      }
+    };
+    load();
+  }, [vehicleId]);
+
+  return (
+    <div className="trips-panel">
+      <div className="panel-header">
+        <h4>Trips</h4>
+        <button className="panel-close" onClick={onClose} aria-label="Close trips">×</button>
+      </div>
+
+      <select className="trips-vehicle" value={vehicleId} onChange={e => setVehicleId(e.target.value)}>
+        {vehicles.map(v => <option key={v._id} value={v._id}>{v.name}</option>)}
+      </select>
+
+      {panelError && <div className="panel-error">{panelError}</div>}
+
+      <div className="trips-list">
+        {loadingTrips ? (
+          <div className="no-vehicles">Loading trips...</div>
+        ) : timeline.length === 0 ? (
+          <div className="no-vehicles">No trips recorded yet</div>
+        ) : timeline.map(item => (item.kind === 'stop' ? (
+          <div key={item._id} className="trip-stop">
+            Stopped {formatDuration(item.duration)}
+          </div>
+        ) : (
+          <div key={item._id} className={`trip-item ${item.status}`} onClick={() => onSelectTrip(vehicleId, item)}>
+            <div className="trip-times">
+              {formatTime(item.startTime)} → {item.status === 'open' ? 'now' : formatTime(item.endTime)}
+            </div>
+            <div className="trip-stats">
+              <span>{formatDistance(item.distance)}</span>
+              <span>{formatDuration(item.duration)}</span>
+              <span>avg {formatSpeed(item.avgSpeed)}</span>
+              <span>max {formatSpeed(item.maxSpeed)}</span>
+              {item.idleTime > 0 && <span>idle {formatDuration(item.idleTime)}</span>}
+              {item.driver && <span>driver {item.driver.name}</span>}
+            </div>
+          </div>
+        )))}
+      </div>
+    </div>
+  );
+};
+
+export default TripsPanel;
@@ -0,0 +1,58 @@
+import React from 'react';
+
+const STATUSES = [
+  { value: '', label: 'Any status' },
+  { value: 'moving', label: 'Moving' },
+  { value: 'idle', label: 'Idle' },
+  { value: 'offline', label: 'Offline' }
+];
+
+// sort and order travel together as "field:order"
+const SORTS = [
+  { value: 'lastUpdated:desc', label: 'Recently updated' },
+  { value: 'name:asc', label: 'Name A–Z' },
+  { value: 'name:desc', label: 'Name Z–A' },
+  { value: 'speed:desc', label: 'Fastest' },
+  { value: 'odometer:desc', label: 'Most distance' },
+  { value: 'createdAt:desc', label: 'Newest' }
+];
+
+export const DEFAULT_VEHICLE_QUERY = { q: '', status: '', tag: '', sort: 'lastUpdated', order: 'desc' };
+
+// Search, filter and sort controls for the sidebar's vehicle list. The query maps
+// directly onto GET /api/vehicles parameters; onChange receives the changed keys.
+const VehicleFilters = ({ query, onChange }) => (
+  <div className="vehicle-filters">
+    <input
+      type="search"
+      placeholder="Search by name"
+      value={query.q}
+      onChange={e => onChange({ q: e.target.value })}
+      aria-label="Search vehicles"
+    />
+    <div className="vehicle-filter-row">
+      <select value={query.status} onChange={e => onChange({ status: e.target.value })} aria-label="Status">
+        {STATUSES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+      <input
+        type="text"
+        placeholder="Tag"
+        value={query.tag}
+        onChange={e => onChange({ tag: e.target.value })}
+        aria-label="Tag"
+      />
+      <select
+        value={`${query.sort}:${query.order}`}
+        onChange={e => {
+          const [sort, order] = e.target.value.split(':');
+          onChange({ sort, order });
+        }}
+        aria-label="Sort by"
+      >
+        {SORTS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+      </select>
+    </div>
+  </div>
+);
+
+export default VehicleFilters;
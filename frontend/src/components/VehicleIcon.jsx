@@ -0,0 +1,38 @@
+import React from 'react';
+import { FaBus, FaCarSide, FaMotorcycle, FaTruck } from 'react-icons/fa';
+import { carIconTransform } from '../motion';
+
+// Vehicle types the backend accepts. Side-view icons face east and are turned to
+// the vehicle's heading; the bus is drawn from the front, so it stays upright.
+export const VEHICLE_TYPES = [
+  { value: 'car', label: 'Car', Icon: FaCarSide, sideView: true },
+  { value: 'truck', label: 'Truck', Icon: FaTruck, sideView: true },
+  { value: 'bike', label: 'Bike', Icon: FaMotorcycle, sideView: true },
+  { value: 'bus', label: 'Bus', Icon: FaBus, sideView: false }
+];
+
+const typeOf = (vehicle) => VEHICLE_TYPES.find(t => t.value === vehicle.type) || VEHICLE_TYPES[0];
+
+// A vehicle's custom icon image, or its type's icon in its own color (the selection
+// color wins). showHeading turns side-view icons along the vehicle's heading.
+const VehicleIcon = ({ vehicle, className = '', size, selected = false, showHeading = false }) => {
+  const classes = `${className} ${selected ? 'selected' : ''}`;
+
+  if (vehicle.icon) {
+    return <img src={vehicle.icon} alt="" className={`${classes} custom-icon`} style={{ width: size, height: size }} />;
+  }
+
+  const { Icon, sideView } = typeOf(vehicle);
+  return (
+    <Icon
+      className={classes}
+      style={{
+        fontSize: size,
+        transform: showHeading && sideView ? carIconTransform(vehicle.heading) : undefined,
+        color: !selected && vehicle.color ? vehicle.color : undefined
+      }}
+    />
+  );
+};
+
+export default VehicleIcon;
@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import api, { getErrorMessage } from '../api';
+import VehicleIcon, { VEHICLE_TYPES } from './VehicleIcon';
+import MaintenancePlans, { MaintenanceBadge } from './MaintenancePlans';
+
+const TEXT_FIELDS = [
+  { name: 'plateNumber', label: 'Plate number', maxLength: 20 },
+  { name: 'make', label: 'Make', maxLength: 40 },
+  { name: 'model', label: 'Model', maxLength: 40 },
+  { name: 'group', label: 'Group', maxLength: 60 }
+];
+
+// Form values are strings; empty ones clear the field on the server
+const toForm = (vehicle) => ({
+  name: vehicle.name,
+  type: vehicle.type || 'car',
+  plateNumber: vehicle.plateNumber || '',
+  make: vehicle.make || '',
+  model: vehicle.model || '',
+  group: vehicle.group || '',
+  color: vehicle.color || '',
+  capacity: vehicle.capacity ?? '',
+  icon: vehicle.icon || '',
+  tags: (vehicle.tags || []).join(', '),
+  notes: vehicle.notes || ''
+});
+
+// Only send what changed, so a rename doesn't rewrite the rest of the profile
+const changesBetween = (vehicle, form) => {
+  const original = toForm(vehicle);
+  const changes = {};
+  Object.keys(form).forEach(key => {
+    if (String(form[key]) !== String(original[key])) changes[key] = form[key];
+  });
+  if (changes.name !== undefined) changes.name = changes.name.trim();
+  if (changes.capacity !== undefined) changes.capacity = changes.capacity === '' ? null : Number(changes.capacity);
+  return changes;
+};
+
+// A vehicle's profile, with an edit form for users who may update vehicles, and
+// its maintenance plans. onSaved receives the updated vehicle as the API returns it.
+const VehiclePanel = ({ vehicle, canEdit, canReadMaintenance, canManageMaintenance, onSaved, onClose }) => {
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [panelError, setPanelError] = useState('');
+
+  const update = (changes) => setForm({ ...form, ...changes });
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const changes = changesBetween(vehicle, form);
+    if (Object.keys(changes).length === 0) return setForm(null);
+
+    setSaving(true);
+    setPanelError('');
+    try {
+      const response = await api.patch(`/vehicles/${vehicle._id}`, changes);
+      onSaved(response.data.vehicle);
+      setForm(null);
+    } catch (err) {
+      setPanelError(getErrorMessage(err, 'Failed to save vehicle'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const typeLabel = VEHICLE_TYPES.find(t => t.value === vehicle.type)?.label || 'Car';
+
+  return (
+    <div className="vehicle-panel">
+      <div className="panel-header">
+        <h4>
+          <VehicleIcon vehicle={vehicle} className="vehicle-panel-icon" size="18px" /> {vehicle.name}
+          <MaintenanceBadge state={vehicle.maintenance} />
+        </h4>
+        <button className="panel-close" onClick={onClose} aria-label="Close vehicle details">×</button>
+      </div>
+
+      {panelError && <div className="panel-error">{panelError}</div>}
+
+      {form ? (
+        <form onSubmit={handleSave} className="vehicle-form">
+          <label>
+            Name
+            <input type="text" value={form.name} maxLength={60} onChange={e => update({ name: e.target.value })} required />
+          </label>
+          <label>
+            Type
+            <select value={form.type} onChange={e => update({ type: e.target.value })}>
+              {VEHICLE_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+            </select>
+          </label>
+          {TEXT_FIELDS.map(field => (
+            <label key={field.name}>
+              {field.label}
+              <input
+                type="text" value={form[field.name]} maxLength={field.maxLength}
+                onChange={e => update({ [field.name]: e.target.value })}
+              />
+            </label>
+          ))}
+          <label>
+            Capacity
+            <input type="number" min="0" step="1" value={form.capacity} onChange={e => update({ capacity: e.target.value })} />
+          </label>
+          <label>
+            Color
+            <span className="vehicle-form-color">
+              <input type="color" value={form.color || '#2196f3'} onChange={e => update({ color: e.target.value })} />
+              {form.color && <button type="button" onClick={() => update({ color: '' })}>Default</button>}
+            </span>
+          </label>
+          <label>
+            Icon URL
+            <input type="url" value={form.icon} maxLength={500} placeholder="https://..." onChange={e => update({ icon: e.target.value })} />
+          </label>
+          <label>
+            Tags
+            <input type="text" value={form.tags} placeholder="comma, separated" onChange={e => update({ tags: e.target.value })} />
+          </label>
+          <label>
+            Notes
+            <textarea value={form.notes} maxLength={1000} rows={3} onChange={e => update({ notes: e.target.value })} />
+          </label>
+          <div className="geofence-form-actions">
+            <button type="submit" disabled={saving}>{saving ? 'Saving...' : 'Save'}</button>
+            <button type="button" onClick={() => setForm(null)} disabled={saving}>Cancel</button>
+          </div>
+        </form>
+      ) : (
+        <>
+          <dl className="vehicle-profile">
+            <dt>Type</dt><dd>{typeLabel}</dd>
+            <dt>Plate</dt><dd>{vehicle.plateNumber || '—'}</dd>
+            <dt>Make / model</dt><dd>{[vehicle.make, vehicle.model].filter(Boolean).join(' ') || '—'}</dd>
+            <dt>Capacity</dt><dd>{vehicle.capacity ?? '—'}</dd>
+            <dt>Group</dt><dd>{vehicle.group || '—'}</dd>
+            <dt>Tags</dt><dd>{vehicle.tags?.length ? vehicle.tags.join(', ') : '—'}</dd>
+            <dt>Device key</dt><dd>{vehicle.deviceKeyHint ? `${vehicle.deviceKeyHint}...` : 'None'}</dd>
+          </dl>
+          {vehicle.notes && <p className="vehicle-notes">{vehicle.notes}</p>}
+          {canEdit && <button onClick={() => setForm(toForm(vehicle))}>✎ Edit</button>}
+          {canReadMaintenance && <MaintenancePlans vehicle={vehicle} canManage={canManageMaintenance} />}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default VehiclePanel;
@@ -0,0 +1,78 @@
+import React, { useMemo } from 'react';
+import { Source, Layer } from 'react-map-gl/maplibre';
+
+export const TRAIL_WINDOW_MS = 60 * 60 * 1000;
+export const TRAIL_POINTS_LAYER = 'vehicle-trail-points';
+
+const MIN_OPACITY = 0.1;
+
+// Older segments fade out: opacity scales with how recent the segment's end point is
+const opacityFor = (timestamp, now) => {
+  const age = now - new Date(timestamp).getTime();
+  return Math.max(MIN_OPACITY, 1 - age / TRAIL_WINDOW_MS);
+};
+
+// One two-point line per segment (so each can carry its own opacity) plus one
+// clickable circle per recorded point
+const buildTrailFeatures = (trails, vehicles) => {
+  const now = Date.now();
+  const names = Object.fromEntries(vehicles.map(v => [v._id, v.name]));
+  const segments = [];
+  const points = [];
+
+  Object.entries(trails).forEach(([vehicleId, trail]) => {
+    trail.forEach((point, i) => {
+      const opacity = opacityFor(point.timestamp, now);
+      points.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+        properties: { vehicleName: names[vehicleId] || '', timestamp: point.timestamp, opacity }
+      });
+
+      if (i === 0) return;
+      const previous = trail[i - 1];
+      segments.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[previous.lng, previous.lat], [point.lng, point.lat]] },
+        properties: { opacity }
+      });
+    });
+  });
+
+  return {
+    segments: { type: 'FeatureCollection', features: segments },
+    points: { type: 'FeatureCollection', features: points }
+  };
+};
+
+// Breadcrumb trails drawn under the vehicle markers. Must be rendered inside <Map>.
+const VehicleTrails = ({ trails, vehicles }) => {
+  const { segments, points } = useMemo(() => buildTrailFeatures(trails, vehicles), [trails, vehicles]);
+
+  return (
+    <>
+      <Source id="vehicle-trails" type="geojson" data={segments}>
+        <Layer
+          id="vehicle-trail-lines" type="line"
+          layout={{ 'line-cap': 'round', 'line-join': 'round' }}
+          paint={{ 'line-color': '#3498db', 'line-width': 3, 'line-opacity': ['get', 'opacity'] }}
+        />
+      </Source>
+      <Source id="vehicle-trail-points" type="geojson" data={points}>
+        <Layer
+          id={TRAIL_POINTS_LAYER} type="circle"
+          paint={{
+            'circle-radius': 4,
+            'circle-color': '#ffffff',
+            'circle-stroke-color': '#3498db',
+            'circle-stroke-width': 2,
+            'circle-opacity': ['get', 'opacity'],
+            'circle-stroke-opacity': ['get', 'opacity']
+          }}
+        />
+      </Source>
+    </>
+  );
+};
+
+export default VehicleTrails;
@@ -0,0 +1,71 @@
+import api, { API_URL, getSession } from './api';
+
+const STREAM_EVENTS = [
+  'vehicle:position', 'vehicle:created', 'vehicle:updated', 'vehicle:deleted', 'geofence:event', 'alert:created', 'alert:updated'
+];
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// Subscribe to the backend's vehicle event stream with automatic reconnects.
+// onOpen({ reconnected }) fires on every (re)connect so callers can catch up on
+// anything missed; onStatusChange reports 'connecting' | 'live' | 'offline'.
+// Returns an unsubscribe function.
+export const subscribeToVehicleEvents = ({ onEvent, onOpen, onStatusChange }) => {
+  let source = null;
+  let retryTimer = null;
+  let retryDelay = MIN_RETRY_MS;
+  let hasConnected = false;
+  let closed = false;
+
+  const connect = () => {
+    const token = getSession()?.accessToken;
+    if (!token || closed) return;
+
+    onStatusChange?.('connecting');
+    source = new EventSource(`${API_URL}/stream?access_token=${encodeURIComponent(token)}`);
+
+    source.addEventListener('connected', () => {
+      retryDelay = MIN_RETRY_MS;
+      onStatusChange?.('live');
+      onOpen?.({ reconnected: hasConnected });
+      hasConnected = true;
+    });
+
+    STREAM_EVENTS.forEach(type => {
+      source.addEventListener(type, (e) => {
+        try {
+          onEvent(type, JSON.parse(e.data));
+        } catch (err) {
+          console.error(`Bad ${type} event:`, err);
+        }
+      });
+    });
+
+    // EventSource hides the HTTP status, so on any error we drop the connection,
+    // let the axios client refresh an expired token, and reconnect with backoff
+    source.onerror = () => {
+      source.close();
+      if (closed) return;
+      onStatusChange?.('offline');
+
+      retryTimer = setTimeout(async () => {
+        try {
+          await api.get('/users/me');
+        } catch (err) {
+          // A dead session is handled by the api client; anything else just means retry later
+          if (err.response?.status === 401) return;
+        }
+        connect();
+      }, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+    };
+  };
+
+  connect();
+
+  return () => {
+    closed = true;
+    clearTimeout(retryTimer);
+    if (source) source.close();
+  };
+};
@@ -0,0 +1,24 @@
+// Display helpers for the speed/heading/odometer values the backend stores
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+export const formatSpeed = (speed) => (typeof speed === 'number' ? `${Math.round(speed)} km/h` : '—');
+
+export const formatHeading = (heading) => {
+  if (typeof heading !== 'number') return '—';
+  return `${COMPASS_POINTS[Math.round(heading / 45) % 8]} ${Math.round(heading)}°`;
+};
+
+// Odometer values are meters
+export const formatDistance = (meters) => {
+  if (typeof meters !== 'number') return '—';
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+};
+
+// CSS transform that points the side-view car icon (facing east) along a heading.
+// Westbound cars are mirrored first so they never drive upside down.
+export const carIconTransform = (heading) => {
+  if (typeof heading !== 'number') return undefined;
+  return heading <= 180
+    ? `rotate(${heading - 90}deg)`
+    : `rotate(${heading - 270}deg) scaleX(-1)`;
+};
@@ -0,0 +1,19 @@
+// Helpers for the map viewport's bounding box, in the west,south,east,north form
+// GET /api/vehicles takes as its bbox parameter
+
+const wrapLongitude = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+// A maplibre LngLatBounds as [west, south, east, north]. Longitudes of a panned
+// world copy are wrapped back into -180..180, so west > east when the view
+// crosses the antimeridian; a view wider than the world covers every longitude.
+export const boundsToBbox = (bounds) => {
+  const south = Math.max(bounds.getSouth(), -90);
+  const north = Math.min(bounds.getNorth(), 90);
+  if (bounds.getEast() - bounds.getWest() >= 360) return [-180, south, 180, north];
+  return [wrapLongitude(bounds.getWest()), south, wrapLongitude(bounds.getEast()), north];
+};
+
+export const bboxContains = ([west, south, east, north], lat, lng) => {
+  if (lat < south || lat > north) return false;
+  return west <= east ? lng >= west && lng <= east : lng >= west || lng <= east;
+};